@@ -0,0 +1,388 @@
+// Mock local da API de conteúdos do GitHub, para testar a leitura e a publicação do data.json sem tocar no repositório real.
+//
+// Uso:
+//   node mock_api/github_api.js [porta] [limite de requisições por hora]
+//   abrir index.html?githubApi=http://localhost:3001
+//
+// Os arquivos ficam em memória (partindo do _projetos/data.json deste repositório) e são perdidos ao encerrar o processo.
+// Como a API real, o GET responde com ETag (304 para If-None-Match igual, sem gastar o limite) e com os headers
+// X-RateLimit-*, respondendo 403 quando o limite acaba. Um limite baixo ajuda a testar o cache do app.
+// Tokens com os prefixos do GitHub (ghp_ clássico, com escopos 'repo, gist', ou github_pat_ fine-grained) são aceitos
+// como o usuário 'mock-user' e têm o limite de 5000 requisições, qualquer outro token responde 401 como um token revogado.
+// O app nunca envia o token salvo nas configurações para o mock, só o token digitado no teste ou na publicação.
+// Os gists (POST /gists, GET /gists/:id e o raw_url de cada arquivo) também ficam em memória, começando com um gist de exemplo público
+
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const porta = Number(process.argv[2]) || 3001
+const limiteRequisicoes = Number(process.argv[3]) || 60
+
+// Janela de uma hora do limite, contada a partir da primeira requisição. Sem token e com token são contados separados
+const limites = {
+    anonimo: { maximo: limiteRequisicoes, usadas: 0, reset: 0 },
+    autenticado: { maximo: 5000, usadas: 0, reset: 0 }
+}
+
+// Chave: "owner/repo/caminho", valor: conteúdo do arquivo em texto
+const arquivos = new Map()
+
+function shaBlob(conteudo) {
+
+    // Mesmo cálculo do git para blobs, assim o sha muda sempre que o conteúdo muda
+    const bytes = Buffer.from(conteudo, 'utf8')
+    return crypto.createHash('sha1').update(`blob ${bytes.length}\0`).update(bytes).digest('hex')
+
+}
+
+function respondeJson(res, status, corpo, headersExtras = {}) {
+
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headersExtras })
+    res.end(JSON.stringify(corpo))
+
+}
+
+// Token do header Authorization ('Bearer x' ou 'token x'): null sem token, { valido, escopos } com token
+function tokenRequisicao(req) {
+
+    if (!req.headers.authorization) {
+        return null
+    }
+
+    const token = req.headers.authorization.replace(/^(Bearer|token) /i, '')
+
+    return {
+        valido: /^(ghp_|github_pat_)/.test(token),
+        // Só os tokens clássicos informam os escopos
+        escopos: token.startsWith('ghp_') ? 'repo, gist' : null
+    }
+
+}
+
+// Conta a requisição e retorna os headers X-RateLimit-*, ou null quando o limite já acabou
+function consomeLimite(req, conta = true) {
+
+    const limite = tokenRequisicao(req) !== null ? limites.autenticado : limites.anonimo
+    const agora = Math.floor(Date.now() / 1000)
+
+    if (agora >= limite.reset) {
+        limite.usadas = 0
+        limite.reset = agora + 3600
+    }
+
+    if (conta && limite.usadas >= limite.maximo) {
+        return null
+    }
+
+    if (conta) {
+        limite.usadas++
+    }
+
+    return {
+        'X-RateLimit-Limit': `${limite.maximo}`,
+        'X-RateLimit-Remaining': `${limite.maximo - limite.usadas}`,
+        'X-RateLimit-Used': `${limite.usadas}`,
+        'X-RateLimit-Reset': `${limite.reset}`
+    }
+
+}
+
+function leCorpo(req) {
+
+    return new Promise((resolve, reject) => {
+
+        let corpo = ''
+        req.on('data', (parte) => corpo += parte)
+        req.on('end', () => resolve(corpo === '' ? {} : JSON.parse(corpo)))
+        req.on('error', reject)
+
+    })
+
+}
+
+function representacaoArquivo(chave, caminho) {
+
+    const conteudo = arquivos.get(chave)
+
+    return {
+        type: 'file',
+        name: path.basename(caminho),
+        path: caminho,
+        sha: shaBlob(conteudo),
+        size: Buffer.byteLength(conteudo),
+        encoding: 'base64',
+        // A API real quebra o base64 em linhas de 60 caracteres
+        content: Buffer.from(conteudo, 'utf8').toString('base64').replace(/(.{60})/g, '$1\n')
+    }
+
+}
+
+// GET e PUT em /repos/:owner/:repo/contents/:caminho
+async function rotaConteudos(req, res, owner, repo, caminho) {
+
+    const chave = `${owner}/${repo}/${caminho}`
+
+    if (req.method === 'GET') {
+
+        const etag = arquivos.has(chave) ? `"${shaBlob(arquivos.get(chave))}"` : null
+
+        // Requisição condicional com o mesmo ETag não conta no limite
+        if (etag !== null && req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag, ...consomeLimite(req, false) })
+            return res.end()
+        }
+
+        const headersLimite = consomeLimite(req)
+
+        if (headersLimite === null) {
+            return respondeJson(res, 403, { message: 'API rate limit exceeded' }, consomeLimite(req, false))
+        }
+
+        if (etag === null) {
+            return respondeJson(res, 404, { message: 'Not Found' }, headersLimite)
+        }
+
+        return respondeJson(res, 200, representacaoArquivo(chave, caminho), { ETag: etag, ...headersLimite })
+
+    }
+
+    if (req.method === 'PUT') {
+
+        if (!req.headers.authorization) {
+            return respondeJson(res, 401, { message: 'Requires authentication' })
+        }
+
+        const corpo = await leCorpo(req)
+
+        if (typeof corpo.message !== 'string' || typeof corpo.content !== 'string') {
+            return respondeJson(res, 422, { message: 'Invalid request. "message" and "content" are required.' })
+        }
+
+        if (arquivos.has(chave)) {
+
+            const shaAtual = shaBlob(arquivos.get(chave))
+
+            if (corpo.sha === undefined) {
+                return respondeJson(res, 422, { message: 'Invalid request. "sha" wasn\'t supplied.' })
+            }
+
+            if (corpo.sha !== shaAtual) {
+                return respondeJson(res, 409, { message: `${caminho} does not match ${corpo.sha}` })
+            }
+
+        }
+
+        const criado = !arquivos.has(chave)
+
+        arquivos.set(chave, Buffer.from(corpo.content, 'base64').toString('utf8'))
+        console.log(`PUT ${chave}: ${corpo.message}`)
+
+        const commitSha = crypto.randomBytes(20).toString('hex')
+
+        return respondeJson(res, criado ? 201 : 200, {
+            content: representacaoArquivo(chave, caminho),
+            commit: { sha: commitSha, message: corpo.message }
+        })
+
+    }
+
+    respondeJson(res, 405, { message: 'Method Not Allowed' })
+
+}
+
+// Chave: id do gist, valor: { id, description, public, created_at, files: { nome: conteúdo } }
+const gists = new Map()
+
+// Linguagem informada pela API de gists, a partir da extensão do arquivo
+const linguagensGist = { py: 'Python', js: 'JavaScript', ts: 'TypeScript', html: 'HTML', css: 'CSS', scss: 'SCSS', c: 'C', cpp: 'C++', php: 'PHP', java: 'Java', rb: 'Ruby' }
+
+function representacaoGist(gist) {
+
+    const files = {}
+
+    Object.keys(gist.files).forEach((nome) => {
+
+        const extensao = nome.includes('.') ? nome.slice(nome.lastIndexOf('.') + 1) : ''
+
+        files[nome] = {
+            filename: nome,
+            language: linguagensGist[extensao] || null,
+            raw_url: `http://localhost:${porta}/gists/${gist.id}/raw/${encodeURIComponent(nome)}`,
+            size: Buffer.byteLength(gist.files[nome]),
+            truncated: false,
+            content: gist.files[nome]
+        }
+
+    })
+
+    return {
+        id: gist.id,
+        html_url: `https://gist.github.com/mock-user/${gist.id}`,
+        description: gist.description,
+        public: gist.public,
+        created_at: gist.created_at,
+        owner: { login: 'mock-user' },
+        files
+    }
+
+}
+
+// POST /gists e GET /gists/:id
+async function rotaGists(req, res, id) {
+
+    const headersLimite = consomeLimite(req)
+
+    if (headersLimite === null) {
+        return respondeJson(res, 403, { message: 'API rate limit exceeded' }, consomeLimite(req, false))
+    }
+
+    if (req.method === 'GET' && id !== null) {
+
+        if (!gists.has(id)) {
+            return respondeJson(res, 404, { message: 'Not Found' }, headersLimite)
+        }
+
+        return respondeJson(res, 200, representacaoGist(gists.get(id)), headersLimite)
+
+    }
+
+    if (req.method === 'POST' && id === null) {
+
+        const token = tokenRequisicao(req)
+
+        if (token === null) {
+            return respondeJson(res, 401, { message: 'Requires authentication' }, headersLimite)
+        }
+
+        const corpo = await leCorpo(req)
+        const nomes = Object.keys(corpo.files || {})
+
+        if (nomes.length === 0 || nomes.some((nome) => typeof corpo.files[nome].content !== 'string' || corpo.files[nome].content === '')) {
+            return respondeJson(res, 422, { message: 'Validation Failed', errors: [{ resource: 'Gist', field: 'files', code: 'missing_field' }] }, headersLimite)
+        }
+
+        const gist = {
+            id: crypto.randomBytes(16).toString('hex'),
+            description: corpo.description || '',
+            public: corpo.public === true,
+            created_at: new Date().toISOString(),
+            files: Object.fromEntries(nomes.map((nome) => [nome, corpo.files[nome].content]))
+        }
+
+        gists.set(gist.id, gist)
+        console.log(`POST gist ${gist.id}: ${nomes.join(', ')}`)
+
+        return respondeJson(res, 201, representacaoGist(gist), headersLimite)
+
+    }
+
+    respondeJson(res, 405, { message: 'Method Not Allowed' }, headersLimite)
+
+}
+
+// GET /user, usado pelo app para testar o token
+function rotaUsuario(req, res) {
+
+    const token = tokenRequisicao(req)
+
+    if (token === null) {
+        return respondeJson(res, 401, { message: 'Requires authentication' })
+    }
+
+    const headers = consomeLimite(req)
+
+    if (headers === null) {
+        return respondeJson(res, 403, { message: 'API rate limit exceeded' }, consomeLimite(req, false))
+    }
+
+    if (token.escopos !== null) {
+        headers['X-OAuth-Scopes'] = token.escopos
+    }
+
+    respondeJson(res, 200, { login: 'mock-user', name: 'Usuário do mock', id: 1 }, headers)
+
+}
+
+const servidor = http.createServer(async (req, res) => {
+
+    // O app roda em outra origem (file:// ou live server), então o mock precisa liberar o CORS
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, PATCH, DELETE, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, If-None-Match')
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-OAuth-Scopes, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Used, X-RateLimit-Reset')
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204)
+        return res.end()
+    }
+
+    const url = new URL(req.url, `http://localhost:${porta}`)
+    const rotaConteudo = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/)
+
+    // Como a API real, um token inválido é recusado em qualquer rota
+    const token = tokenRequisicao(req)
+
+    if (token !== null && !token.valido) {
+        return respondeJson(res, 401, { message: 'Bad credentials' })
+    }
+
+    try {
+
+        if (url.pathname === '/user' && req.method === 'GET') {
+            return rotaUsuario(req, res)
+        }
+
+        const rotaGist = url.pathname.match(/^\/gists(?:\/([0-9a-f]+))?\/?$/)
+        const rotaGistRaw = url.pathname.match(/^\/gists\/([0-9a-f]+)\/raw\/(.+)$/)
+
+        // raw_url dos arquivos, que no GitHub fica fora da API e não conta no limite
+        if (rotaGistRaw && req.method === 'GET') {
+
+            const gist = gists.get(rotaGistRaw[1])
+            const nome = decodeURIComponent(rotaGistRaw[2])
+
+            if (gist === undefined || !(nome in gist.files)) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+                return res.end('404: Not Found')
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' })
+            return res.end(gist.files[nome])
+
+        }
+
+        if (rotaGist) {
+            return await rotaGists(req, res, rotaGist[1] || null)
+        }
+
+        if (rotaConteudo) {
+            return await rotaConteudos(req, res, rotaConteudo[1], rotaConteudo[2], decodeURIComponent(rotaConteudo[3]))
+        }
+
+        respondeJson(res, 404, { message: 'Not Found' })
+
+    } catch (error) {
+
+        console.error(error)
+        respondeJson(res, 500, { message: error.message })
+
+    }
+
+})
+
+arquivos.set('vcdomith/codi_bites/_projetos/data.json', fs.readFileSync(path.join(__dirname, '..', '_projetos', 'data.json'), 'utf8'))
+
+gists.set('aa5a315d61ae9438b18d', {
+    id: 'aa5a315d61ae9438b18d',
+    description: 'Exemplos do mock',
+    public: true,
+    created_at: '2024-01-15T12:00:00Z',
+    files: {
+        'soma.py': 'def soma(a, b):\n    return a + b\n',
+        'ola.js': 'console.log("olá")\n'
+    }
+})
+
+servidor.listen(porta, () => console.log(`Mock da API do GitHub em http://localhost:${porta}`))
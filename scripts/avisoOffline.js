@@ -0,0 +1,50 @@
+
+
+
+// Aviso abaixo do header do feed quando os projetos do GitHub vieram do cache (sem conexão, limite da API esgotado ou
+// GitHub fora do ar), uma linha por fonte. Sem nada a avisar o aviso anterior só é removido
+function mostraAvisoOffline(header) {
+
+    document.querySelectorAll('.aviso-offline').forEach((aviso) => aviso.remove())
+
+    const fontes = fontesRemotas()
+
+    const textos = fontes
+        .map((fonte) => {
+
+            const descricao = descricaoLeituraGithub(urlConteudoFonte(fonte))
+            return descricao !== null && fontes.length > 1 ? `${nomeFonteRemota(fonte)}: ${descricao}` : descricao
+
+        })
+        .filter((texto) => texto !== null)
+
+    if (textos.length === 0) {
+        return
+    }
+
+    //<1_divAvisoOffline  <div class="aviso-offline">
+    const divAvisoOffline = createNewElement('div', 'aviso-offline')
+    divAvisoOffline.setAttribute('role', 'status')
+
+        //*2_pAvisoOffline  <p>Sem conexão com o GitHub, mostrando dados em cache de 18/10/2026, 10:31:25</p>
+        textos.forEach((texto) => divAvisoOffline.appendChild(createNewElement('p', 'aviso-offline-texto', texto)))
+
+    //1_divAvisoOffline>
+    header.after(divAvisoOffline)
+
+}
+
+// O aviso acompanha a conexão enquanto o feed está aberto
+function iniciaAvisoOffline() {
+
+    const eventos = ['online', 'offline']
+
+    eventos.forEach((evento) => window.addEventListener(evento, () => {
+
+        if (pageContext() === 'Projetos') {
+            mostraAvisoOffline(document.querySelector('.header-editor'))
+        }
+
+    }))
+
+}
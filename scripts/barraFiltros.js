@@ -0,0 +1,226 @@
+// Barra de filtros e ordem do feed (ver filtrosProjetos.js). As opções saem dos projetos salvos, cada alteração vai para
+// a URL e a lista de posts é montada de novo pelo feed (ver preencheListaPosts)
+
+// Opção de um select, selecionada quando é o valor do filtro (a tag da URL pode vir com outras maiúsculas)
+function criaOpcaoFiltro(valor, texto, valorAtual) {
+
+    //*1_optionFiltro  <option value="python">Python</option>
+    const optionFiltro = createNewElement('option', null, texto)
+    optionFiltro.value = valor
+    optionFiltro.selected = valor.toLowerCase() === valorAtual.toLowerCase()
+
+    return optionFiltro
+
+}
+
+// <label> com o texto e o campo do filtro
+function criaCampoFiltro(texto, campo) {
+
+    //<1_labelFiltro  <label class="filtro">
+    const labelFiltro = createNewElement('label', 'filtro')
+
+        //*2_spanFiltro  <span>Linguagem</span>
+        const spanFiltro = createNewElement('span', 'filtro-nome', texto)
+
+    //1_labelFiltro>
+    labelFiltro.appendChild(spanFiltro)
+    labelFiltro.appendChild(campo)
+
+    return labelFiltro
+
+}
+
+// Valores diferentes de um campo dos projetos. Um valor vindo da URL que nenhum projeto tem continua na lista, senão o
+// select mostraria 'Todas' com o filtro ainda ativo
+function valoresFiltro(projetos, valorDe, valorAtual) {
+
+    const valores = new Map()
+
+    projetos.forEach((projeto) => {
+
+        const valor = valorDe(projeto)
+
+        if (!valores.has(valor.toLowerCase())) {
+            valores.set(valor.toLowerCase(), valor)
+        }
+
+    })
+
+    if (valorAtual !== '' && !valores.has(valorAtual.toLowerCase())) {
+        valores.set(valorAtual.toLowerCase(), valorAtual)
+    }
+
+    return [...valores.values()]
+
+}
+
+// Filtros escolhidos na barra, no formato do filtrosDaUrl
+function leBarraFiltros(divBarraFiltros) {
+
+    return {
+        linguagem: divBarraFiltros.querySelector('.filtro-linguagem').value,
+        tag: divBarraFiltros.querySelector('.filtro-tag').value,
+        cor: divBarraFiltros.querySelector('.filtro-cores').getAttribute('data-cor'),
+        de: divBarraFiltros.querySelector('.filtro-de').value,
+        ate: divBarraFiltros.querySelector('.filtro-ate').value,
+        ordem: divBarraFiltros.querySelector('.filtro-ordem').value
+    }
+
+}
+
+function criaBarraFiltros(projetos, parent, aoAlterar) {
+
+    const filtros = filtrosDaUrl()
+
+    // Chamada pelos campos e pelas cores, a barra já existe quando alguma delas é usada
+    const alteraFiltros = () => {
+
+        const filtrosEscolhidos = leBarraFiltros(divBarraFiltros)
+
+        buttonLimpar.hidden = !filtrosAtivos(filtrosEscolhidos)
+        gravaFiltrosUrl(filtrosEscolhidos)
+
+        aoAlterar()
+
+    }
+
+    //<1_divBarraFiltros  <div class="barra-filtros">
+    const divBarraFiltros = createNewElement('div', 'barra-filtros')
+
+        //*2_selectLinguagem  <select class="filtro-linguagem">
+        const selectLinguagem = createNewElement('select', 'filtro-linguagem')
+
+        //*2_selectTag  <select class="filtro-tag">
+        const selectTag = createNewElement('select', 'filtro-tag')
+
+        //<2_divCores  <div class="filtro filtro-cores" data-cor="">
+        const divCores = createNewElement('div', 'filtro filtro-cores')
+        divCores.setAttribute('data-cor', filtros.cor)
+
+            //*3_spanCores  <span>Cor</span>
+            const spanCores = createNewElement('span', 'filtro-nome', 'Cor')
+            divCores.appendChild(spanCores)
+
+        // Os botões de cor são recriados junto com as opções (ver preencheOpcoesFiltros). Clicar na cor escolhida tira o filtro
+        divCores.addEventListener('click', (event) => {
+
+            const buttonCor = event.target.closest('.filtro-cor')
+
+            if (buttonCor === null) {
+                return
+            }
+
+            const cor = buttonCor.getAttribute('data-cor')
+            const corEscolhida = divCores.getAttribute('data-cor') === cor ? '' : cor
+
+            divCores.setAttribute('data-cor', corEscolhida)
+            divCores.querySelectorAll('.filtro-cor').forEach((botao) => botao.setAttribute('aria-pressed', `${botao.getAttribute('data-cor') === corEscolhida}`))
+
+            alteraFiltros()
+
+        })
+
+        //*2_inputDe  <input type="date" class="filtro-de">
+        const inputDe = createNewElement('input', 'filtro-de')
+        inputDe.setAttribute('type', 'date')
+        inputDe.value = filtros.de
+
+        //*2_inputAte  <input type="date" class="filtro-ate">
+        const inputAte = createNewElement('input', 'filtro-ate')
+        inputAte.setAttribute('type', 'date')
+        inputAte.value = filtros.ate
+
+        //*2_selectOrdem  <select class="filtro-ordem">
+        const selectOrdem = createNewElement('select', 'filtro-ordem')
+
+        Object.entries(ordenacoesProjetos).forEach(([ordem, texto]) => selectOrdem.appendChild(criaOpcaoFiltro(ordem, texto, filtros.ordem)))
+
+        //*2_pContagem  <p class="contagem-filtros">3 de 10 projeto(s)</p>
+        const pContagem = createNewElement('p', 'contagem-filtros')
+
+        //*2_buttonLimpar  <button type="button">Limpar filtros</button>
+        const buttonLimpar = createNewElement('button', 'botao-limpar-filtros', 'Limpar filtros')
+        buttonLimpar.setAttribute('type', 'button')
+        buttonLimpar.hidden = !filtrosAtivos(filtros)
+
+    //1_divBarraFiltros>
+    divBarraFiltros.appendChild(criaCampoFiltro('Linguagem', selectLinguagem))
+    divBarraFiltros.appendChild(criaCampoFiltro('Tag', selectTag))
+    divBarraFiltros.appendChild(divCores)
+    divBarraFiltros.appendChild(criaCampoFiltro('De', inputDe))
+    divBarraFiltros.appendChild(criaCampoFiltro('Até', inputAte))
+    divBarraFiltros.appendChild(criaCampoFiltro('Ordenar por', selectOrdem))
+    divBarraFiltros.appendChild(pContagem)
+    divBarraFiltros.appendChild(buttonLimpar)
+
+    preencheOpcoesFiltros(divBarraFiltros, projetos, filtros)
+
+    parent.appendChild(divBarraFiltros)
+
+    const camposFiltro = [selectLinguagem, selectTag, inputDe, inputAte, selectOrdem]
+    camposFiltro.forEach((campo) => campo.addEventListener('change', alteraFiltros))
+
+    // A ordem escolhida continua, só os filtros são limpos
+    buttonLimpar.addEventListener('click', () => {
+
+        selectLinguagem.value = ''
+        selectTag.value = ''
+        inputDe.value = ''
+        inputAte.value = ''
+        divCores.setAttribute('data-cor', '')
+        divCores.querySelectorAll('.filtro-cor').forEach((botao) => botao.setAttribute('aria-pressed', 'false'))
+
+        alteraFiltros()
+
+    })
+
+    return divBarraFiltros
+
+}
+
+// Opções de linguagem e tag e os botões de cor, a partir dos projetos do feed. Chamada ao criar a barra e de novo quando
+// um projeto muda em outra aba (ver atualizaFeed), mantendo o que está escolhido
+function preencheOpcoesFiltros(divBarraFiltros, projetos, filtros) {
+
+    const selectLinguagem = divBarraFiltros.querySelector('.filtro-linguagem')
+    const selectTag = divBarraFiltros.querySelector('.filtro-tag')
+    const divCores = divBarraFiltros.querySelector('.filtro-cores')
+
+    selectLinguagem.replaceChildren(criaOpcaoFiltro('', 'Todas', filtros.linguagem))
+
+    valoresFiltro(projetos, (projeto) => projeto.linguagem, filtros.linguagem)
+        .sort((a, b) => nomeLinguagem(a).localeCompare(nomeLinguagem(b), 'pt-BR'))
+        .forEach((linguagem) => selectLinguagem.appendChild(criaOpcaoFiltro(linguagem, nomeLinguagem(linguagem), filtros.linguagem)))
+
+    selectTag.replaceChildren(criaOpcaoFiltro('', 'Todas', filtros.tag))
+
+    valoresFiltro(projetos, (projeto) => `${projeto.tag}`, filtros.tag)
+        .sort((a, b) => a.localeCompare(b, 'pt-BR', { sensitivity: 'base' }))
+        .forEach((tag) => selectTag.appendChild(criaOpcaoFiltro(tag, tag, filtros.tag)))
+
+    divCores.querySelectorAll('.filtro-cor').forEach((buttonCor) => buttonCor.remove())
+
+    valoresFiltro(projetos, (projeto) => corFiltro(projeto.cor), filtros.cor).forEach((cor) => {
+
+        //*1_buttonCor  <button type="button" class="filtro-cor" title="#5081fb" aria-pressed="false"></button>
+        const buttonCor = createNewElement('button', 'filtro-cor')
+        buttonCor.setAttribute('type', 'button')
+        buttonCor.setAttribute('title', `#${cor}`)
+        buttonCor.setAttribute('aria-label', `Cor #${cor}`)
+        buttonCor.setAttribute('aria-pressed', `${cor === filtros.cor}`)
+        buttonCor.setAttribute('data-cor', cor)
+        buttonCor.style.backgroundColor = `#${cor}`
+
+        divCores.appendChild(buttonCor)
+
+    })
+
+}
+
+function atualizaContagemFiltros(divBarraFiltros, visiveis, total) {
+
+    divBarraFiltros.querySelector('.contagem-filtros').textContent = visiveis === total
+        ? `${total} projeto(s)`
+        : `${visiveis} de ${total} projeto(s)`
+
+}
@@ -0,0 +1,376 @@
+// Barra de pesquisa do cabeçalho (ver pesquisaProjetos.js). O feed é filtrado a cada tecla sem recriar os cards: os que
+// não atendem a consulta ficam escondidos e os outros são reordenados pela pontuação com a propriedade order do flex,
+// já que mover um code-input no DOM faz ele montar o editor de novo. Os trechos encontrados ficam marcados no título,
+// na descrição, na linguagem, na tag e no código de cada card
+
+const estadoPesquisa = {
+    texto: '',
+    // Índices da última renderização do feed, na ordem do feed (ver indexaFeedPesquisa)
+    indices: [],
+    espera: null
+}
+
+// code-inputs que ainda não montaram o código colorido quando a pesquisa foi aplicada
+const codigosAguardandoRealce = new WeakSet()
+
+// Chamado pelo feed depois de criar os cards, a pesquisa digitada continua valendo ao voltar para o feed
+function indexaFeedPesquisa(projetos) {
+
+    estadoPesquisa.indices = projetos.map(indexaProjetoPesquisa)
+    aplicaPesquisa()
+
+}
+
+function aplicaPesquisa() {
+
+    const listaPosts = document.querySelector('.lista-posts')
+
+    if (document.querySelector('.header-editor') === null || pageContext() !== 'Projetos' || listaPosts === null) {
+        return
+    }
+
+    const consulta = interpretaPesquisa(estadoPesquisa.texto)
+    const cardsFeed = () => new Map(Array.from(listaPosts.querySelectorAll('.post')).map((card) => [card.classList[0], card]))
+
+    // Com a pesquisa ativa todos os resultados já viram card, o restante do feed volta a carregar quando ela é limpa
+    listaPosts.querySelectorAll('.carrega-mais-posts').forEach((liCarregaMais) => liCarregaMais.hidden = !consultaVazia(consulta))
+
+    if (consultaVazia(consulta)) {
+
+        cardsFeed().forEach((card) => {
+
+            card.style.display = ''
+            card.style.order = ''
+            removeRealcesCard(card)
+
+        })
+
+        removeResultadoPesquisa()
+        return
+
+    }
+
+    const encontrados = pesquisaProjetos(estadoPesquisa.indices, consulta)
+    const posicoes = new Map(encontrados.map((indice, posicao) => [indice.projeto.id, posicao]))
+
+    // Resultados das páginas do feed que ainda não foram mostradas (ver feedPaginado.js)
+    mostraPostsAte(listaPosts, [...posicoes.keys()])
+
+    cardsFeed().forEach((card, id) => {
+
+        if (!posicoes.has(id)) {
+
+            card.style.display = 'none'
+            removeRealcesCard(card)
+            return
+
+        }
+
+        // O card de novo projeto fica com order 0, sempre antes dos resultados
+        card.style.display = ''
+        card.style.order = posicoes.get(id) + 1
+        realcaCard(card, consulta)
+
+    })
+
+    mostraResultadoPesquisa(listaPosts, encontrados.length)
+
+}
+
+function mostraResultadoPesquisa(listaPosts, quantidade) {
+
+    let divResultado = document.querySelector('.resultado-pesquisa')
+
+    if (divResultado === null) {
+
+        //<1_divResultado  <div class="resultado-pesquisa">
+        divResultado = createNewElement('div', 'resultado-pesquisa')
+
+            //*2_pResultado  <p>3 projeto(s) encontrado(s) para "media"</p>
+            const pResultado = createNewElement('p', 'resultado-pesquisa-texto')
+
+            //*2_buttonLimpar  <button type="button">Limpar pesquisa</button>
+            const buttonLimpar = createNewElement('button', 'botao-limpar-pesquisa', 'Limpar pesquisa')
+            buttonLimpar.setAttribute('type', 'button')
+            buttonLimpar.addEventListener('click', limpaPesquisa)
+
+        //1_divResultado>
+        divResultado.appendChild(pResultado)
+        divResultado.appendChild(buttonLimpar)
+
+        listaPosts.before(divResultado)
+
+    }
+
+    const texto = estadoPesquisa.texto.trim()
+
+    divResultado.querySelector('.resultado-pesquisa-texto').textContent = quantidade === 0
+        ? `Nenhum projeto encontrado para "${texto}"`
+        : `${quantidade} projeto(s) encontrado(s) para "${texto}"`
+
+}
+
+function removeResultadoPesquisa() {
+
+    document.querySelectorAll('.resultado-pesquisa').forEach((divResultado) => divResultado.remove())
+
+}
+
+function limpaPesquisa() {
+
+    clearTimeout(estadoPesquisa.espera)
+
+    document.querySelector('.barra-pesquisa').value = ''
+    estadoPesquisa.texto = ''
+
+    aplicaPesquisa()
+
+}
+
+// Fora do feed o texto fica guardado e só abre o feed com o Enter ou a lupa, para não sair de uma edição no meio
+async function atualizaPesquisa(texto, abreFeed = false) {
+
+    estadoPesquisa.texto = texto
+
+    if (pageContext() === 'Projetos') {
+        aplicaPesquisa()
+        return
+    }
+
+    if (abreFeed) {
+        await navega('/')
+    }
+
+}
+
+// Envolve os trechos [[inicio, fim], ...] do texto do elemento em <mark>, atravessando os spans do código colorido
+function marcaIntervalos(elemento, intervalos) {
+
+    if (intervalos.length === 0) {
+        return
+    }
+
+    const percurso = document.createTreeWalker(elemento, NodeFilter.SHOW_TEXT)
+    const nos = []
+
+    while (percurso.nextNode()) {
+        nos.push(percurso.currentNode)
+    }
+
+    let inicioNo = 0
+
+    nos.forEach((no) => {
+
+        const fimNo = inicioNo + no.length
+
+        // Do último trecho para o primeiro, assim cada splitText mantém o começo do nó onde os anteriores estão
+        intervalos
+            .filter(([inicio, fim]) => inicio < fimNo && fim > inicioNo)
+            .reverse()
+            .forEach(([inicio, fim]) => {
+
+                const inicioLocal = Math.max(inicio - inicioNo, 0)
+                const fimLocal = Math.min(fim - inicioNo, no.length)
+
+                if (fimLocal < no.length) {
+                    no.splitText(fimLocal)
+                }
+
+                const trecho = inicioLocal > 0 ? no.splitText(inicioLocal) : no
+
+                const markTrecho = createNewElement('mark', 'realce-pesquisa')
+                trecho.replaceWith(markTrecho)
+                markTrecho.appendChild(trecho)
+
+            })
+
+        inicioNo = fimNo
+
+    })
+
+}
+
+function desmarcaIntervalos(elemento) {
+
+    elemento.querySelectorAll('mark.realce-pesquisa').forEach((markTrecho) => markTrecho.replaceWith(...markTrecho.childNodes))
+    elemento.normalize()
+
+}
+
+// Propriedades copiadas do textarea para a camada de realce quebrar as linhas nos mesmos pontos
+const estilosRealceTextarea = [
+    'gridArea', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'wordSpacing',
+    'textTransform', 'textIndent', 'textAlign', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+]
+
+// Textarea não aceita marcação, os realces ficam numa camada com o mesmo texto transparente por cima dele
+function realcaTextarea(textarea, intervalos) {
+
+    const realceAnterior = textarea.nextElementSibling
+
+    if (realceAnterior !== null && realceAnterior.classList.contains('realce-textarea')) {
+        realceAnterior.remove()
+    }
+
+    if (intervalos.length === 0) {
+        return
+    }
+
+    const estilo = getComputedStyle(textarea)
+
+    //*1_divRealce  <div class="realce-textarea" aria-hidden="true">Título</div>
+    const divRealce = createNewElement('div', 'realce-textarea', textarea.value)
+    divRealce.setAttribute('aria-hidden', 'true')
+    estilosRealceTextarea.forEach((propriedade) => divRealce.style[propriedade] = estilo[propriedade])
+    divRealce.style.width = `${textarea.clientWidth}px`
+    divRealce.style.height = `${textarea.clientHeight}px`
+
+    marcaIntervalos(divRealce, intervalos)
+
+    textarea.after(divRealce)
+
+}
+
+function realcaCodigoCard(codeInput) {
+
+    const consulta = interpretaPesquisa(estadoPesquisa.texto)
+
+    desmarcaIntervalos(codeInput.codeElement)
+    marcaIntervalos(codeInput.codeElement, intervalosPesquisa(codeInput.codeElement.textContent, consulta.termos))
+
+}
+
+function realcaCard(card, consulta) {
+
+    removeRealcesCard(card)
+
+    // Linguagem e tag filtradas por qualificador ficam marcadas inteiras
+    const [h5Linguagem, h5Tag] = card.querySelectorAll('.wrapper-texto h5')
+
+    marcaIntervalos(h5Linguagem, consulta.linguagens.length > 0 ? [[0, h5Linguagem.textContent.length]] : intervalosPesquisa(h5Linguagem.textContent, consulta.termos))
+    marcaIntervalos(h5Tag, consulta.tags.length > 0 ? [[0, h5Tag.textContent.length]] : intervalosPesquisa(h5Tag.textContent, consulta.termos))
+
+    card.querySelectorAll('.comunidade-titulo, .comunidade-descricao').forEach((textarea) => {
+        realcaTextarea(textarea, intervalosPesquisa(textarea.value, consulta.termos))
+    })
+
+    const codeInput = card.querySelector('code-input')
+
+    // Card que ainda não apareceu na tela mostra a prévia do código em texto (ver montaCodigoCard)
+    if (codeInput === null) {
+
+        const codePrevia = card.querySelector('.previa-codigo code')
+        marcaIntervalos(codePrevia, intervalosPesquisa(codePrevia.textContent, consulta.termos))
+        return
+
+    }
+
+    if (codeInput.codeElement) {
+        realcaCodigoCard(codeInput)
+        return
+    }
+
+    // O código colorido só existe depois que o code-input carrega, o realce usa a pesquisa do momento em que isso acontece
+    if (!codigosAguardandoRealce.has(codeInput)) {
+
+        codigosAguardandoRealce.add(codeInput)
+
+        codeInput.addEventListener('code-input_load', () => {
+
+            codigosAguardandoRealce.delete(codeInput)
+
+            if (card.style.display !== 'none') {
+                realcaCodigoCard(codeInput)
+            }
+
+        }, { once: true })
+
+    }
+
+}
+
+// Chamado quando o card troca a prévia pelo code-input, o código novo ainda não tem as marcas da pesquisa ativa
+function realcaPesquisaCard(card) {
+
+    const consulta = interpretaPesquisa(estadoPesquisa.texto)
+
+    if (!consultaVazia(consulta) && card.style.display !== 'none') {
+        realcaCard(card, consulta)
+    }
+
+}
+
+function removeRealcesCard(card) {
+
+    card.querySelectorAll('.wrapper-texto h5, .previa-codigo code').forEach(desmarcaIntervalos)
+    card.querySelectorAll('.realce-textarea').forEach((divRealce) => divRealce.remove())
+
+    const codeInput = card.querySelector('code-input')
+
+    if (codeInput !== null && codeInput.codeElement) {
+        desmarcaIntervalos(codeInput.codeElement)
+    }
+
+}
+
+function iniciaPesquisa() {
+
+    const inputPesquisa = document.querySelector('.barra-pesquisa')
+    const cabecalho = document.querySelector('.cabecalho')
+
+    inputPesquisa.addEventListener('input', () => {
+
+        clearTimeout(estadoPesquisa.espera)
+        estadoPesquisa.espera = setTimeout(() => atualizaPesquisa(inputPesquisa.value), 150)
+
+    })
+
+    inputPesquisa.addEventListener('keydown', (event) => {
+
+        if (event.key === 'Enter') {
+
+            clearTimeout(estadoPesquisa.espera)
+            atualizaPesquisa(inputPesquisa.value, true)
+
+        }
+
+        if (event.key === 'Escape') {
+            limpaPesquisa()
+        }
+
+    })
+
+    // Em telas menores a barra fica escondida e a lupa abre a barra, pesquisa o que foi digitado ou fecha a barra vazia
+    document.querySelector('.lupa').addEventListener('click', (event) => {
+
+        event.preventDefault()
+
+        if (!cabecalho.classList.contains('pesquisa-aberta')) {
+
+            cabecalho.classList.add('pesquisa-aberta')
+            inputPesquisa.focus()
+
+        } else if (inputPesquisa.value.trim() === '') {
+
+            cabecalho.classList.remove('pesquisa-aberta')
+
+        } else {
+
+            clearTimeout(estadoPesquisa.espera)
+            atualizaPesquisa(inputPesquisa.value, true)
+
+        }
+
+    })
+
+    // A camada de realce dos textareas tem a largura medida, precisa ser refeita quando a janela muda de tamanho
+    let esperaJanela = null
+
+    window.addEventListener('resize', () => {
+
+        clearTimeout(esperaJanela)
+        esperaJanela = setTimeout(() => estadoPesquisa.texto.trim() !== '' && aplicaPesquisa(), 200)
+
+    })
+
+}
@@ -0,0 +1,37 @@
+
+// Configurações do usuário (fontes do GitHub, preferências...). Cada configuração fica em uma chave própria do
+// localStorage no formato 'codi_bites:configuracao:nome', fora dos índices de projetos e por isso não aparecem no feed
+
+function chaveConfiguracao(nome) {
+
+    return chaveArmazenamento('configuracao', nome)
+
+}
+
+function leConfiguracao(nome, valorPadrao = null) {
+
+    try {
+
+        const valor = window.localStorage.getItem(chaveConfiguracao(nome))
+        return valor === null ? valorPadrao : JSON.parse(valor)
+
+    } catch (error) {
+
+        console.error(error)
+        return valorPadrao
+
+    }
+
+}
+
+function gravaConfiguracao(nome, valor) {
+
+    window.localStorage.setItem(chaveConfiguracao(nome), JSON.stringify(valor))
+
+}
+
+function removeConfiguracao(nome) {
+
+    window.localStorage.removeItem(chaveConfiguracao(nome))
+
+}
@@ -68,7 +68,7 @@ function criaPost(projeto, parent) {
                 // divWrapperTextoHeader.setAttribute('style', `background-color: ${projeto.corTexto}`)
             
                     //*4_linguagem   <h4>Linguagem</h4>
-                    const h5Linguagem = createNewElement('h5', null, capitalize(projeto.linguagem))
+                    const h5Linguagem = createNewElement('h5', null, nomeLinguagem(projeto.linguagem))
                     h5Linguagem.setAttribute('style', `color: ${projeto.corTexto}; border-right: 2px solid ${projeto.corTexto}`)
                     // h5Linguagem.setAttribute('style', `color: ${projeto.cor}; border-right: 2px solid ${projeto.cor}`)
 
@@ -83,16 +83,20 @@ function criaPost(projeto, parent) {
             divWrapperOpcoes.appendChild(divWrapperIcones)
             divWrapperOpcoes.appendChild(divWrapperTextoHeader)
         
-            //*3_codeInput   <code-input class="comunidade-codigo" lang="py" placeholder="Escreva seu código aqui"></code-input>
-            const codeInput = createNewElement('code-input','comunidade-codigo', projeto.codigo)
-            codeInput.setAttribute('lang', projeto.linguagem)
-            codeInput.setAttribute('placeholder', 'Escreva seu código aqui')
-            codeInput.style.pointerEvents="none"
-            codeInput.style.textWrap="wrap"
+            //<3_preCodigo   <pre class="comunidade-codigo previa-codigo" data-linguagem="python">
+            // Vira o code-input quando o card aparece na tela (ver montaCodigoCard em feedPaginado.js)
+            const preCodigo = createNewElement('pre', 'comunidade-codigo previa-codigo')
+            preCodigo.setAttribute('data-linguagem', projeto.linguagem)
+
+                //*4_codePrevia   <code>print('olá')</code>
+                const codePrevia = createNewElement('code', null, previaCodigo(projeto.codigo))
+
+            //3_preCodigo>
+            preCodigo.appendChild(codePrevia)
 
         //2_wrapperEditor>  <div class="editor">
         divWrapperEditor.appendChild(divWrapperOpcoes)
-        divWrapperEditor.appendChild(codeInput)
+        divWrapperEditor.appendChild(preCodigo)
 
         //<2_wrapperDetalhes   <div class="detalhes-post">
         const divWrapperDetalhes = createNewElement('div', 'detalhes-post')
@@ -113,9 +117,7 @@ function criaPost(projeto, parent) {
             const divWrapperData = createNewElement('div', 'linguagem-data')
 
                 //*4_data        <h5>Data</h5>
-                    // Condição que trata projetos antigos que não tinham data ainda
-                const data = projeto.data === undefined ? 's/ data' : projeto.data
-                const h5Data = createNewElement('h5', null, data)
+                const h5Data = createNewElement('h5', null, projeto.data)
             
             //>3_wrapperLinguagemData
             divWrapperData.appendChild(h5Data)
@@ -142,25 +144,12 @@ function criaPost(projeto, parent) {
                     divWrapperComentarios.appendChild(imgComentarios)
                     divWrapperComentarios.appendChild(pQuantidadeComentarios)
 
-                    //<5_wrapperLikes    <div>
-                    const divWrapperLikes = createNewElement('div')
-
-                        //*6_imgLikes      <img src="./assets/likes.svg" alt="imagem coração likes">
-                        const imgLikes = createNewElement('img')
-                        imgLikes.setAttribute('src', './assets/likes.svg')
-                        imgLikes.setAttribute('alt', 'imagem coração likes')
-
-                        //*6_pQuantLikes      <p style="margin: 0;">0</p>
-                        const pQuantidadeLikes = createNewElement('p', null, projeto.likes)
-                        pQuantidadeLikes.setAttribute('style', 'margin: 0;')
-
-                    //5_wrapperLikes>     </div>
-                    divWrapperLikes.appendChild(imgLikes)
-                    divWrapperLikes.appendChild(pQuantidadeLikes)
+                    //*5_divCurtir    <div class="curtir" role="button" aria-pressed="false"> (ver paginaCurtidos.js)
+                    const divCurtir = criaBotaoCurtir(projeto)
 
                 //4_wrapperSocial>    </div class="social">
                 divWrapperSocial.appendChild(divWrapperComentarios)
-                divWrapperSocial.appendChild(divWrapperLikes)
+                divWrapperSocial.appendChild(divCurtir)
 
                 //<4_outerAutor    <div class="autor">
                 const divAutor = createNewElement('div', 'autor')
@@ -202,13 +191,11 @@ function criaPost(projeto, parent) {
 
     parent.appendChild(liPost)
 
-    liPost.addEventListener('click', () => {
-
-        limpaPagina()
+    observaCodigoCard(liPost)
 
-        const indiceProjetoVinculado = JSON.parse(localStorage[liPost.classList[0]])
+    liPost.addEventListener('click', () => {
 
-        mostraPostDetalhado(indiceProjetoVinculado)
+        navega(rotaProjeto(liPost.classList[0]))
 
         window.onload = function() {
             // Seleciona todos os elementos code-input
@@ -249,12 +236,7 @@ function criaPostNovo(parent, classe = 'post-novo') {
         botaoWrapperPost.appendChild(imgNovoPost)
         botaoWrapperPost.appendChild(pNovoPost)
 
-        botaoWrapperPost.addEventListener('click', () => {
-
-            limpaPagina()
-            criaEditorNovo()
-
-        })
+        botaoWrapperPost.addEventListener('click', () => navega('/novo'))
 
     //1_liWrapperNovoPost> 
     liWrapperNovoPost.appendChild(botaoWrapperPost)
@@ -0,0 +1,256 @@
+
+// Backend IndexedDB do repositorioProjetos. Não tem o limite de ~5MB do localStorage e mantém índices para
+// consultar os projetos por linguagem, tag e data sem precisar carregar a biblioteca inteira
+
+const nomeBancoIndexedDB = 'codi_bites'
+
+// Cada posição da lista é a atualização de uma versão do banco (índice 0 -> versão 1). Novas stores ou índices
+// entram como uma nova função no final, nunca alterando as anteriores
+const versoesBancoIndexedDB = [
+
+    // v1: projetos com índices de consulta e store 'meta' para controle das migrações
+    (banco) => {
+
+        const storeProjetos = banco.createObjectStore('projetos', { keyPath: 'id' })
+        storeProjetos.createIndex('linguagem', 'linguagem', { unique: false })
+        storeProjetos.createIndex('tag', 'tag', { unique: false })
+        storeProjetos.createIndex('data', 'data', { unique: false })
+
+        banco.createObjectStore('meta')
+
+    },
+
+    // v2: última versão sincronizada de cada projeto com o data.json remoto, base da mescla de três vias
+    (banco) => {
+
+        banco.createObjectStore('sincronizados', { keyPath: 'id' })
+
+    },
+
+    // v3: histórico de revisões, consultado por projeto
+    (banco) => {
+
+        const storeRevisoes = banco.createObjectStore('revisoes', { keyPath: 'id' })
+        storeRevisoes.createIndex('projetoId', 'projetoId', { unique: false })
+
+    },
+
+    // v4: lixeira com os projetos excluídos que ainda podem ser restaurados
+    (banco) => {
+
+        banco.createObjectStore('lixeira', { keyPath: 'id' })
+
+    }
+
+]
+
+let bancoIndexedDB = null
+
+function abreBancoIndexedDB() {
+
+    // A conexão é aberta uma única vez e compartilhada por todos os adaptadores
+    if (bancoIndexedDB === null) {
+
+        bancoIndexedDB = new Promise((resolve, reject) => {
+
+            const requisicao = window.indexedDB.open(nomeBancoIndexedDB, versoesBancoIndexedDB.length)
+
+            requisicao.onupgradeneeded = (event) => {
+
+                const banco = requisicao.result
+
+                for (let versao = event.oldVersion; versao < versoesBancoIndexedDB.length; versao++) {
+                    versoesBancoIndexedDB[versao](banco, requisicao.transaction)
+                }
+
+            }
+
+            requisicao.onsuccess = () => {
+
+                const banco = requisicao.result
+
+                // Outra aba abrindo uma versão nova do banco: a conexão é liberada para não travar a atualização dela
+                banco.onversionchange = () => {
+
+                    banco.close()
+                    bancoIndexedDB = null
+                    criaNotificacao('alerta', 'O Codi Bites foi atualizado em outra aba, recarregue esta página para continuar salvando')
+
+                }
+
+                resolve(banco)
+
+            }
+
+            requisicao.onerror = () => reject(requisicao.error)
+
+            // Uma aba com a versão antiga ainda aberta segura a atualização. A abertura continua pendente até ela ser
+            // fechada, falhar aqui faria esta aba salvar em outro backend
+            requisicao.onblocked = () => criaNotificacao('alerta', 'Feche as outras abas do Codi Bites para terminar de atualizar o banco de dados')
+
+        })
+
+        // Em caso de falha permite uma nova tentativa na próxima chamada
+        bancoIndexedDB.catch(() => bancoIndexedDB = null)
+
+    }
+
+    return bancoIndexedDB
+
+}
+
+function requisicaoIndexedDB(requisicao) {
+
+    return new Promise((resolve, reject) => {
+
+        requisicao.onsuccess = () => resolve(requisicao.result)
+        requisicao.onerror = () => reject(requisicao.error)
+
+    })
+
+}
+
+// A escrita só é considerada feita quando a transação inteira termina, assim um erro de cota também é capturado
+function transacaoIndexedDB(transacao) {
+
+    return new Promise((resolve, reject) => {
+
+        transacao.oncomplete = () => resolve()
+        transacao.onerror = () => reject(transacao.error)
+        transacao.onabort = () => reject(transacao.error || new Error('Transação IndexedDB abortada'))
+
+    })
+
+}
+
+function criaAdaptadorIndexedDB(nomeStore = 'projetos') {
+
+    async function store(modo) {
+
+        const banco = await abreBancoIndexedDB()
+        const transacao = banco.transaction(nomeStore, modo)
+
+        return { transacao, objectStore: transacao.objectStore(nomeStore) }
+
+    }
+
+    return {
+
+        async listar() {
+
+            const { objectStore } = await store('readonly')
+            return requisicaoIndexedDB(objectStore.getAll())
+
+        },
+
+        async obter(id) {
+
+            const { objectStore } = await store('readonly')
+            const projeto = await requisicaoIndexedDB(objectStore.get(`${id}`))
+
+            return projeto === undefined ? null : projeto
+
+        },
+
+        async gravar(projeto) {
+
+            const { transacao, objectStore } = await store('readwrite')
+            objectStore.put({ ...projeto, id: `${projeto.id}` })
+
+            return transacaoIndexedDB(transacao)
+
+        },
+
+        async remover(id) {
+
+            const { transacao, objectStore } = await store('readwrite')
+            objectStore.delete(`${id}`)
+
+            return transacaoIndexedDB(transacao)
+
+        },
+
+        // Consulta usando os índices da store. Ex: listarPorIndice('linguagem', 'python')
+        async listarPorIndice(indice, valor) {
+
+            const { objectStore } = await store('readonly')
+            return requisicaoIndexedDB(objectStore.index(indice).getAll(valor))
+
+        }
+
+    }
+
+}
+
+async function leMetaIndexedDB(chave) {
+
+    const banco = await abreBancoIndexedDB()
+    const valor = await requisicaoIndexedDB(banco.transaction('meta', 'readonly').objectStore('meta').get(chave))
+
+    return valor === undefined ? null : valor
+
+}
+
+async function gravaMetaIndexedDB(chave, valor) {
+
+    const banco = await abreBancoIndexedDB()
+    const transacao = banco.transaction('meta', 'readwrite')
+    transacao.objectStore('meta').put(valor, chave)
+
+    return transacaoIndexedDB(transacao)
+
+}
+
+// Move os projetos e as outras coleções que estão salvos no localStorage (ver criaAdaptadorWebStorage) para o IndexedDB.
+// Roda sempre que o localStorage tem registros: além da primeira migração, traz de volta o que foi salvo numa sessão em
+// que o IndexedDB falhou e o repositório ficou no localStorage (ver inicializa). Primeiro tudo é copiado, e só depois da
+// cópia inteira concluída os registros saem do localStorage: uma falha durante a cópia deixa o localStorage como estava
+async function migraLocalStorageParaIndexedDB(adaptadorIndexedDB) {
+
+    const colecoes = ['projetos', 'sincronizados', 'revisoes', 'lixeira'].map((colecao) => ({
+        origem: criaAdaptadorWebStorage(window.localStorage, colecao),
+        destino: colecao === 'projetos' ? adaptadorIndexedDB : criaAdaptadorIndexedDB(colecao)
+    }))
+
+    const copiados = []
+
+    // O que está no localStorage é mais novo que a cópia do IndexedDB (tentativa interrompida ou sessão sem IndexedDB)
+    for (const { origem, destino } of colecoes) {
+
+        const registros = await origem.listar()
+
+        for (const registro of registros) {
+            await destino.gravar(registro)
+        }
+
+        copiados.push({ origem, registros })
+
+    }
+
+    if (copiados.every(({ registros }) => registros.length === 0)) {
+        return 0
+    }
+
+    await gravaMetaIndexedDB('migracaoLocalStorage', new Date().toISOString())
+
+    // A partir daqui os registros estão no IndexedDB. Uma falha ao apagar deixa cópias no localStorage, que são
+    // copiadas de novo na próxima abertura
+    try {
+
+        for (const { origem, registros } of copiados) {
+            for (const registro of registros) {
+                await origem.remover(registro.id)
+            }
+        }
+
+    } catch (error) {
+
+        console.error(error)
+
+    }
+
+    return copiados[0].registros.length
+
+}
+
+adaptadoresDisponiveis.indexedDB = (colecao) => criaAdaptadorIndexedDB(colecao)
@@ -0,0 +1,222 @@
+
+// Adaptadores de armazenamento usados pelo repositorioProjetos.
+// Todo adaptador expõe a mesma interface assíncrona, assim o backend pode ser trocado sem alterar as páginas:
+//   listar()         -> Promise com a Array de projetos
+//   obter(id)        -> Promise com o projeto ou null
+//   gravar(projeto)  -> Promise, grava (ou sobrescreve) o projeto pelo seu id
+//   remover(id)      -> Promise, apaga o projeto
+// Além dos projetos, a mesma interface guarda outras coleções de registros com id (ex: 'sincronizados'), cada
+// adaptador é criado para uma coleção
+
+// Toda chave da aplicação no Web Storage fica sob o namespace 'codi_bites:'. Os registros de uma coleção ficam em
+// 'codi_bites:colecao:id' e a lista dos seus ids no índice 'codi_bites:indice:colecao', a listagem lê só o índice e nunca
+// percorre as outras chaves da origem (extensões, outros apps, configurações, rascunhos e caches, que têm chaves próprias)
+const namespaceArmazenamento = 'codi_bites'
+
+function chaveArmazenamento(tipo, nome) {
+
+    return `${namespaceArmazenamento}:${tipo}:${nome}`
+
+}
+
+function criaAdaptadorWebStorage(storage, colecao = 'projetos') {
+
+    const chaveIndice = chaveArmazenamento('indice', colecao)
+
+    function leIndice() {
+
+        try {
+
+            const ids = JSON.parse(storage.getItem(chaveIndice))
+            return Array.isArray(ids) ? ids : []
+
+        } catch (error) {
+
+            console.error(error)
+            return []
+
+        }
+
+    }
+
+    function gravaIndice(ids) {
+
+        storage.setItem(chaveIndice, JSON.stringify(ids))
+
+    }
+
+    // Um valor só é considerado registro se for um JSON de objeto com o mesmo id da chave, qualquer outra coisa é ignorada
+    function leRegistro(id) {
+
+        try {
+
+            const valor = JSON.parse(storage.getItem(chaveArmazenamento(colecao, id)))
+
+            if (valor !== null && typeof valor === 'object' && `${valor.id}` === `${id}`) {
+                return valor
+            }
+
+        } catch (error) {
+
+            // Valor que não é JSON, não pertence à aplicação
+
+        }
+
+        return null
+
+    }
+
+    return {
+
+        async listar() {
+
+            return leIndice()
+                .map((id) => leRegistro(id))
+                .filter((registro) => registro !== null)
+
+        },
+
+        async obter(id) {
+
+            return leRegistro(id)
+
+        },
+
+        // Se o índice não couber no espaço restante o registro volta ao que era antes, nunca fica um registro fora do índice
+        async gravar(registro) {
+
+            const chave = chaveArmazenamento(colecao, registro.id)
+            const valorAnterior = storage.getItem(chave)
+
+            storage.setItem(chave, JSON.stringify(registro))
+
+            const ids = leIndice()
+
+            if (ids.includes(`${registro.id}`)) {
+                return
+            }
+
+            try {
+
+                gravaIndice([...ids, `${registro.id}`])
+
+            } catch (error) {
+
+                if (valorAnterior === null) {
+                    storage.removeItem(chave)
+                } else {
+                    storage.setItem(chave, valorAnterior)
+                }
+
+                throw error
+
+            }
+
+        },
+
+        async remover(id) {
+
+            storage.removeItem(chaveArmazenamento(colecao, id))
+            gravaIndice(leIndice().filter((idSalvo) => idSalvo !== `${id}`))
+
+        }
+
+    }
+
+}
+
+// Migração única dos projetos que a versão publicada gravava na chave do próprio id, sem namespace. Chaves que não
+// pertencem à aplicação ficam onde estão. Retorna quantos projetos foram movidos
+async function migraProjetosSemNamespace(storage) {
+
+    const chaveMigracao = chaveArmazenamento('meta', 'migracaoChaves')
+
+    if (storage.getItem(chaveMigracao) !== null) {
+        return 0
+    }
+
+    const adaptadorProjetos = criaAdaptadorWebStorage(storage, 'projetos')
+    let migrados = 0
+
+    for (const chave of Object.keys(storage)) {
+
+        if (chave.startsWith(`${namespaceArmazenamento}:`)) {
+            continue
+        }
+
+        let registro
+
+        try {
+
+            registro = JSON.parse(storage.getItem(chave))
+
+        } catch (error) {
+
+            continue
+
+        }
+
+        if (registro === null || typeof registro !== 'object' || `${registro.id}` !== chave) {
+            continue
+        }
+
+        await adaptadorProjetos.gravar(registro)
+        storage.removeItem(chave)
+        migrados++
+
+    }
+
+    storage.setItem(chaveMigracao, new Date().toISOString())
+
+    if (migrados > 0) {
+        console.log(`${migrados} projeto(s) antigos movidos para o namespace ${namespaceArmazenamento}`)
+    }
+
+    return migrados
+
+}
+
+function criaAdaptadorMemoria(projetosIniciais = []) {
+
+    // Guarda cópias dos projetos para que alterações feitas pelas páginas no objeto retornado não vazem para o armazenamento
+    const projetos = new Map(projetosIniciais.map((projeto) => [`${projeto.id}`, structuredClone(projeto)]))
+
+    return {
+
+        async listar() {
+
+            return Array.from(projetos.values()).map((projeto) => structuredClone(projeto))
+
+        },
+
+        async obter(id) {
+
+            const projeto = projetos.get(`${id}`)
+            return projeto === undefined ? null : structuredClone(projeto)
+
+        },
+
+        async gravar(projeto) {
+
+            projetos.set(`${projeto.id}`, structuredClone(projeto))
+
+        },
+
+        async remover(id) {
+
+            projetos.delete(`${id}`)
+
+        }
+
+    }
+
+}
+
+// Mapa com os backends disponíveis, o repositorioProjetos cria o adaptador de cada coleção a partir do nome
+const adaptadoresDisponiveis = {
+
+    localStorage: (colecao) => criaAdaptadorWebStorage(window.localStorage, colecao),
+    sessionStorage: (colecao) => criaAdaptadorWebStorage(window.sessionStorage, colecao),
+    memoria: () => criaAdaptadorMemoria()
+
+}
@@ -0,0 +1,101 @@
+// Gera arquivos .zip no navegador, sem compressão (método 0, 'store'): os arquivos de código são pequenos e o zip só
+// junta tudo num download. Segue o APPNOTE da PKWARE: um cabeçalho local antes de cada arquivo, o diretório central no
+// final e o registro de fim do diretório central. Os nomes vão em UTF-8 (bit 11 das flags)
+
+// Tabela do CRC-32 (polinômio 0xEDB88320), calculada uma vez
+const tabelaCrc32 = Array.from({ length: 256 }, (valor, indice) => {
+
+    let crc = indice
+
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1
+    }
+
+    return crc >>> 0
+
+})
+
+function crc32(bytes) {
+
+    let crc = 0xFFFFFFFF
+
+    for (const byte of bytes) {
+        crc = tabelaCrc32[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0
+
+}
+
+// Hora e data no formato do MS-DOS guardado no zip, com precisão de 2 segundos
+function dataHoraDos(date) {
+
+    return {
+        hora: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        data: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    }
+
+}
+
+// arquivos: [{ nome: 'pasta/arquivo.py', conteudo: texto }]. Retorna o Blob do zip
+function escreveZip(arquivos, date = new Date()) {
+
+    const encoder = new TextEncoder()
+    const { hora, data } = dataHoraDos(date)
+
+    const partesLocais = []
+    const partesCentrais = []
+    let deslocamento = 0
+
+    arquivos.forEach(({ nome, conteudo }) => {
+
+        const bytesNome = encoder.encode(nome)
+        const bytesConteudo = encoder.encode(conteudo)
+        const crc = crc32(bytesConteudo)
+
+        const local = new DataView(new ArrayBuffer(30))
+        local.setUint32(0, 0x04034B50, true)
+        local.setUint16(4, 20, true)
+        local.setUint16(6, 0x0800, true)
+        local.setUint16(8, 0, true)
+        local.setUint16(10, hora, true)
+        local.setUint16(12, data, true)
+        local.setUint32(14, crc, true)
+        local.setUint32(18, bytesConteudo.length, true)
+        local.setUint32(22, bytesConteudo.length, true)
+        local.setUint16(26, bytesNome.length, true)
+        local.setUint16(28, 0, true)
+
+        const central = new DataView(new ArrayBuffer(46))
+        central.setUint32(0, 0x02014B50, true)
+        central.setUint16(4, 20, true)
+        central.setUint16(6, 20, true)
+        central.setUint16(8, 0x0800, true)
+        central.setUint16(10, 0, true)
+        central.setUint16(12, hora, true)
+        central.setUint16(14, data, true)
+        central.setUint32(16, crc, true)
+        central.setUint32(20, bytesConteudo.length, true)
+        central.setUint32(24, bytesConteudo.length, true)
+        central.setUint16(28, bytesNome.length, true)
+        central.setUint32(42, deslocamento, true)
+
+        partesLocais.push(local, bytesNome, bytesConteudo)
+        partesCentrais.push(central, bytesNome)
+
+        deslocamento += 30 + bytesNome.length + bytesConteudo.length
+
+    })
+
+    const tamanhoCentral = partesCentrais.reduce((total, parte) => total + parte.byteLength, 0)
+
+    const fim = new DataView(new ArrayBuffer(22))
+    fim.setUint32(0, 0x06054B50, true)
+    fim.setUint16(8, arquivos.length, true)
+    fim.setUint16(10, arquivos.length, true)
+    fim.setUint32(12, tamanhoCentral, true)
+    fim.setUint32(16, deslocamento, true)
+
+    return new Blob([...partesLocais, ...partesCentrais, fim], { type: 'application/zip' })
+
+}
@@ -0,0 +1,143 @@
+// Arquivos de código soltos no feed ou escolhidos com o seletor de pastas: cada arquivo vira um projeto, com o título do
+// nome do arquivo, a linguagem da extensão e o código do conteúdo. A revisão e a gravação ficam em importacaoPasta.js
+
+// Arquivos maiores que isso dificilmente são um trecho de código para o feed
+const limiteArquivoPasta = 256 * 1024
+
+// Pastas de dependências e de build são puladas, assim como as pastas ocultas (.git, .vscode...)
+const pastasIgnoradas = ['node_modules', 'vendor', 'dist', 'build', '__pycache__']
+
+function pastaIgnorada(nome) {
+
+    return nome.startsWith('.') || pastasIgnoradas.includes(nome)
+
+}
+
+// readEntries devolve as entradas de uma pasta em lotes, o último lote vem vazio
+function leLoteEntradas(leitor) {
+
+    return new Promise((resolve, reject) => leitor.readEntries(resolve, reject))
+
+}
+
+// Arquivos de uma entrada arrastada (FileSystemEntry), descendo nas subpastas. Retorna [{ arquivo, caminho }]
+async function arquivosDaEntrada(entrada) {
+
+    if (entrada.isFile) {
+
+        const arquivo = await new Promise((resolve, reject) => entrada.file(resolve, reject))
+        return [{ arquivo, caminho: entrada.fullPath.replace(/^\//, '') }]
+
+    }
+
+    if (pastaIgnorada(entrada.name)) {
+        return []
+    }
+
+    const leitor = entrada.createReader()
+    const arquivos = []
+
+    let lote = await leLoteEntradas(leitor)
+
+    while (lote.length > 0) {
+
+        for (const entradaFilha of lote) {
+            arquivos.push(...await arquivosDaEntrada(entradaFilha))
+        }
+
+        lote = await leLoteEntradas(leitor)
+
+    }
+
+    return arquivos
+
+}
+
+// Arquivos soltos no feed. As entradas são pegas antes do primeiro await: terminado o evento drop o dataTransfer fica vazio
+async function arquivosArrastados(dataTransfer) {
+
+    const itens = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file')
+
+    // Sem a API de entradas o navegador só entrega os arquivos soltos, uma pasta solta não traz o conteúdo
+    if (itens.length === 0 || typeof itens[0].webkitGetAsEntry !== 'function') {
+        return Array.from(dataTransfer.files).map((arquivo) => ({ arquivo, caminho: arquivo.name }))
+    }
+
+    const entradas = itens.map((item) => item.webkitGetAsEntry()).filter((entrada) => entrada !== null)
+    const arquivos = []
+
+    for (const entrada of entradas) {
+        arquivos.push(...await arquivosDaEntrada(entrada))
+    }
+
+    return arquivos
+
+}
+
+// Arquivos do <input type="file" webkitdirectory>, o caminho vem relativo à pasta escolhida
+function arquivosSelecionados(listaArquivos) {
+
+    return Array.from(listaArquivos).map((arquivo) => ({ arquivo, caminho: arquivo.webkitRelativePath || arquivo.name }))
+
+}
+
+// Converte os arquivos em projetos ({ id: projeto }, formato da análise de importação). A tag começa com o nome da pasta
+// de cima, os arquivos soltos ficam com 'importado'. Retorna { projetos, ignorados: [{ caminho, motivo }] }
+async function projetosDosArquivos(arquivos) {
+
+    const projetos = {}
+    const ignorados = []
+    const base = Date.now()
+
+    for (const [indice, { arquivo, caminho }] of arquivos.entries()) {
+
+        const pastas = caminho.split('/').slice(0, -1)
+        const extensao = arquivo.name.includes('.') ? arquivo.name.slice(arquivo.name.lastIndexOf('.') + 1) : ''
+        const nomeSemExtensao = extensao !== '' ? arquivo.name.slice(0, -(extensao.length + 1)) : arquivo.name
+        const linguagem = linguagemExtensao(extensao)
+
+        if (pastas.some(pastaIgnorada)) {
+            ignorados.push({ caminho, motivo: 'pasta ignorada' })
+            continue
+        }
+
+        if (linguagem === null) {
+            ignorados.push({ caminho, motivo: 'extensão de nenhuma linguagem do editor' })
+            continue
+        }
+
+        if (arquivo.size > limiteArquivoPasta) {
+            ignorados.push({ caminho, motivo: `maior que ${limiteArquivoPasta / 1024} KB` })
+            continue
+        }
+
+        const codigo = await arquivo.text()
+
+        if (codigo.trim() === '') {
+            ignorados.push({ caminho, motivo: 'arquivo vazio' })
+            continue
+        }
+
+        if (codigo.includes('\u0000')) {
+            ignorados.push({ caminho, motivo: 'arquivo binário' })
+            continue
+        }
+
+        const projeto = {
+            id: `${base + indice}`,
+            titulo: nomeSemExtensao !== '' ? nomeSemExtensao : arquivo.name,
+            descricao: `Importado de ${caminho}`,
+            codigo,
+            linguagem,
+            tag: pastas.length > 0 ? pastas[0] : 'importado',
+            cor: corPadraoProjeto,
+            data: formataDataProjeto(new Date(arquivo.lastModified || Date.now()))
+        }
+
+        projetos[projeto.id] = projeto
+
+    }
+
+    return { projetos, ignorados }
+
+}
@@ -0,0 +1,39 @@
+// Curtidas dos projetos. A contagem fica no próprio projeto (projeto.likes) e os projetos curtidos por quem usa este
+// navegador ficam na configuração 'curtidas', assim cada projeto só pode ser curtido uma vez e o coração continua
+// marcado ao voltar para a página
+
+function projetosCurtidos() {
+
+    const curtidas = leConfiguracao('curtidas', [])
+
+    return Array.isArray(curtidas) ? curtidas.map((id) => `${id}`) : []
+
+}
+
+function projetoCurtido(id) {
+
+    return projetosCurtidos().includes(`${id}`)
+
+}
+
+// Curte ou descurte o projeto, retorna o projeto com a contagem nova. A configuração só muda depois da gravação, um
+// projeto que não existe mais não fica marcado como curtido
+async function alternaCurtida(id) {
+
+    const curtido = !projetoCurtido(id)
+    const projeto = await repositorioProjetos.curtir(id, curtido)
+
+    const curtidas = projetosCurtidos().filter((idCurtido) => idCurtido !== `${id}`)
+    gravaConfiguracao('curtidas', curtido ? [...curtidas, `${id}`] : curtidas)
+
+    return projeto
+
+}
+
+// Likes e comentários não aparecem no editor, o projeto montado pelo criaProjeto fica com as contagens do projeto salvo
+function mantemContagensProjeto(projetoAtualizado, projetoSalvo) {
+
+    projetoAtualizado.likes = projetoSalvo.likes
+    projetoAtualizado.comentarios = projetoSalvo.comentarios
+
+}
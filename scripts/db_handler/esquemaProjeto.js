@@ -0,0 +1,287 @@
+
+// Esquema dos projetos salvos. Cada projeto guarda a versão do esquema em que foi gravado (versaoEsquema), projetos
+// mais antigos passam pelas migrações que faltam ao serem carregados, importados ou gravados. Assim as páginas podem
+// confiar nos campos sem tratar cada formato antigo na hora de renderizar
+
+// Linguagens do seletor do editor. A chave é o valor salvo no projeto (minúsculo, mesmo nome usado pelo highlight.js),
+// o valor é o texto mostrado na tela
+const linguagensProjeto = {
+    'python': 'Python',
+    'javascript': 'JavaScript',
+    'typescript': 'TypeScript',
+    'html': 'HTML',
+    'css': 'CSS',
+    'scss': 'SCSS',
+    'c': 'C',
+    'c++': 'C++',
+    'php': 'PHP',
+    'java': 'Java',
+    'ruby': 'Ruby'
+}
+
+function nomeLinguagem(linguagem) {
+
+    return linguagem in linguagensProjeto ? linguagensProjeto[linguagem] : capitalize(`${linguagem}`)
+
+}
+
+// Cor do seletor no editor de projeto novo, usada também nos projetos criados a partir de arquivos e gists
+const corPadraoProjeto = '#141414'
+
+// Extensão dos arquivos de código de cada linguagem do seletor
+const extensoesLinguagem = {
+    'python': 'py',
+    'javascript': 'js',
+    'typescript': 'ts',
+    'html': 'html',
+    'css': 'css',
+    'scss': 'scss',
+    'c': 'c',
+    'c++': 'cpp',
+    'php': 'php',
+    'java': 'java',
+    'ruby': 'rb'
+}
+
+// Linguagens sem extensão conhecida viram arquivos .txt
+function extensaoLinguagem(linguagem) {
+
+    return linguagem in extensoesLinguagem ? extensoesLinguagem[linguagem] : 'txt'
+
+}
+
+// Linguagem do seletor para a extensão do arquivo, null quando a extensão não é de nenhuma delas
+function linguagemExtensao(extensao) {
+
+    const linguagem = Object.keys(extensoesLinguagem).find((chave) => extensoesLinguagem[chave] === `${extensao}`.toLowerCase())
+
+    return linguagem !== undefined ? linguagem : null
+
+}
+
+// Nome de arquivo a partir do título, sem acentos nem caracteres proibidos. Ex: 'Média de notas' -> 'media_de_notas.py'
+function nomeArquivoProjeto(projeto) {
+
+    const nome = `${projeto.titulo}`
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+
+    return `${nome !== '' ? nome : `projeto_${projeto.id}`}.${extensaoLinguagem(projeto.linguagem)}`
+
+}
+
+// Mesmo formato de data do criaProjeto. Ex: '24 Nov 2023'
+function formataDataProjeto(date) {
+
+    const data = date.toDateString().split(' ')
+
+    return `${data[2]} ${mesBrasil(data)} ${data[3]}`
+
+}
+
+// Valor salvo quando não é possível descobrir a data de criação do projeto
+const dataDesconhecida = 's/ data'
+
+const mesesDataProjeto = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez']
+
+// Inverso do formataDataProjeto, null para a dataDesconhecida ou um texto fora do formato
+function leDataProjeto(data) {
+
+    const [dia, mes, ano] = `${data}`.split(' ')
+    const indiceMes = mesesDataProjeto.indexOf(mes)
+
+    if (!/^\d{2}$/.test(dia) || indiceMes === -1 || !/^\d{4}$/.test(ano)) {
+        return null
+    }
+
+    return new Date(Number(ano), indiceMes, Number(dia))
+
+}
+
+const regexCorHex = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+const regexDataProjeto = /^\d{2} (Jan|Fev|Mar|Abr|Mai|Jun|Jul|Ago|Set|Out|Nov|Dez) \d{4}$/
+
+function textoPreenchido(valor) {
+
+    return typeof valor === 'string' && valor.trim() !== ''
+
+}
+
+function inteiroPositivo(valor) {
+
+    return Number.isInteger(valor) && valor >= 0
+
+}
+
+// Um validador para cada chave produzida pelo criaProjeto (mais a versão do esquema)
+const validadoresProjeto = {
+
+    id: (valor) => textoPreenchido(valor),
+    versaoEsquema: (valor) => Number.isInteger(valor) && valor >= versaoEsquemaProjeto(),
+    fotoAutor: (valor) => textoPreenchido(valor),
+    nomeAutor: (valor) => textoPreenchido(valor),
+    comentarios: (valor) => inteiroPositivo(valor),
+    likes: (valor) => inteiroPositivo(valor),
+    corTexto: (valor) => regexCorHex.test(valor),
+    data: (valor) => valor === dataDesconhecida || regexDataProjeto.test(valor),
+    titulo: (valor) => textoPreenchido(valor),
+    descricao: (valor) => textoPreenchido(valor),
+    codigo: (valor) => textoPreenchido(valor),
+    linguagem: (valor) => textoPreenchido(valor) && valor === valor.toLowerCase(),
+    tag: (valor) => textoPreenchido(valor),
+    cor: (valor) => regexCorHex.test(valor)
+
+}
+
+// Cada posição da lista leva o projeto da versão N para N + 1 (índice 0 -> versão 1). Novas migrações entram no
+// final, nunca alterando as anteriores, projetos já salvos numa versão não passam de novo pelas migrações dela
+const migracoesProjeto = [
+
+    // v1: campos ausentes em projetos antigos ou importados. Sem data, a data é recuperada do id (Date.now() da criação)
+    (projeto) => {
+
+        projeto.id = `${projeto.id}`
+
+        if (projeto.data === undefined) {
+
+            const criacao = new Date(Number(projeto.id))
+            projeto.data = /^\d+$/.test(projeto.id) && !isNaN(criacao) ? formataDataProjeto(criacao) : dataDesconhecida
+
+        }
+
+        projeto.fotoAutor = projeto.fotoAutor || './assets/Photo.svg'
+        projeto.nomeAutor = projeto.nomeAutor || 'Nilvo'
+        projeto.comentarios = Number.parseInt(projeto.comentarios, 10) || 0
+        projeto.likes = Number.parseInt(projeto.likes, 10) || 0
+
+    },
+
+    // v2: corTexto com 'Invalid RGB string' (retorno do rgbStringToHex), recalculada a partir da cor do projeto
+    (projeto) => {
+
+        if (!regexCorHex.test(projeto.corTexto)) {
+            projeto.corTexto = regexCorHex.test(projeto.cor) && projeto.cor.length === 7 ? getContrastYIQ(projeto.cor.slice(1)) : '#FFF'
+        }
+
+    },
+
+    // v3: linguagem salva com o texto do seletor ('JavaScript'), passa a ser o valor minúsculo
+    (projeto) => {
+
+        if (typeof projeto.linguagem === 'string') {
+            projeto.linguagem = projeto.linguagem.trim().toLowerCase()
+        }
+
+    },
+
+    // v4: projetos criados em dezembro gravados com data 'DD undefined AAAA' (mesBrasil sem o mês 'Dec'), a data é
+    // recuperada do id como na v1
+    (projeto) => {
+
+        if (projeto.data !== dataDesconhecida && !regexDataProjeto.test(projeto.data)) {
+
+            const criacao = new Date(Number(projeto.id))
+            projeto.data = /^\d+$/.test(projeto.id) && !isNaN(criacao) ? formataDataProjeto(criacao) : dataDesconhecida
+
+        }
+
+    }
+
+]
+
+function versaoEsquemaProjeto() {
+
+    return migracoesProjeto.length
+
+}
+
+// Retorna uma cópia do projeto na versão atual do esquema, o objeto recebido não é alterado
+function migraProjeto(projeto) {
+
+    const projetoMigrado = { ...projeto }
+    const versao = Number.isInteger(projeto.versaoEsquema) ? projeto.versaoEsquema : 0
+
+    for (let indice = versao; indice < migracoesProjeto.length; indice++) {
+        migracoesProjeto[indice](projetoMigrado)
+    }
+
+    projetoMigrado.versaoEsquema = Math.max(versao, versaoEsquemaProjeto())
+
+    return projetoMigrado
+
+}
+
+// Retorna a lista de campos inválidos, vazia quando o projeto é válido
+function validaProjeto(projeto) {
+
+    return Object.keys(validadoresProjeto).filter((campo) => !validadoresProjeto[campo](projeto[campo]))
+
+}
+
+// Migra os registros de uma coleção gravados numa versão anterior do esquema, retorna quantos foram migrados
+async function migraColecaoProjetos(adaptador) {
+
+    const projetos = await adaptador.listar()
+    let migrados = 0
+
+    for (const projeto of projetos) {
+
+        if (projeto.versaoEsquema === versaoEsquemaProjeto()) {
+            continue
+        }
+
+        const projetoMigrado = migraProjeto(projeto)
+        const invalidos = validaProjeto(projetoMigrado)
+
+        // Campos que nenhuma migração consegue recuperar ficam como estão, o projeto não é descartado
+        if (invalidos.length > 0) {
+            console.log(`Projeto ${projeto.id} com campos inválidos após a migração: ${invalidos.join(', ')}`)
+        }
+
+        await adaptador.gravar(projetoMigrado)
+        migrados++
+
+    }
+
+    return migrados
+
+}
+
+// Prepara os projetos importados ({ id: projeto }) antes da mescla: migra cada um e separa os que continuam inválidos.
+// repetidos: projetos com o id de um anterior da mesma lista (arquivos com uma Array de projetos), o primeiro é o mantido
+function preparaProjetosImportados(projetosImportados) {
+
+    const projetos = {}
+    const invalidos = []
+    const repetidos = []
+
+    Object.values(projetosImportados).forEach((projetoImportado) => {
+
+        if (projetoImportado === null || typeof projetoImportado !== 'object' || projetoImportado.id === undefined) {
+            invalidos.push({ projeto: projetoImportado, campos: ['id'] })
+            return
+        }
+
+        const projeto = migraProjeto(projetoImportado)
+        const campos = validaProjeto(projeto)
+
+        if (campos.length > 0) {
+            invalidos.push({ projeto, campos })
+            return
+        }
+
+        if (projeto.id in projetos) {
+            repetidos.push(projeto)
+            return
+        }
+
+        projetos[projeto.id] = projeto
+
+    })
+
+    return { projetos, invalidos, repetidos }
+
+}
@@ -0,0 +1,159 @@
+// Exportação da biblioteca como um zip de arquivos de código: cada projeto vira um arquivo com a extensão da linguagem
+// (ver nomeArquivoProjeto) e um comentário no início com título, descrição e tag. Junto vão um README.md com o índice
+// dos arquivos e o data.json com todos os campos, no formato que a importação de JSON lê de volta
+//   codi_bites/README.md
+//   codi_bites/data.json
+//   codi_bites/projetos/media_de_notas.py
+
+const pastaExportacao = 'codi_bites'
+
+// Sintaxe de comentário de cada linguagem do seletor. Linguagens sem sintaxe conhecida (arquivos .txt) recebem o
+// cabeçalho como texto puro
+const comentariosLinguagem = {
+    'python': { inicio: null, prefixo: '# ', fim: null },
+    'ruby': { inicio: null, prefixo: '# ', fim: null },
+    'javascript': { inicio: null, prefixo: '// ', fim: null },
+    'typescript': { inicio: null, prefixo: '// ', fim: null },
+    'scss': { inicio: null, prefixo: '// ', fim: null },
+    'c': { inicio: null, prefixo: '// ', fim: null },
+    'c++': { inicio: null, prefixo: '// ', fim: null },
+    'java': { inicio: null, prefixo: '// ', fim: null },
+    'php': { inicio: null, prefixo: '// ', fim: null },
+    'css': { inicio: '/*', prefixo: ' * ', fim: ' */' },
+    'html': { inicio: '<!--', prefixo: '    ', fim: '-->' }
+}
+
+function comentarioLinguagem(linguagem) {
+
+    return linguagem in comentariosLinguagem ? comentariosLinguagem[linguagem] : { inicio: null, prefixo: '', fim: null }
+
+}
+
+// Comentário com título, descrição (uma linha do comentário por linha da descrição), tag, linguagem e data
+function cabecalhoArquivoProjeto(projeto) {
+
+    const comentario = comentarioLinguagem(projeto.linguagem)
+
+    const linhas = [
+        `Título: ${projeto.titulo}`,
+        ...`${projeto.descricao}`.split(/\r?\n/).map((linha, indice) => indice === 0 ? `Descrição: ${linha}` : `  ${linha}`),
+        `Tag: ${projeto.tag}`,
+        `Linguagem: ${nomeLinguagem(projeto.linguagem)}`,
+        `Data: ${projeto.data}`
+    ]
+
+    // O fim do comentário dentro do texto fecharia o bloco antes da hora
+    const linhasComentadas = linhas.map((linha) => {
+
+        const texto = comentario.fim !== null ? linha.replaceAll(comentario.fim.trim(), comentario.fim.trim().split('').join(' ')) : linha
+        return `${comentario.prefixo}${texto}`.trimEnd()
+
+    })
+
+    return [comentario.inicio, ...linhasComentadas, comentario.fim].filter((linha) => linha !== null).join('\n')
+
+}
+
+// Código do projeto com o cabeçalho. O shebang (#!) e a abertura do PHP continuam na primeira linha, um PHP sem a
+// abertura recebe o cabeçalho dentro de um bloco <?php ?> para não sair como texto
+function conteudoArquivoProjeto(projeto) {
+
+    const cabecalho = cabecalhoArquivoProjeto(projeto)
+    const codigo = `${projeto.codigo}`
+    const primeiraLinha = codigo.split('\n')[0]
+
+    if (primeiraLinha.startsWith('#!') || (projeto.linguagem === 'php' && primeiraLinha.trim().startsWith('<?php'))) {
+        return `${primeiraLinha}\n${cabecalho}\n\n${codigo.slice(primeiraLinha.length + 1)}`
+    }
+
+    if (projeto.linguagem === 'php') {
+        return `<?php\n${cabecalho}\n?>\n${codigo}`
+    }
+
+    return `${cabecalho}\n\n${codigo}`
+
+}
+
+// Nome do arquivo de cada projeto ({ id: nome }). Títulos iguais na mesma linguagem ganham um número: media.py, media_2.py
+function nomesArquivosProjetos(projetos) {
+
+    const usados = new Set()
+    const nomes = {}
+
+    projetos.forEach((projeto) => {
+
+        const nome = nomeArquivoProjeto(projeto)
+        const extensao = nome.slice(nome.lastIndexOf('.'))
+        const base = nome.slice(0, -extensao.length)
+
+        let nomeLivre = nome
+
+        for (let numero = 2; usados.has(nomeLivre); numero++) {
+            nomeLivre = `${base}_${numero}${extensao}`
+        }
+
+        usados.add(nomeLivre)
+        nomes[projeto.id] = nomeLivre
+
+    })
+
+    return nomes
+
+}
+
+function celulaReadme(texto) {
+
+    return `${texto}`.replace(/\s*\r?\n\s*/g, ' ').replaceAll('|', '\\|')
+
+}
+
+// Índice dos arquivos exportados, uma linha da tabela por projeto
+function escreveReadmeExportacao(projetos, nomes, date) {
+
+    const linhas = [
+        `# ${pastaExportacao}`,
+        '',
+        `${projetos.length} projeto(s) exportado(s) em ${date.toLocaleString('pt-BR')}. Cada projeto é um arquivo em \`projetos/\`, com título, descrição e tag no comentário do início.`,
+        '',
+        'O `data.json` tem todos os campos dos projetos e pode ser importado de volta pelo botão "Importar arquivo JSON".',
+        '',
+        '| Projeto | Descrição | Linguagem | Tag | Arquivo |',
+        '| --- | --- | --- | --- | --- |',
+        ...projetos.map((projeto) => `| ${celulaReadme(projeto.titulo)} | ${celulaReadme(projeto.descricao)} | ${nomeLinguagem(projeto.linguagem)} | ${celulaReadme(projeto.tag)} | [${nomes[projeto.id]}](projetos/${nomes[projeto.id]}) |`)
+    ]
+
+    return linhas.join('\n') + '\n'
+
+}
+
+// Arquivos do zip ([{ nome, conteudo }]) para os projetos
+function arquivosExportacao(projetos, date = new Date()) {
+
+    const nomes = nomesArquivosProjetos(projetos)
+    const projetosJson = Object.fromEntries(projetos.map((projeto) => [projeto.id, projeto]))
+
+    return [
+        { nome: `${pastaExportacao}/README.md`, conteudo: escreveReadmeExportacao(projetos, nomes, date) },
+        { nome: `${pastaExportacao}/data.json`, conteudo: JSON.stringify(projetosJson, null, 2) },
+        ...projetos.map((projeto) => ({ nome: `${pastaExportacao}/projetos/${nomes[projeto.id]}`, conteudo: conteudoArquivoProjeto(projeto) }))
+    ]
+
+}
+
+// Baixa o zip com os projetos salvos, retorna quantos foram exportados
+async function exportaZipProjetos() {
+
+    const projetos = await repositorioProjetos.listar()
+
+    if (projetos.length === 0) {
+        throw new Error('Nenhum projeto salvo para exportar')
+    }
+
+    const agora = new Date()
+    const dataArquivo = `${agora.getFullYear()}-${`${agora.getMonth() + 1}`.padStart(2, '0')}-${`${agora.getDate()}`.padStart(2, '0')}`
+
+    baixaArquivo(escreveZip(arquivosExportacao(projetos, agora), agora), `${pastaExportacao}_${dataArquivo}.zip`)
+
+    return projetos.length
+
+}
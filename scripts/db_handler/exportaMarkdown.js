@@ -0,0 +1,78 @@
+// Exportação em Markdown para colar em documentações: cada projeto vira um título, a descrição, uma lista com linguagem,
+// tag e data e o código num bloco cercado (```) com o identificador da linguagem
+
+// Identificador do bloco de código quando ele é diferente do valor salvo em linguagem (ver linguagensProjeto)
+const identificadoresMarkdown = {
+    'c++': 'cpp'
+}
+
+function identificadorMarkdown(linguagem) {
+
+    return linguagem in identificadoresMarkdown ? identificadoresMarkdown[linguagem] : `${linguagem}`.replace(/\s+/g, '-')
+
+}
+
+// A cerca precisa ser maior que qualquer sequência de crases dentro do código, senão o bloco fecharia antes
+function cercaMarkdown(codigo) {
+
+    const maiorSequencia = (`${codigo}`.match(/`+/g) || []).reduce((maior, sequencia) => Math.max(maior, sequencia.length), 0)
+
+    return '`'.repeat(Math.max(3, maiorSequencia + 1))
+
+}
+
+function markdownProjeto(projeto, nivelTitulo = 2) {
+
+    const cerca = cercaMarkdown(projeto.codigo)
+    const codigo = `${projeto.codigo}`.replace(/\r\n/g, '\n').replace(/\n+$/, '')
+
+    return [
+        `${'#'.repeat(nivelTitulo)} ${`${projeto.titulo}`.replace(/\s*\n\s*/g, ' ')}`,
+        '',
+        `${projeto.descricao}`,
+        '',
+        `- **Linguagem:** ${nomeLinguagem(projeto.linguagem)}`,
+        `- **Tag:** ${projeto.tag}`,
+        `- **Data:** ${projeto.data}`,
+        '',
+        `${cerca}${identificadorMarkdown(projeto.linguagem)}`,
+        codigo,
+        cerca
+    ].join('\n')
+
+}
+
+// Um projeto sozinho vira o título principal do documento, vários ficam como seções de um documento só
+function markdownProjetos(projetos) {
+
+    if (projetos.length === 1) {
+        return markdownProjeto(projetos[0], 1) + '\n'
+    }
+
+    return [`# Projetos codi_bites`, ...projetos.map((projeto) => markdownProjeto(projeto, 2))].join('\n\n') + '\n'
+
+}
+
+function nomeArquivoMarkdown(projetos) {
+
+    if (projetos.length !== 1) {
+        return 'codi_bites.md'
+    }
+
+    const nome = nomeArquivoProjeto(projetos[0])
+
+    return `${nome.slice(0, nome.lastIndexOf('.'))}.md`
+
+}
+
+function baixaMarkdown(projetos) {
+
+    baixaArquivo(new Blob([markdownProjetos(projetos)], { type: 'text/markdown;charset=utf-8' }), nomeArquivoMarkdown(projetos))
+
+}
+
+async function copiaMarkdown(projetos) {
+
+    await copiaTexto(markdownProjetos(projetos))
+
+}
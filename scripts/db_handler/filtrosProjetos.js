@@ -0,0 +1,167 @@
+// Filtros e ordem do feed. Ficam nos parâmetros da URL para que uma visão filtrada possa ir para os favoritos ou ser
+// compartilhada: ?lang=python&tag=algoritmos&cor=5081fb&de=2024-01-01&ate=2024-06-30&ordem=titulo
+
+// Ordens do feed. editados usa a última gravação de cada projeto no histórico (ver ultimasEdicoesProjetos)
+const ordenacoesProjetos = {
+    'recentes': 'Mais novos',
+    'antigos': 'Mais antigos',
+    'titulo': 'Título (A–Z)',
+    'curtidos': 'Mais curtidos',
+    'editados': 'Editados recentemente'
+}
+
+const ordemPadraoProjetos = 'recentes'
+
+// { linguagem, tag, cor, de, ate, ordem }, '' quando o filtro não está ativo. cor vai sem o '#' e em minúsculas, de e
+// ate no formato do input date (aaaa-mm-dd)
+function filtrosPadrao() {
+
+    return { linguagem: '', tag: '', cor: '', de: '', ate: '', ordem: ordemPadraoProjetos }
+
+}
+
+// Valores inválidos na URL (editada à mão, link antigo) são ignorados em vez de esconder o feed inteiro
+function filtrosDaUrl() {
+
+    const parametros = new URLSearchParams(window.location.search)
+    const filtros = filtrosPadrao()
+    const dataValida = (valor) => /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(new Date(valor))
+
+    filtros.linguagem = (parametros.get('lang') || '').trim().toLowerCase()
+    filtros.tag = (parametros.get('tag') || '').trim()
+
+    const cor = (parametros.get('cor') || '').trim().toLowerCase().replace(/^#/, '')
+    filtros.cor = /^[0-9a-f]{6}$/.test(cor) ? cor : ''
+
+    filtros.de = dataValida(parametros.get('de')) ? parametros.get('de') : ''
+    filtros.ate = dataValida(parametros.get('ate')) ? parametros.get('ate') : ''
+
+    filtros.ordem = Object.hasOwn(ordenacoesProjetos, parametros.get('ordem')) ? parametros.get('ordem') : ordemPadraoProjetos
+
+    return filtros
+
+}
+
+// Troca os parâmetros sem criar uma entrada no histórico do navegador a cada filtro alterado. Outros parâmetros da URL
+// continuam como estão
+function gravaFiltrosUrl(filtros) {
+
+    const url = new URL(window.location.href)
+    const parametros = { lang: filtros.linguagem, tag: filtros.tag, cor: filtros.cor, de: filtros.de, ate: filtros.ate }
+
+    parametros.ordem = filtros.ordem !== ordemPadraoProjetos ? filtros.ordem : ''
+
+    Object.entries(parametros).forEach(([chave, valor]) => {
+
+        if (valor !== '') {
+            url.searchParams.set(chave, valor)
+        } else {
+            url.searchParams.delete(chave)
+        }
+
+    })
+
+    window.history.replaceState(window.history.state, '', url)
+
+}
+
+function filtrosAtivos(filtros) {
+
+    return ['linguagem', 'tag', 'cor', 'de', 'ate'].some((filtro) => filtros[filtro] !== '')
+
+}
+
+function corFiltro(cor) {
+
+    const hex = `${cor}`.toLowerCase().replace(/^#/, '')
+
+    // #abc equivale a #aabbcc
+    return hex.length === 3 ? hex.split('').map((digito) => digito + digito).join('') : hex
+
+}
+
+// Projetos sem data (dataDesconhecida) ficam de fora quando existe um intervalo de datas
+function filtraProjetos(projetos, filtros) {
+
+    const inicio = filtros.de !== '' ? new Date(`${filtros.de}T00:00:00`) : null
+    const fim = filtros.ate !== '' ? new Date(`${filtros.ate}T00:00:00`) : null
+
+    return projetos.filter((projeto) => {
+
+        if (filtros.linguagem !== '' && projeto.linguagem !== filtros.linguagem) {
+            return false
+        }
+
+        if (filtros.tag !== '' && `${projeto.tag}`.toLowerCase() !== filtros.tag.toLowerCase()) {
+            return false
+        }
+
+        if (filtros.cor !== '' && corFiltro(projeto.cor) !== filtros.cor) {
+            return false
+        }
+
+        if (inicio !== null || fim !== null) {
+
+            const data = leDataProjeto(projeto.data)
+
+            if (data === null || (inicio !== null && data < inicio) || (fim !== null && data > fim)) {
+                return false
+            }
+
+        }
+
+        return true
+
+    })
+
+}
+
+// { idProjeto: timestamp } da gravação mais recente de cada projeto no histórico de revisões
+async function ultimasEdicoesProjetos() {
+
+    const revisoes = await colecaoRevisoes().listar()
+
+    return revisoes.reduce((edicoes, revisao) => {
+
+        edicoes[revisao.projetoId] = Math.max(edicoes[revisao.projetoId] || 0, revisao.timestamp)
+        return edicoes
+
+    }, {})
+
+}
+
+// Momento de criação do projeto: a data mostrada no card e, no mesmo dia, o id (Date.now() da criação). Projetos sem
+// data vão para o final nas duas direções
+function comparaCriacaoProjetos(a, b, decrescente = false) {
+
+    const dataA = leDataProjeto(a.data)
+    const dataB = leDataProjeto(b.data)
+
+    if ((dataA === null) !== (dataB === null)) {
+        return dataA === null ? 1 : -1
+    }
+
+    const diferenca = (dataA !== null ? dataA - dataB : 0) || `${a.id}`.localeCompare(`${b.id}`, undefined, { numeric: true })
+
+    return decrescente ? -diferenca : diferenca
+
+}
+
+// Nova lista na ordem pedida. edicoes é o retorno do ultimasEdicoesProjetos, só usado na ordem 'editados'. Projetos
+// sem revisão (salvos antes do histórico existir) contam a partir do id
+function ordenaProjetos(projetos, ordem, edicoes = {}) {
+
+    const maisNovos = (a, b) => comparaCriacaoProjetos(a, b, true)
+    const edicao = (projeto) => edicoes[projeto.id] || Number(projeto.id) || 0
+
+    const comparacoes = {
+        'recentes': maisNovos,
+        'antigos': (a, b) => comparaCriacaoProjetos(a, b),
+        'titulo': (a, b) => `${a.titulo}`.localeCompare(`${b.titulo}`, 'pt-BR', { sensitivity: 'base', numeric: true }) || maisNovos(a, b),
+        'curtidos': (a, b) => b.likes - a.likes || maisNovos(a, b),
+        'editados': (a, b) => edicao(b) - edicao(a) || maisNovos(a, b)
+    }
+
+    return [...projetos].sort(comparacoes[Object.hasOwn(comparacoes, ordem) ? ordem : ordemPadraoProjetos])
+
+}
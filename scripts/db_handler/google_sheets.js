@@ -1,18 +1,335 @@
 
-// const url = 'https://docs.google.com/spreadsheets/d/1umri1KVIY8TWdn1XZpX1bR2dNb02DOj0iw6WQTY_1-Q/edit?usp=sharing'
+// Backend de planilhas (CSV ou TSV, os formatos de download e publicação do Google Sheets). Uma linha por projeto,
+// a primeira linha é o cabeçalho. Segue a RFC 4180: células com separador, aspas ou quebra de linha vão entre aspas e
+// as aspas internas são duplicadas, assim códigos com várias linhas voltam exatamente como foram exportados.
+// A importação passa pela mesma análise de duplicados da importação de JSON (ver importaProjetos.js)
 
-// const id = '1umri1KVIY8TWdn1XZpX1bR2dNb02DOj0iw6WQTY_1-Q'
+// Colunas exportadas, na ordem. O id permite reconhecer na volta o projeto que já está salvo
+const camposPlanilha = ['id', 'titulo', 'descricao', 'codigo', 'linguagem', 'tag', 'cor', 'data']
 
-// console.log('google-sheetsjs');
+// Nomes de coluna reconhecidos para cada campo, comparados sem acentos, maiúsculas e espaços nas pontas
+const aliasesCamposPlanilha = {
+    id: ['id', 'identificador'],
+    titulo: ['titulo', 'title', 'nome', 'name'],
+    descricao: ['descricao', 'description', 'desc'],
+    codigo: ['codigo', 'code', 'snippet', 'trecho'],
+    linguagem: ['linguagem', 'language', 'lang', 'linguagem de programacao'],
+    tag: ['tag', 'tags', 'categoria', 'category'],
+    cor: ['cor', 'color', 'colour'],
+    data: ['data', 'date', 'criado em', 'created']
+}
 
-// window.addEventListener('beforeunload', function(event) {
+// Limite de caracteres de uma célula do Google Sheets
+const limiteCelulaPlanilha = 50000
 
-//     event.preventDefault()
+// Células que o Excel e o Google Sheets leem como fórmula (injeção de fórmulas em CSV), incluindo as que começam com
+// tabulação ou \r antes da fórmula. Na exportação elas recebem um ' na frente, que as planilhas tratam como texto, e a
+// importação tira esse '. Células que já começam com ' seguido de um desses caracteres também recebem um ', assim a
+// volta sempre tira exatamente o ' colocado
+const regexCelulaFormula = /^'*[=+\-@\t\r]/
 
-//     const confirm = confirm('Se você sair seus dados não salvos serão perdidos. Confirma saída:')
+function normalizaNomeColuna(nome) {
 
-//     if (confirm) {
-//         this.alert('aaaaaaaaaaaaaaaa');
-//     }
+    return `${nome}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase()
 
-// })
\ No newline at end of file
+}
+
+// O separador mais frequente fora de aspas na primeira linha: tab (TSV), vírgula ou ponto e vírgula (CSV em pt-BR)
+function detectaSeparador(texto) {
+
+    const contagem = { '\t': 0, ',': 0, ';': 0 }
+    let entreAspas = false
+
+    for (const caractere of texto) {
+
+        if (caractere === '"') {
+            entreAspas = !entreAspas
+        } else if (!entreAspas && (caractere === '\n' || caractere === '\r')) {
+            break
+        } else if (!entreAspas && caractere in contagem) {
+            contagem[caractere]++
+        }
+
+    }
+
+    return Object.keys(contagem).reduce((maior, separador) => contagem[separador] > contagem[maior] ? separador : maior, '\t')
+
+}
+
+// Retorna { separador, cabecalho, linhas }. Linhas totalmente vazias (comuns no fim das planilhas) são ignoradas
+function lePlanilha(texto, separador = null) {
+
+    const conteudo = texto.startsWith('\uFEFF') ? texto.slice(1) : texto
+    const separadorUsado = separador !== null ? separador : detectaSeparador(conteudo)
+
+    const linhas = []
+    let linha = []
+    let celula = ''
+    let entreAspas = false
+
+    for (let indice = 0; indice < conteudo.length; indice++) {
+
+        const caractere = conteudo[indice]
+
+        if (entreAspas) {
+
+            if (caractere === '"' && conteudo[indice + 1] === '"') {
+                celula += '"'
+                indice++
+            } else if (caractere === '"') {
+                entreAspas = false
+            } else {
+                celula += caractere
+            }
+
+        } else if (caractere === '"' && celula === '') {
+
+            entreAspas = true
+
+        } else if (caractere === separadorUsado) {
+
+            linha.push(celula)
+            celula = ''
+
+        } else if (caractere === '\n' || caractere === '\r') {
+
+            // \r\n conta como uma quebra só
+            if (caractere === '\r' && conteudo[indice + 1] === '\n') {
+                indice++
+            }
+
+            linha.push(celula)
+            linhas.push(linha)
+            linha = []
+            celula = ''
+
+        } else {
+
+            celula += caractere
+
+        }
+
+    }
+
+    if (entreAspas) {
+        throw new Error('A planilha tem uma célula com aspas que não foram fechadas')
+    }
+
+    if (celula !== '' || linha.length > 0) {
+        linha.push(celula)
+        linhas.push(linha)
+    }
+
+    const linhasPreenchidas = linhas.filter((celulas) => celulas.some((valor) => valor.trim() !== ''))
+
+    if (linhasPreenchidas.length === 0) {
+        throw new Error('A planilha está vazia')
+    }
+
+    return { separador: separadorUsado, cabecalho: linhasPreenchidas[0], linhas: linhasPreenchidas.slice(1) }
+
+}
+
+// Campo de cada coluna do cabeçalho (null para as colunas que não correspondem a nenhum campo). Um campo só é
+// atribuído à primeira coluna com o seu nome
+function mapeamentoAutomatico(cabecalho) {
+
+    const usados = new Set()
+
+    return cabecalho.map((nome) => {
+
+        const nomeNormalizado = normalizaNomeColuna(nome)
+        const campo = camposPlanilha.find((campo) => !usados.has(campo) && aliasesCamposPlanilha[campo].includes(nomeNormalizado))
+
+        if (campo === undefined) {
+            return null
+        }
+
+        usados.add(campo)
+        return campo
+
+    })
+
+}
+
+// Datas que o Google Sheets converte ao abrir o arquivo (24/11/2023, 2023-11-24) voltam para o formato do projeto
+function normalizaDataPlanilha(valor) {
+
+    const texto = valor.trim()
+    const dataBrasil = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+    const dataIso = texto.match(/^(\d{4})-(\d{2})-(\d{2})/)
+
+    if (dataBrasil !== null) {
+        return formataDataProjeto(new Date(Number(dataBrasil[3]), Number(dataBrasil[2]) - 1, Number(dataBrasil[1])))
+    }
+
+    if (dataIso !== null) {
+        return formataDataProjeto(new Date(Number(dataIso[1]), Number(dataIso[2]) - 1, Number(dataIso[3])))
+    }
+
+    return texto
+
+}
+
+// Aceita a chave ('javascript') ou o nome mostrado na tela ('JavaScript')
+function normalizaLinguagemPlanilha(valor) {
+
+    const texto = valor.trim().toLowerCase()
+    const chave = Object.keys(linguagensProjeto).find((linguagem) => linguagem === texto || linguagensProjeto[linguagem].toLowerCase() === texto)
+
+    return chave !== undefined ? chave : texto
+
+}
+
+// Converte as linhas em projetos ({ id: projeto }) no formato esperado pela análise de importação. Linhas sem id
+// recebem um id novo, os campos que a planilha não tem ficam com os valores padrão das migrações do esquema
+function projetosDaPlanilha(planilha, mapeamento) {
+
+    const projetos = {}
+    const base = Date.now()
+
+    planilha.linhas.forEach((celulas, indiceLinha) => {
+
+        const projeto = {}
+
+        mapeamento.forEach((campo, indiceColuna) => {
+
+            if (campo === null || celulas[indiceColuna] === undefined) {
+                return
+            }
+
+            const valor = restauraCelulaFormula(celulas[indiceColuna])
+
+            const normalizadores = {
+                id: (texto) => texto.trim(),
+                linguagem: normalizaLinguagemPlanilha,
+                cor: (texto) => texto.trim(),
+                data: normalizaDataPlanilha
+            }
+
+            projeto[campo] = campo in normalizadores ? normalizadores[campo](valor) : valor
+
+        })
+
+        if (projeto.id === undefined || projeto.id === '') {
+            projeto.id = `${base + indiceLinha}`
+        }
+
+        if (projeto.data === '') {
+            delete projeto.data
+        }
+
+        projetos[projeto.id] = projeto
+
+    })
+
+    return projetos
+
+}
+
+// Linha com o id de um projeto salvo: a planilha só manda nos campos que tem, o restante (autor, likes...) continua o do
+// projeto salvo. A cor do texto acompanha a cor nova, como no editor
+function mesclaLinhaPlanilha(salvo, linha) {
+
+    const projeto = { ...salvo, ...linha }
+
+    if (projeto.cor !== salvo.cor && regexCorHex.test(projeto.cor)) {
+        projeto.corTexto = projeto.cor.length === 7 ? getContrastYIQ(projeto.cor.slice(1)) : '#FFF'
+    }
+
+    return projeto
+
+}
+
+// Análise da importação (ver analisaImportacao) para a planilha como fonte dos projetos: linhas iguais aos projetos
+// salvos ficam de fora e as alteradas já começam como 'sobrescrever', o id na linha indica que ela é o mesmo projeto.
+// Retorna { itens, invalidos, iguais }
+async function analisaImportacaoPlanilha(projetosPlanilha) {
+
+    const projetos = {}
+
+    for (const linha of Object.values(projetosPlanilha)) {
+
+        const salvo = await repositorioProjetos.obter(linha.id)
+        projetos[linha.id] = salvo !== null ? mesclaLinhaPlanilha(salvo, linha) : linha
+
+    }
+
+    const { itens, invalidos } = await analisaImportacao(projetos)
+    const itensAlterados = []
+    let iguais = 0
+
+    itens.forEach((item) => {
+
+        if (item.duplicado === null || item.duplicado.motivo !== 'id') {
+            itensAlterados.push(item)
+            return
+        }
+
+        if (camposPlanilha.every((campo) => item.projeto[campo] === item.duplicado.projeto[campo])) {
+            iguais++
+            return
+        }
+
+        item.acao = 'sobrescrever'
+        itensAlterados.push(item)
+
+    })
+
+    return { itens: itensAlterados, invalidos, iguais }
+
+}
+
+function restauraCelulaFormula(texto) {
+
+    return texto.startsWith("'") && regexCelulaFormula.test(texto) ? texto.slice(1) : texto
+
+}
+
+function escapaCelulaPlanilha(valor, separador) {
+
+    const texto = regexCelulaFormula.test(`${valor}`) ? `'${valor}` : `${valor}`
+
+    if (texto.includes(separador) || texto.includes('"') || texto.includes('\n') || texto.includes('\r')) {
+        return `"${texto.replaceAll('"', '""')}"`
+    }
+
+    return texto
+
+}
+
+// Texto da planilha com os projetos, linhas separadas por \r\n como na RFC 4180
+function escrevePlanilha(projetos, separador = ',') {
+
+    const linhas = [camposPlanilha, ...projetos.map((projeto) => camposPlanilha.map((campo) => projeto[campo]))]
+
+    return linhas.map((celulas) => celulas.map((valor) => escapaCelulaPlanilha(valor, separador)).join(separador)).join('\r\n') + '\r\n'
+
+}
+
+// Baixa os projetos salvos como .csv ou .tsv. Retorna os projetos com campos maiores que uma célula do Google Sheets
+async function exportaPlanilha(separador = ',') {
+
+    const projetos = await repositorioProjetos.listar()
+    const extensao = separador === '\t' ? 'tsv' : 'csv'
+    const tipo = separador === '\t' ? 'text/tab-separated-values' : 'text/csv'
+
+    // O BOM faz o Excel reconhecer o UTF-8, o Google Sheets ignora
+    baixaArquivo(new Blob(['\uFEFF' + escrevePlanilha(projetos, separador)], { type: `${tipo};charset=utf-8` }), `codi_bites.${extensao}`)
+
+    return projetos.filter((projeto) => camposPlanilha.some((campo) => `${projeto[campo]}`.length > limiteCelulaPlanilha))
+
+}
+
+// Planilha publicada na web (Arquivo > Compartilhar > Publicar na Web > CSV) ou qualquer URL que responda CSV/TSV
+async function baixaPlanilha(url) {
+
+    const resposta = await fetch(url)
+
+    if (!resposta.ok) {
+        throw new Error(`A planilha respondeu ${resposta.status}`)
+    }
+
+    return resposta.text()
+
+}
@@ -0,0 +1,198 @@
+
+// Importação de um arquivo JSON no formato do data.json ({ id: projeto }), como os gerados pelo exportToJsonFile.
+// Nada é gravado na análise: cada projeto do arquivo recebe uma ação escolhida pelo usuário e só depois a importação é
+// aplicada (ver paginaImportacao.js)
+//   'importar': projeto sem duplicado, é salvo como está
+//   'pular': o projeto do arquivo é ignorado
+//   'sobrescrever': o projeto do arquivo substitui o duplicado salvo, mantendo o id do salvo
+//   'manterAmbos': o projeto do arquivo é salvo ao lado do duplicado, com um id novo quando o id já está em uso
+
+// Hash do título + código (cyrb53), identifica o mesmo projeto salvo com outro id. Espaços nas pontas e quebras de
+// linha do Windows são ignorados para que a mesma cópia vinda de outro sistema seja reconhecida
+function hashTituloCodigo(projeto) {
+
+    const texto = `${projeto.titulo}`.trim().toLowerCase() + '\u0000' + `${projeto.codigo}`.replaceAll('\r\n', '\n').trim()
+
+    let h1 = 0xdeadbeef
+    let h2 = 0x41c6ce57
+
+    for (let i = 0; i < texto.length; i++) {
+
+        const caractere = texto.charCodeAt(i)
+        h1 = Math.imul(h1 ^ caractere, 2654435761)
+        h2 = Math.imul(h2 ^ caractere, 1597334677)
+
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16)
+
+}
+
+// Lê o texto do arquivo e retorna os projetos ({ id: projeto }), aceita também uma Array de projetos. A Array é
+// indexada pela posição para que projetos com o mesmo id cheguem à análise, que os mostra como duplicados
+function leArquivoImportacao(texto) {
+
+    let conteudo
+
+    try {
+
+        conteudo = JSON.parse(texto)
+
+    } catch (error) {
+
+        throw new Error('O arquivo não é um JSON válido')
+
+    }
+
+    if (conteudo === null || typeof conteudo !== 'object') {
+        throw new Error('O arquivo não tem projetos no formato do data.json')
+    }
+
+    return Array.isArray(conteudo)
+        ? Object.fromEntries(conteudo.entries())
+        : conteudo
+
+}
+
+// Compara os projetos do arquivo com os salvos (e entre si) e retorna { itens, invalidos }. Cada item tem o projeto,
+// o duplicado encontrado ({ projeto, motivo: 'id' | 'conteudo', origem: 'salvo' | 'arquivo' } ou null) e a ação
+// inicial: duplicados começam como 'pular' para que nada seja sobrescrito sem o usuário escolher
+async function analisaImportacao(projetosImportados) {
+
+    const { projetos, invalidos, repetidos } = preparaProjetosImportados(projetosImportados)
+
+    const salvos = await repositorioProjetos.listar()
+    const salvosPorHash = new Map(salvos.map((projeto) => [hashTituloCodigo(projeto), projeto]))
+    const arquivoPorHash = new Map()
+
+    const itens = []
+
+    for (const projeto of Object.values(projetos)) {
+
+        const hash = hashTituloCodigo(projeto)
+        const salvoMesmoId = await repositorioProjetos.obter(projeto.id)
+
+        let duplicado = null
+
+        if (salvoMesmoId !== null) {
+            duplicado = { projeto: salvoMesmoId, motivo: 'id', origem: 'salvo' }
+        } else if (salvosPorHash.has(hash)) {
+            duplicado = { projeto: salvosPorHash.get(hash), motivo: 'conteudo', origem: 'salvo' }
+        } else if (arquivoPorHash.has(hash)) {
+            duplicado = { projeto: arquivoPorHash.get(hash), motivo: 'conteudo', origem: 'arquivo' }
+        }
+
+        if (!arquivoPorHash.has(hash)) {
+            arquivoPorHash.set(hash, projeto)
+        }
+
+        itens.push({ projeto, duplicado, acao: duplicado === null ? 'importar' : 'pular' })
+
+    }
+
+    // Mesmo id de um projeto anterior do arquivo, vão depois dele para que 'manterAmbos' receba um id novo
+    repetidos.forEach((projeto) => {
+
+        itens.push({ projeto, duplicado: { projeto: projetos[projeto.id], motivo: 'id', origem: 'arquivo' }, acao: 'pular' })
+
+    })
+
+    return { itens, invalidos }
+
+}
+
+// Ações que o usuário pode escolher para o item
+function acoesImportacao(item) {
+
+    if (item.duplicado === null) {
+        return ['importar', 'pular']
+    }
+
+    // Duplicado de outro projeto do mesmo arquivo não tem projeto salvo para sobrescrever
+    return item.duplicado.origem === 'arquivo' ? ['pular', 'manterAmbos'] : ['pular', 'sobrescrever', 'manterAmbos']
+
+}
+
+// Id livre no mesmo formato do criaProjeto (Date.now()), avançando enquanto o id estiver em uso
+async function geraIdLivre(idsReservados) {
+
+    let id = Date.now()
+
+    while (idsReservados.has(`${id}`) || await repositorioProjetos.obter(id) !== null) {
+        id++
+    }
+
+    idsReservados.add(`${id}`)
+
+    return `${id}`
+
+}
+
+// Grava os itens conforme a ação escolhida, retorna a contagem de cada ação aplicada. Cada item gravado fica marcado
+// (item.aplicado), se a gravação falhar no meio a próxima tentativa continua dos itens que faltaram
+async function aplicaImportacao(itens) {
+
+    const resultado = {
+        importados: 0,
+        sobrescritos: 0,
+        mantidos: 0,
+        pulados: 0
+    }
+
+    // Ids dos projetos do arquivo, um id novo não pode colidir com um projeto que ainda vai ser importado
+    const idsReservados = new Set(itens.filter((item) => item.acao !== 'pular').map((item) => item.projeto.id))
+
+    for (const item of itens) {
+
+        switch (item.acao) {
+
+            case 'importar':
+
+                if (!item.aplicado) {
+                    await repositorioProjetos.salvar(item.projeto)
+                }
+
+                resultado.importados++
+
+            break;
+
+            case 'sobrescrever':
+
+                if (!item.aplicado) {
+                    await repositorioProjetos.atualizar({ ...item.projeto, id: item.duplicado.projeto.id })
+                }
+
+                resultado.sobrescritos++
+
+            break;
+
+            case 'manterAmbos':
+
+                if (!item.aplicado) {
+
+                    const idLivre = await repositorioProjetos.obter(item.projeto.id) === null
+                    await repositorioProjetos.salvar(idLivre ? item.projeto : { ...item.projeto, id: await geraIdLivre(idsReservados) })
+
+                }
+
+                resultado.mantidos++
+
+            break;
+
+            default:
+
+                resultado.pulados++
+
+            continue;
+        }
+
+        item.aplicado = true
+
+    }
+
+    return resultado
+
+}
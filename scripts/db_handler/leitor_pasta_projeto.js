@@ -6,81 +6,94 @@ function getUrlAtual() {
     
 }
 
-async function acessaRepo() {
+// Repositório do GitHub onde o data.json é publicado, a primeira das fontes configuradas (ver fontesRemotas.js)
+function repositorioRemoto() {
 
-    const url = getUrlAtual()
-    
-    // Get Repository url data
-    let owner, repo, path
+    return fontesRemotas()[0]
 
-    if (url.includes('github')) {
- 
-        const urlTratado = new URL(url)
+}
 
-        owner = urlTratado.hostname.slice(0, urlTratado.hostname.indexOf('.'))
-        repo = urlTratado.pathname.replaceAll('/', '')
-        path = '_projetos/data.json'
-        
-    
-    } else {
-    
-        owner = 'vcdomith'
-        repo = 'codi_bites'
-        path = '_projetos/data.json'
-        
-    }
+// Lê o data.json da fonte pela API de conteúdos, com o cache e as requisições condicionais do cacheGithub.js
+async function acessaRepo(fonte = repositorioRemoto()) {
 
     // GitHub API endpoint to get the contents of a repository's path
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+    const apiUrl = urlConteudoFonte(fonte);
 
     try {
 
-        const response = await fetch(apiUrl)
-
-        if (!response.ok) {
-            throw new Error(`HTTP Error. Status: ${response.status}`)
-        }
-
-        const responseJSON = await response.json()
-
-        return responseJSON;
+        return await leGithubComCache(apiUrl)
 
     }   catch(error) {
 
         console.error(error)
+        throw new Error(`${nomeFonteRemota(fonte)}: ${error.message}`)
 
     }
 
 }
 
+async function leProjetosFonte(fonte) {
+
+    const arquivo = await acessaRepo(fonte)
+
+    return JSON.parse(decodificaBase64(arquivo.content))
+
+}
+
 
+// Importa o data.json de cada fonte configurada com mescla de três vias (ver mesclaProjetos.js). Retorna o resumo
+// somado das mesclas, com os conflitos que precisam ser resolvidos pelo usuário, os erros das fontes inacessíveis, os
+// erros do repositório local ao gravar a mescla de uma fonte e os projetos ignorados por terem campos inválidos mesmo
+// após as migrações do esquema
 async function atualizaLocalStorageAPI() {
 
-    try {
+    const resumo = {
+        novos: 0,
+        mesclados: 0,
+        conflitos: [],
+        erros: [],
+        errosGravacao: [],
+        invalidos: []
+    }
 
-        const projetos = await acessaRepo()
-        const pDecoded = atob(projetos.content)
-        const parsedProjetos = JSON.parse(pDecoded);
+    for (const fonte of fontesRemotas()) {
 
-        let arquivos = {}
+        let importados
 
-        // Object.keys(parsedProjetos).forEach((key) => {
-        //     arquivos[key] = JSON.stringify(parsedProjetos[key])
-        // })
+        try {
 
-        // return arquivos
+            importados = preparaProjetosImportados(await leProjetosFonte(fonte))
 
-        Object.keys(parsedProjetos).forEach((key) => {
-            localStorage[key] = JSON.stringify(parsedProjetos[key])
-        })
+        } catch (error) {
+            
+            console.error(error.message)
+            resumo.erros.push(error.message)
+            continue
 
+        }
 
-    } catch (error) {
-        
-        console.error(error.message)
+        resumo.invalidos.push(...importados.invalidos)
+
+        // A fonte foi lida, um erro aqui vem do repositório local (leitura ou gravação dos projetos mesclados)
+        try {
+
+            const resultado = await mesclaProjetosRemotos(importados.projetos)
+
+            resumo.novos += resultado.novos
+            resumo.mesclados += resultado.mesclados
+            resumo.conflitos.push(...resultado.conflitos)
+
+        } catch (error) {
+
+            console.error(error)
+            resumo.errosGravacao.push(`${nomeFonteRemota(fonte)} (${error.message})`)
+
+        }
 
     }
 
+    return resumo
+
 }
 
 // let arquivos = atualizaLocalStorage().then(res => arquivos = res)
@@ -108,11 +121,17 @@ async function atualizaLocalStorageAPI() {
 
 // })
 
-let projetosJson = Object.fromEntries(
-    Object.keys(localStorage).map((key) => [key, JSON.parse(localStorage[key])])
-  );
+async function exportaProjetosSalvos(filename) {
 
-const a = JSON.stringify(projetosJson);
+    const projetos = await repositorioProjetos.listar()
+
+    const projetosJson = Object.fromEntries(
+        projetos.map((projeto) => [projeto.id, projeto])
+    );
+
+    exportToJsonFile(projetosJson, filename)
+
+}
 
 function exportToJsonFile(objectData, filename) {
     const blob = new Blob([JSON.stringify(objectData, null, 2)], { type: 'application/json' });
@@ -0,0 +1,120 @@
+
+// Lixeira: projetos excluídos vão para a coleção 'lixeira' ao invés de sumirem na hora, podem ser restaurados até a
+// exclusão definitiva ou até passar o tempo de retenção configurado.
+// Registro: { id: idProjeto, excluidoEm: timestamp, projeto }
+
+// Opções de retenção em dias, 0 mantém os projetos na lixeira até serem excluídos manualmente
+const opcoesRetencaoLixeira = [7, 30, 90, 0]
+
+function colecaoLixeira() {
+
+    return repositorioProjetos.colecao('lixeira')
+
+}
+
+function diasRetencaoLixeira() {
+
+    return leConfiguracao('retencaoLixeira', 30)
+
+}
+
+function gravaDiasRetencaoLixeira(dias) {
+
+    gravaConfiguracao('retencaoLixeira', dias)
+
+}
+
+// Timestamp em que o registro será apagado automaticamente, null quando a retenção está desativada
+function expiracaoLixeira(registro) {
+
+    const dias = diasRetencaoLixeira()
+
+    return dias > 0 ? registro.excluidoEm + dias * 24 * 60 * 60 * 1000 : null
+
+}
+
+// Itens da lixeira, do excluído mais recentemente para o mais antigo
+async function listaLixeira() {
+
+    const registros = await colecaoLixeira().listar()
+
+    return registros.sort((a, b) => b.excluidoEm - a.excluidoEm)
+
+}
+
+// Exclusão usada pelas páginas: a cópia vai para a lixeira antes de o projeto sair do repositório
+async function moveParaLixeira(id) {
+
+    const projeto = await repositorioProjetos.obter(id)
+
+    if (projeto === null) {
+        throw new Error(`Projeto ${id} não encontrado`)
+    }
+
+    const registro = { id: `${projeto.id}`, excluidoEm: Date.now(), projeto }
+
+    await colecaoLixeira().gravar(registro)
+    await repositorioProjetos.excluir(projeto.id)
+
+    return registro
+
+}
+
+async function restauraDaLixeira(id) {
+
+    const registro = await colecaoLixeira().obter(id)
+
+    if (registro === null) {
+        throw new Error('O projeto não está mais na lixeira')
+    }
+
+    await repositorioProjetos.salvar(registro.projeto)
+    await colecaoLixeira().remover(id)
+
+    return registro.projeto
+
+}
+
+// Apaga o projeto da lixeira junto com o histórico de revisões, não tem volta
+async function excluiDefinitivamente(id) {
+
+    await colecaoLixeira().remover(id)
+    await removeRevisoes(id)
+
+}
+
+// Apaga todos os itens da lixeira, retorna quantos foram apagados
+async function esvaziaLixeira() {
+
+    const registros = await listaLixeira()
+
+    for (const registro of registros) {
+        await excluiDefinitivamente(registro.id)
+    }
+
+    return registros.length
+
+}
+
+// Remove os itens que passaram do tempo de retenção, chamado na abertura da página. Retorna quantos foram apagados
+async function purgaLixeira() {
+
+    const agora = Date.now()
+    let apagados = 0
+
+    for (const registro of await listaLixeira()) {
+
+        const expiracao = expiracaoLixeira(registro)
+
+        if (expiracao !== null && expiracao <= agora) {
+
+            await excluiDefinitivamente(registro.id)
+            apagados++
+
+        }
+
+    }
+
+    return apagados
+
+}
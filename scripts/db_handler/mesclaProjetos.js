@@ -0,0 +1,233 @@
+
+// Mescla de três vias entre os projetos locais e o data.json remoto.
+// A base de cada projeto é a última versão sincronizada (coleção 'sincronizados'), comparando local e remoto com ela dá
+// para saber quem alterou cada campo: só um lado alterou -> fica a alteração, os dois alteraram de forma diferente -> conflito
+
+function valoresIguais(a, b) {
+
+    return JSON.stringify(a) === JSON.stringify(b)
+
+}
+
+function projetosIguais(a, b) {
+
+    const campos = new Set([...Object.keys(a), ...Object.keys(b)])
+
+    return Array.from(campos).every((campo) => valoresIguais(a[campo], b[campo]))
+
+}
+
+// Retorna o projeto mesclado e a lista de campos em conflito (no projeto mesclado esses campos ficam com o valor local)
+function mesclaCampos(base, local, remoto) {
+
+    const campos = new Set([...Object.keys(local), ...Object.keys(remoto)])
+
+    const projeto = {}
+    const conflitos = []
+
+    campos.forEach((campo) => {
+
+        let valor
+
+        if (valoresIguais(local[campo], remoto[campo])) {
+
+            valor = local[campo]
+
+        } else if (valoresIguais(local[campo], base[campo])) {
+
+            // Só o remoto alterou
+            valor = remoto[campo]
+
+        } else if (valoresIguais(remoto[campo], base[campo])) {
+
+            // Só o local alterou
+            valor = local[campo]
+
+        } else {
+
+            conflitos.push(campo)
+            valor = local[campo]
+
+        }
+
+        if (valor !== undefined) {
+            projeto[campo] = valor
+        }
+
+    })
+
+    return { projeto, conflitos }
+
+}
+
+// Projeto nunca sincronizado não tem base. Campo vazio de um lado conta como não alterado por esse lado e fica com o
+// valor do outro, só os campos preenchidos dos dois lados com valores diferentes viram conflito
+function baseSemSincronizacao(local, remoto) {
+
+    const vazio = (valor) => valor === undefined || valor === null || valor === ''
+
+    const campos = new Set([...Object.keys(local), ...Object.keys(remoto)])
+    const base = {}
+
+    campos.forEach((campo) => {
+
+        if (vazio(local[campo])) {
+            base[campo] = local[campo]
+        } else if (vazio(remoto[campo])) {
+            base[campo] = remoto[campo]
+        }
+
+    })
+
+    return base
+
+}
+
+// Grava a versão que passa a ser a base da próxima mescla (após importar ou publicar)
+async function registraBasesSincronizacao(projetos) {
+
+    const bases = repositorioProjetos.colecao('sincronizados')
+
+    for (const projeto of projetos) {
+        await bases.gravar(projeto)
+    }
+
+}
+
+// Aplica os projetos remotos ({ id: projeto }) sobre os locais. Alterações sem sobreposição são gravadas na hora, os
+// conflitos são devolvidos para o usuário resolver (ver paginaConflitos.js)
+//   tipo 'campos': os dois lados alteraram o mesmo campo de formas diferentes
+//   tipo 'exclusao': o projeto foi excluído localmente mas alterado no remoto
+async function mesclaProjetosRemotos(projetosRemotos) {
+
+    const bases = repositorioProjetos.colecao('sincronizados')
+
+    const resultado = {
+        novos: 0,
+        mesclados: 0,
+        conflitos: []
+    }
+
+    for (const remoto of Object.values(projetosRemotos)) {
+
+        const base = await bases.obter(remoto.id)
+        const local = await repositorioProjetos.obter(remoto.id)
+
+        if (local === null) {
+
+            if (base === null) {
+
+                await repositorioProjetos.salvar(remoto)
+                await bases.gravar(remoto)
+                resultado.novos++
+
+            } else if (!projetosIguais(base, remoto)) {
+
+                resultado.conflitos.push({ tipo: 'exclusao', base, local, remoto, campos: [] })
+
+            }
+
+            // Excluído localmente e sem alterações no remoto: a exclusão local é mantida
+            continue
+
+        }
+
+        const { projeto, conflitos } = mesclaCampos(base || baseSemSincronizacao(local, remoto), local, remoto)
+
+        if (conflitos.length > 0) {
+
+            resultado.conflitos.push({ tipo: 'campos', base, local, remoto, campos: conflitos, projeto })
+            continue
+
+        }
+
+        if (!projetosIguais(projeto, local)) {
+
+            await repositorioProjetos.atualizar(projeto)
+            resultado.mesclados++
+
+        }
+
+        await bases.gravar(remoto)
+
+    }
+
+    return resultado
+
+}
+
+// escolhas: { campo: 'local' | 'remoto' } para conflitos de campos, ou { exclusao: 'local' | 'remoto' }
+async function resolveConflito(conflito, escolhas) {
+
+    if (conflito.tipo === 'exclusao') {
+
+        if (escolhas.exclusao === 'remoto') {
+            await repositorioProjetos.salvar(conflito.remoto)
+        }
+
+    } else {
+
+        const projeto = { ...conflito.projeto }
+
+        conflito.campos.forEach((campo) => {
+
+            const origem = escolhas[campo] === 'remoto' ? conflito.remoto : conflito.local
+
+            if (origem[campo] === undefined) {
+                delete projeto[campo]
+            } else {
+                projeto[campo] = origem[campo]
+            }
+
+        })
+
+        await repositorioProjetos.atualizar(projeto)
+
+    }
+
+    // A versão remota passa a ser a base, o mesmo conflito não é apresentado de novo na próxima sincronização
+    await registraBasesSincronizacao([conflito.remoto])
+
+}
+
+// Simula a mescla sem gravar nada, usado na prévia das fontes. Retorna a situação de cada projeto remoto:
+// 'novo', 'igual', 'mesclado', 'conflito' ou 'excluido' (excluído localmente, não será restaurado)
+async function previaProjetosRemotos(projetosRemotos) {
+
+    const bases = repositorioProjetos.colecao('sincronizados')
+    const previa = []
+
+    for (const remoto of Object.values(projetosRemotos)) {
+
+        const base = await bases.obter(remoto.id)
+        const local = await repositorioProjetos.obter(remoto.id)
+
+        let situacao
+
+        if (local === null) {
+
+            if (base === null) {
+                situacao = 'novo'
+            } else {
+                situacao = projetosIguais(base, remoto) ? 'excluido' : 'conflito'
+            }
+
+        } else {
+
+            const { projeto, conflitos } = mesclaCampos(base || baseSemSincronizacao(local, remoto), local, remoto)
+
+            if (conflitos.length > 0) {
+                situacao = 'conflito'
+            } else {
+                situacao = projetosIguais(projeto, local) ? 'igual' : 'mesclado'
+            }
+
+        }
+
+        previa.push({ projeto: remoto, situacao })
+
+    }
+
+    return previa
+
+}
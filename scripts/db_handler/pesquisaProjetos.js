@@ -0,0 +1,235 @@
+// Pesquisa de texto nos projetos: termos soltos, "frases entre aspas" e os qualificadores lang: e tag:
+//   media "lista ordenada" lang:python tag:algoritmos
+// Todos os termos e frases precisam aparecer em algum campo, um qualificador repetido aceita qualquer um dos valores
+// (lang:py lang:js) e qualificadores diferentes precisam ser atendidos juntos. A comparação ignora acentos e maiúsculas
+
+// Peso de cada campo na ordem dos resultados, um termo no título vale mais que o mesmo termo no código
+const pesosPesquisa = {
+    titulo: 10,
+    tag: 6,
+    linguagem: 6,
+    descricao: 3,
+    codigo: 1
+}
+
+const qualificadoresPesquisa = {
+    'lang': 'linguagens',
+    'linguagem': 'linguagens',
+    'language': 'linguagens',
+    'tag': 'tags'
+}
+
+// Texto sem acentos e em minúsculas junto com a posição no texto original de cada caractere, para marcar os trechos
+// encontrados no texto que aparece na tela
+function normalizaPesquisa(texto) {
+
+    let normalizado = ''
+    const indices = []
+    let posicao = 0
+
+    for (const caractere of `${texto}`) {
+
+        const parte = caractere.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+        for (let i = 0; i < parte.length; i++) {
+            indices.push(posicao)
+        }
+
+        normalizado += parte
+        posicao += caractere.length
+
+    }
+
+    indices.push(posicao)
+
+    return { normalizado, indices }
+
+}
+
+function textoPesquisa(texto) {
+
+    return normalizaPesquisa(texto).normalizado
+
+}
+
+// { termos: [...], linguagens: [...], tags: [...] }, frases entram em termos com os espaços
+function interpretaPesquisa(texto) {
+
+    const consulta = { termos: [], linguagens: [], tags: [] }
+    const partes = /([^\s:"]+):"([^"]*)"?|"([^"]*)"?|(\S+)/g
+
+    for (const [, qualificadorAspas, valorAspas, frase, palavra] of `${texto}`.matchAll(partes)) {
+
+        let qualificador = qualificadorAspas
+        let valor = valorAspas
+
+        if (palavra !== undefined) {
+
+            const separador = palavra.indexOf(':')
+            qualificador = separador > 0 ? palavra.slice(0, separador) : undefined
+            valor = separador > 0 ? palavra.slice(separador + 1) : undefined
+
+        }
+
+        const lista = qualificador !== undefined ? qualificadoresPesquisa[textoPesquisa(qualificador)] : undefined
+
+        // lang:python vira filtro, um 'http://...' ou 'chave:' solto continua sendo um termo comum
+        if (lista !== undefined && valor !== undefined) {
+
+            const valorNormalizado = textoPesquisa(valor).trim()
+
+            if (valorNormalizado !== '') {
+                consulta[lista].push(valorNormalizado)
+            }
+
+            continue
+
+        }
+
+        const termo = textoPesquisa(frase !== undefined ? frase : palavra !== undefined ? palavra : `${qualificadorAspas}:${valorAspas}`).trim()
+
+        if (termo !== '' && !consulta.termos.includes(termo)) {
+            consulta.termos.push(termo)
+        }
+
+    }
+
+    return consulta
+
+}
+
+function consultaVazia(consulta) {
+
+    return consulta.termos.length === 0 && consulta.linguagens.length === 0 && consulta.tags.length === 0
+
+}
+
+// Campos já normalizados de um projeto, calculados uma vez por renderização do feed e reaproveitados a cada tecla
+function indexaProjetoPesquisa(projeto) {
+
+    return {
+        projeto,
+        campos: {
+            titulo: textoPesquisa(projeto.titulo),
+            tag: textoPesquisa(projeto.tag),
+            linguagem: textoPesquisa(`${projeto.linguagem} ${nomeLinguagem(projeto.linguagem)}`),
+            descricao: textoPesquisa(projeto.descricao),
+            codigo: textoPesquisa(projeto.codigo)
+        },
+        // lang: aceita a chave salva, o nome mostrado no card e a extensão do arquivo (lang:py, lang:c++, lang:cpp)
+        linguagens: [projeto.linguagem, nomeLinguagem(projeto.linguagem), extensaoLinguagem(projeto.linguagem)].map(textoPesquisa)
+    }
+
+}
+
+function contaOcorrencias(texto, termo) {
+
+    let quantidade = 0
+
+    for (let posicao = texto.indexOf(termo); posicao !== -1; posicao = texto.indexOf(termo, posicao + termo.length)) {
+        quantidade++
+    }
+
+    return quantidade
+
+}
+
+function escapaRegex(texto) {
+
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+}
+
+// Pontuação do projeto na consulta, null quando ele não atende a consulta. Cada campo soma o peso por ocorrência (até 5,
+// para um código repetitivo não passar na frente de um título), palavra inteira e início do campo valem um pouco mais
+function pontuaProjeto(indice, consulta) {
+
+    if (consulta.linguagens.length > 0 && !consulta.linguagens.some((linguagem) => indice.linguagens.includes(linguagem))) {
+        return null
+    }
+
+    if (consulta.tags.length > 0 && !consulta.tags.includes(indice.campos.tag)) {
+        return null
+    }
+
+    let pontos = 0
+
+    for (const termo of consulta.termos) {
+
+        const palavraInteira = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapaRegex(termo)}($|[^\\p{L}\\p{N}_])`, 'u')
+        let encontrado = false
+
+        Object.entries(pesosPesquisa).forEach(([campo, peso]) => {
+
+            const texto = indice.campos[campo]
+            const ocorrencias = contaOcorrencias(texto, termo)
+
+            if (ocorrencias === 0) {
+                return
+            }
+
+            encontrado = true
+            pontos += peso * Math.min(ocorrencias, 5)
+
+            if (palavraInteira.test(texto)) {
+                pontos += peso
+            }
+
+            if (texto.startsWith(termo)) {
+                pontos += peso
+            }
+
+        })
+
+        if (!encontrado) {
+            return null
+        }
+
+    }
+
+    return pontos
+
+}
+
+// Índices que atendem a consulta, da maior para a menor pontuação. Empates mantêm a ordem do feed
+function pesquisaProjetos(indices, consulta) {
+
+    return indices
+        .map((indice, posicao) => ({ indice, posicao, pontos: pontuaProjeto(indice, consulta) }))
+        .filter(({ pontos }) => pontos !== null)
+        .sort((a, b) => b.pontos - a.pontos || a.posicao - b.posicao)
+        .map(({ indice }) => indice)
+
+}
+
+// Trechos do texto original ([[inicio, fim], ...], fim exclusivo) onde aparece algum dos termos, em ordem e sem sobreposição
+function intervalosPesquisa(texto, termos) {
+
+    const { normalizado, indices } = normalizaPesquisa(texto)
+    const intervalos = []
+
+    termos.forEach((termo) => {
+
+        for (let posicao = normalizado.indexOf(termo); posicao !== -1; posicao = normalizado.indexOf(termo, posicao + termo.length)) {
+            intervalos.push([indices[posicao], indices[posicao + termo.length]])
+        }
+
+    })
+
+    intervalos.sort((a, b) => a[0] - b[0])
+
+    return intervalos.reduce((unidos, intervalo) => {
+
+        const ultimo = unidos[unidos.length - 1]
+
+        if (ultimo !== undefined && intervalo[0] <= ultimo[1]) {
+            ultimo[1] = Math.max(ultimo[1], intervalo[1])
+        } else {
+            unidos.push([...intervalo])
+        }
+
+        return unidos
+
+    }, [])
+
+}
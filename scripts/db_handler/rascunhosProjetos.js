@@ -0,0 +1,68 @@
+
+// Rascunhos do editor de projeto novo. São gravados a cada alteração no editor, por isso ficam no localStorage (gravação
+// síncrona, nada se perde se a aba fechar) em chaves próprias no formato 'codi_bites:rascunho:id', fora dos índices de projetos.
+// Rascunho: { id, atualizadoEm: timestamp, titulo, descricao, codigo, linguagem, tag, cor }
+
+const prefixoRascunho = chaveArmazenamento('rascunho', '')
+
+// Rascunhos do alterado mais recentemente para o mais antigo
+function listaRascunhos() {
+
+    const rascunhos = []
+
+    for (let indice = 0; indice < window.localStorage.length; indice++) {
+
+        const chave = window.localStorage.key(indice)
+
+        if (!chave.startsWith(prefixoRascunho)) {
+            continue
+        }
+
+        const rascunho = obtemRascunho(chave.slice(prefixoRascunho.length))
+
+        if (rascunho !== null) {
+            rascunhos.push(rascunho)
+        }
+
+    }
+
+    return rascunhos.sort((a, b) => b.atualizadoEm - a.atualizadoEm)
+
+}
+
+function obtemRascunho(id) {
+
+    try {
+
+        const valor = window.localStorage.getItem(`${prefixoRascunho}${id}`)
+        return valor === null ? null : JSON.parse(valor)
+
+    } catch (error) {
+
+        console.error(error)
+        return null
+
+    }
+
+}
+
+function gravaRascunho(rascunho) {
+
+    window.localStorage.setItem(`${prefixoRascunho}${rascunho.id}`, JSON.stringify({ ...rascunho, atualizadoEm: Date.now() }))
+
+}
+
+function removeRascunho(id) {
+
+    window.localStorage.removeItem(`${prefixoRascunho}${id}`)
+
+}
+
+// Só a cor escolhida não conta como conteúdo, o editor já abre com uma cor
+function rascunhoVazio(rascunho) {
+
+    const textos = [rascunho.titulo, rascunho.descricao, rascunho.codigo, rascunho.tag]
+
+    return textos.every((texto) => `${texto}`.trim() === '') && rascunho.linguagem === null
+
+}
@@ -0,0 +1,242 @@
+
+// Ponto único de acesso aos projetos salvos. As páginas não leem nem escrevem no localStorage diretamente,
+// tudo passa por aqui e é delegado ao adaptador ativo (ver adaptadoresArmazenamento.js)
+
+const repositorioProjetos = {
+
+    adaptador: null,
+    nomeAdaptador: null,
+    colecoes: {},
+    inscritos: [],
+
+    // Troca o backend usado pelo repositório. Ex: repositorioProjetos.usaAdaptador('memoria')
+    usaAdaptador(nome) {
+
+        if (!(nome in adaptadoresDisponiveis)) {
+            throw new Error(`Adaptador de armazenamento "${nome}" não existe`)
+        }
+
+        this.adaptador = adaptadoresDisponiveis[nome]('projetos')
+        this.nomeAdaptador = nome
+        this.colecoes = {}
+
+    },
+
+    // Escolhe o backend na abertura da página: IndexedDB quando o navegador suporta (trazendo os projetos que estiverem
+    // no localStorage), caso contrário continua no localStorage
+    async inicializa() {
+
+        // Projetos gravados antes do namespace, precisa rodar antes de qualquer leitura
+        await migraProjetosSemNamespace(window.localStorage)
+
+        if (!('indexedDB' in window)) {
+
+            this.usaAdaptador('localStorage')
+
+        } else {
+
+            try {
+
+                this.usaAdaptador('indexedDB')
+                await migraLocalStorageParaIndexedDB(this.adaptador)
+
+            } catch (error) {
+
+                // IndexedDB indisponível ou cópia interrompida. O que for salvo nesta sessão fica no localStorage e é
+                // copiado para o IndexedDB na próxima abertura em que ele funcionar
+                console.error(error)
+                criaNotificacao('alerta', `Não foi possível abrir o banco de dados, os projetos desta sessão ficam no armazenamento local (${error.message})`)
+                this.usaAdaptador('localStorage')
+
+            }
+
+        }
+
+        // Projetos e bases da sincronização gravados em versões antigas do esquema (ver esquemaProjeto.js)
+        await migraColecaoProjetos(this.adaptador)
+        await migraColecaoProjetos(this.colecao('sincronizados'))
+
+    },
+
+    adaptadorAtivo() {
+
+        if (this.adaptador === null) {
+            this.usaAdaptador('localStorage')
+        }
+
+        return this.adaptador
+
+    },
+
+    // Adaptador de outra coleção (ex: 'sincronizados') no mesmo backend dos projetos, mesma interface listar/obter/gravar/remover
+    colecao(nome) {
+
+        this.adaptadorAtivo()
+
+        if (!(nome in this.colecoes)) {
+            this.colecoes[nome] = adaptadoresDisponiveis[this.nomeAdaptador](nome)
+        }
+
+        return this.colecoes[nome]
+
+    },
+
+    // Lista os projetos do mais novo para o mais antigo (o id é o Date.now() da criação)
+    async listar() {
+
+        const projetos = await this.adaptadorAtivo().listar()
+
+        return projetos.sort((a, b) => `${b.id}`.localeCompare(`${a.id}`))
+
+    },
+
+    async obter(id) {
+
+        return this.adaptadorAtivo().obter(id)
+
+    },
+
+    // Projetos com o campo igual ao valor. Usa o índice do backend quando existe (IndexedDB), senão filtra a lista
+    async listarPor(campo, valor) {
+
+        const adaptador = this.adaptadorAtivo()
+
+        const projetos = 'listarPorIndice' in adaptador
+            ? await adaptador.listarPorIndice(campo, valor)
+            : (await adaptador.listar()).filter((projeto) => projeto[campo] === valor)
+
+        return projetos.sort((a, b) => `${b.id}`.localeCompare(`${a.id}`))
+
+    },
+
+    // Todo projeto gravado passa pelas migrações do esquema e precisa ser válido, recusa gravar campos inválidos
+    preparaGravacao(projeto) {
+
+        const projetoMigrado = migraProjeto(projeto)
+        const invalidos = validaProjeto(projetoMigrado)
+
+        if (invalidos.length > 0) {
+            throw new Error(`Projeto "${projeto.titulo}" com campos inválidos: ${invalidos.map((campo) => palavraCorreta(campo)).join(', ')}`)
+        }
+
+        return projetoMigrado
+
+    },
+
+    // Salva um projeto novo, recusa sobrescrever um projeto já existente. Toda gravação entra no histórico (ver revisoesProjetos.js)
+    async salvar(projeto) {
+
+        const projetoMigrado = this.preparaGravacao(projeto)
+
+        if (await this.obter(projetoMigrado.id) !== null) {
+            throw new Error(`Projeto "${projeto.titulo}" já existente`)
+        }
+
+        await this.adaptadorAtivo().gravar(projetoMigrado)
+
+        // Gravação e revisão são uma operação só: sem espaço para a revisão o projeto também não fica salvo
+        try {
+
+            await registraRevisao(projetoMigrado, 'salvo')
+
+        } catch (error) {
+
+            await this.adaptadorAtivo().remover(projetoMigrado.id)
+            throw error
+
+        }
+
+        this.notifica('salvo', projetoMigrado)
+
+    },
+
+    // Atualiza um projeto existente, recusa criar um projeto que não foi salvo antes
+    async atualizar(projeto) {
+
+        const projetoMigrado = this.preparaGravacao(projeto)
+        const projetoAnterior = await this.obter(projetoMigrado.id)
+
+        if (projetoAnterior === null) {
+            throw new Error(`Projeto "${projeto.titulo}" não encontrado`)
+        }
+
+        await this.adaptadorAtivo().gravar(projetoMigrado)
+
+        try {
+
+            await registraRevisao(projetoMigrado, 'atualizado', projetoAnterior)
+
+        } catch (error) {
+
+            await this.adaptadorAtivo().gravar(projetoAnterior)
+            throw error
+
+        }
+
+        this.notifica('atualizado', projetoMigrado)
+
+    },
+
+    // Curtida não é uma edição: grava só a nova contagem, sem revisão no histórico, e avisa como 'curtido' para que as
+    // páginas troquem só a contagem (ver curtidasProjetos.js). Retorna o projeto gravado
+    async curtir(id, curtido) {
+
+        const projeto = await this.obter(id)
+
+        if (projeto === null) {
+            throw new Error('Esse projeto não existe mais, ele pode ter sido excluído')
+        }
+
+        const projetoCurtido = { ...projeto, likes: Math.max(projeto.likes + (curtido ? 1 : -1), 0) }
+
+        await this.adaptadorAtivo().gravar(projetoCurtido)
+
+        this.notifica('curtido', projetoCurtido)
+
+        return projetoCurtido
+
+    },
+
+    async excluir(id) {
+
+        const projeto = await this.obter(id)
+
+        await this.adaptadorAtivo().remover(id)
+
+        if (projeto !== null) {
+            this.notifica('excluido', projeto)
+        }
+
+    },
+
+    // Registra uma função chamada a cada alteração com { tipo, projeto, externo }, retorna a função que cancela a inscrição.
+    // externo é true quando a alteração foi feita em outra aba (ver sincronizacaoAbas.js)
+    inscrever(callback) {
+
+        this.inscritos.push(callback)
+
+        return () => {
+            this.inscritos = this.inscritos.filter((inscrito) => inscrito !== callback)
+        }
+
+    },
+
+    notifica(tipo, projeto, externo = false) {
+
+        this.inscritos.forEach((inscrito) => {
+
+            try {
+
+                inscrito({ tipo, projeto, externo })
+
+            } catch (error) {
+
+                console.error(error)
+
+            }
+
+        })
+
+    }
+
+}
@@ -0,0 +1,328 @@
+
+// Histórico de revisões dos projetos. Toda gravação feita pelo repositorioProjetos (salvar ou atualizar) guarda uma
+// cópia do projeto na coleção 'revisoes', assim qualquer versão anterior pode ser comparada e restaurada.
+// Revisão: { id: 'idProjeto:timestamp', projetoId, timestamp, tipo: 'salvo' | 'atualizado' | 'original', projeto }
+
+// Campos comparados entre duas revisões, na ordem em que aparecem no diff
+const camposDiffRevisao = ['codigo', 'titulo', 'descricao', 'tag', 'linguagem', 'cor', 'corTexto']
+
+// Opções de revisões guardadas por projeto, 0 guarda todas. Com um limite as mais antigas além dele são apagadas
+const opcoesLimiteRevisoes = [0, 20, 50, 100]
+
+function colecaoRevisoes() {
+
+    return repositorioProjetos.colecao('revisoes')
+
+}
+
+function limiteRevisoesProjeto() {
+
+    return leConfiguracao('limiteRevisoes', 0)
+
+}
+
+function gravaLimiteRevisoesProjeto(limite) {
+
+    gravaConfiguracao('limiteRevisoes', limite)
+
+}
+
+// Revisões de um projeto, da mais nova para a mais antiga
+async function listaRevisoes(projetoId) {
+
+    const colecao = colecaoRevisoes()
+
+    const revisoes = 'listarPorIndice' in colecao
+        ? await colecao.listarPorIndice('projetoId', `${projetoId}`)
+        : (await colecao.listar()).filter((revisao) => revisao.projetoId === `${projetoId}`)
+
+    return revisoes.sort((a, b) => b.timestamp - a.timestamp)
+
+}
+
+// anterior: versão que estava salva antes da gravação. Projetos salvos antes do histórico existir não têm revisões,
+// nesse caso a versão anterior entra como revisão 'original' para que a primeira atualização também possa ser desfeita
+async function registraRevisao(projeto, tipo, anterior = null) {
+
+    const colecao = colecaoRevisoes()
+    const timestamp = Date.now()
+    const revisoes = await listaRevisoes(projeto.id)
+
+    if (anterior !== null && revisoes.length === 0) {
+        await colecao.gravar({ id: `${projeto.id}:${timestamp - 1}`, projetoId: `${projeto.id}`, timestamp: timestamp - 1, tipo: 'original', projeto: anterior })
+    }
+
+    await colecao.gravar({ id: `${projeto.id}:${timestamp}`, projetoId: `${projeto.id}`, timestamp, tipo, projeto })
+
+    const limite = limiteRevisoesProjeto()
+
+    // Com a revisão nova, só as limite - 1 mais recentes das anteriores continuam
+    if (limite > 0) {
+
+        for (const revisao of revisoes.slice(limite - 1)) {
+            await colecao.remover(revisao.id)
+        }
+
+    }
+
+}
+
+// Aplica um limite novo ao histórico já gravado, retorna quantas revisões foram apagadas
+async function aplicaLimiteRevisoes() {
+
+    const limite = limiteRevisoesProjeto()
+
+    if (limite === 0) {
+        return 0
+    }
+
+    const colecao = colecaoRevisoes()
+    const porProjeto = new Map()
+
+    for (const revisao of await colecao.listar()) {
+
+        if (!porProjeto.has(revisao.projetoId)) {
+            porProjeto.set(revisao.projetoId, [])
+        }
+
+        porProjeto.get(revisao.projetoId).push(revisao)
+
+    }
+
+    let apagadas = 0
+
+    for (const revisoes of porProjeto.values()) {
+
+        for (const revisao of revisoes.sort((a, b) => b.timestamp - a.timestamp).slice(limite)) {
+
+            await colecao.remover(revisao.id)
+            apagadas++
+
+        }
+
+    }
+
+    return apagadas
+
+}
+
+async function removeRevisoes(projetoId) {
+
+    const colecao = colecaoRevisoes()
+
+    for (const revisao of await listaRevisoes(projetoId)) {
+        await colecao.remover(revisao.id)
+    }
+
+}
+
+// Libera espaço apagando as revisões antigas, cada projeto fica só com a revisão mais recente. Retorna quantas foram apagadas
+async function compactaHistorico() {
+
+    const colecao = colecaoRevisoes()
+    const maisRecentes = new Map()
+    const antigas = []
+
+    for (const revisao of await colecao.listar()) {
+
+        const atual = maisRecentes.get(revisao.projetoId)
+
+        if (atual === undefined || revisao.timestamp > atual.timestamp) {
+
+            if (atual !== undefined) {
+                antigas.push(atual)
+            }
+
+            maisRecentes.set(revisao.projetoId, revisao)
+
+        } else {
+
+            antigas.push(revisao)
+
+        }
+
+    }
+
+    for (const revisao of antigas) {
+        await colecao.remover(revisao.id)
+    }
+
+    return antigas.length
+
+}
+
+// Restaurar grava a versão da revisão como uma nova atualização, o histórico não perde as versões posteriores
+async function restauraRevisao(revisao) {
+
+    const projetoRestaurado = { ...revisao.projeto, id: revisao.projetoId }
+    const projetoSalvo = await repositorioProjetos.obter(revisao.projetoId)
+
+    // A revisão volta o conteúdo, as curtidas continuam as de agora
+    if (projetoSalvo !== null) {
+        mantemContagensProjeto(projetoRestaurado, projetoSalvo)
+    }
+
+    await repositorioProjetos.atualizar(projetoRestaurado)
+
+    return repositorioProjetos.obter(revisao.projetoId)
+
+}
+
+// Campos alterados entre duas versões do projeto
+function camposAlteradosRevisao(antes, depois) {
+
+    return camposDiffRevisao.filter((campo) => !valoresIguais(antes[campo], depois[campo]))
+
+}
+
+// Máximo de linhas diferentes (removidas + adicionadas) que o diff procura alinhar. O custo do Myers cresce com esse
+// número, acima dele o trecho diferente é mostrado inteiro como removido e adicionado
+const limiteEdicoesDiff = 1000
+
+// Menor sequência de operações que leva as linhas de antes às de depois (algoritmo de Myers, O((N + M) * D)), ou null
+// quando são necessárias mais de limite operações. Guarda só a faixa de diagonais usada em cada passo
+function operacoesMyers(antes, depois, limite) {
+
+    const deslocamento = limite + 1
+    const v = new Int32Array(2 * limite + 3)
+    const passos = []
+
+    for (let d = 0; d <= limite; d++) {
+
+        passos.push(v.slice(deslocamento - d - 1, deslocamento + d + 2))
+
+        for (let k = -d; k <= d; k += 2) {
+
+            let x = k === -d || (k !== d && v[deslocamento + k - 1] < v[deslocamento + k + 1])
+                ? v[deslocamento + k + 1]
+                : v[deslocamento + k - 1] + 1
+            let y = x - k
+
+            while (x < antes.length && y < depois.length && antes[x] === depois[y]) {
+                x++
+                y++
+            }
+
+            v[deslocamento + k] = x
+
+            if (x >= antes.length && y >= depois.length) {
+                return caminhoMyers(antes, depois, passos, d)
+            }
+
+        }
+
+    }
+
+    return null
+
+}
+
+// Refaz de trás para frente o caminho encontrado pelo operacoesMyers
+function caminhoMyers(antes, depois, passos, total) {
+
+    const operacoes = []
+    let x = antes.length
+    let y = depois.length
+
+    for (let d = total; d > 0; d--) {
+
+        const anterior = (k) => passos[d][k + d + 1]
+        const k = x - y
+        const kAnterior = k === -d || (k !== d && anterior(k - 1) < anterior(k + 1)) ? k + 1 : k - 1
+        const xAnterior = anterior(kAnterior)
+        const yAnterior = xAnterior - kAnterior
+
+        while (x > xAnterior && y > yAnterior) {
+            operacoes.push({ tipo: 'igual', esquerda: antes[--x], direita: depois[--y] })
+        }
+
+        if (x === xAnterior) {
+            operacoes.push({ tipo: 'adicionado', esquerda: null, direita: depois[--y] })
+        } else {
+            operacoes.push({ tipo: 'removido', esquerda: antes[--x], direita: null })
+        }
+
+    }
+
+    while (x > 0 && y > 0) {
+        operacoes.push({ tipo: 'igual', esquerda: antes[--x], direita: depois[--y] })
+    }
+
+    return operacoes.reverse()
+
+}
+
+// Diff linha a linha pronto para exibir lado a lado. Cada linha do resultado é
+// { tipo: 'igual' | 'removido' | 'adicionado' | 'alterado', esquerda, direita }, o lado ausente fica null.
+// O início e o final iguais ficam de fora da busca, que só alinha o trecho do meio
+function diffLinhas(textoAntes, textoDepois) {
+
+    const antes = `${textoAntes}`.replaceAll('\r\n', '\n').split('\n')
+    const depois = `${textoDepois}`.replaceAll('\r\n', '\n').split('\n')
+
+    let inicio = 0
+    while (inicio < antes.length && inicio < depois.length && antes[inicio] === depois[inicio]) {
+        inicio++
+    }
+
+    let fim = 0
+    while (fim < antes.length - inicio && fim < depois.length - inicio && antes[antes.length - 1 - fim] === depois[depois.length - 1 - fim]) {
+        fim++
+    }
+
+    const meioAntes = antes.slice(inicio, antes.length - fim)
+    const meioDepois = depois.slice(inicio, depois.length - fim)
+
+    const operacoesMeio = operacoesMyers(meioAntes, meioDepois, limiteEdicoesDiff) || [
+        ...meioAntes.map((linha) => ({ tipo: 'removido', esquerda: linha, direita: null })),
+        ...meioDepois.map((linha) => ({ tipo: 'adicionado', esquerda: null, direita: linha }))
+    ]
+
+    const operacoes = [
+        ...antes.slice(0, inicio).map((linha) => ({ tipo: 'igual', esquerda: linha, direita: linha })),
+        ...operacoesMeio,
+        ...antes.slice(antes.length - fim).map((linha) => ({ tipo: 'igual', esquerda: linha, direita: linha }))
+    ]
+
+    // Linhas removidas e adicionadas entre as mesmas linhas iguais são mostradas na mesma altura, como linhas alteradas
+    const linhas = []
+
+    for (let indice = 0; indice < operacoes.length; indice++) {
+
+        if (operacoes[indice].tipo === 'igual') {
+            linhas.push(operacoes[indice])
+            continue
+        }
+
+        const removidas = []
+        const adicionadas = []
+
+        while (indice < operacoes.length && operacoes[indice].tipo !== 'igual') {
+
+            if (operacoes[indice].tipo === 'removido') {
+                removidas.push(operacoes[indice].esquerda)
+            } else {
+                adicionadas.push(operacoes[indice].direita)
+            }
+
+            indice++
+
+        }
+
+        indice--
+
+        for (let par = 0; par < Math.max(removidas.length, adicionadas.length); par++) {
+
+            const esquerda = par < removidas.length ? removidas[par] : null
+            const direita = par < adicionadas.length ? adicionadas[par] : null
+            const tipo = esquerda !== null && direita !== null ? 'alterado' : (esquerda !== null ? 'removido' : 'adicionado')
+
+            linhas.push({ tipo, esquerda, direita })
+
+        }
+
+    }
+
+    return linhas
+
+}
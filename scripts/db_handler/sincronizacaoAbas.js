@@ -0,0 +1,303 @@
+
+// Sincronização entre abas: toda alteração feita pelo repositorioProjetos nesta aba é avisada às outras abas abertas, que
+// repassam o aviso aos seus inscritos como alteração externa ({ tipo, projeto, externo: true }) e atualizam a página atual.
+// Usa o BroadcastChannel e, nos navegadores sem ele, o evento 'storage' disparado ao gravar uma chave do localStorage
+
+const nomeCanalSincronizacaoAbas = 'codi_bites'
+const chaveEventoSincronizacaoAbas = chaveArmazenamento('evento', 'sincronizacaoAbas')
+
+function iniciaSincronizacaoAbas() {
+
+    let transmite
+
+    if ('BroadcastChannel' in window) {
+
+        const canal = new BroadcastChannel(nomeCanalSincronizacaoAbas)
+
+        canal.addEventListener('message', (event) => recebeAlteracaoOutraAba(event.data))
+        transmite = (mensagem) => canal.postMessage(mensagem)
+
+    } else {
+
+        window.addEventListener('storage', (event) => {
+
+            if (event.key === chaveEventoSincronizacaoAbas && event.newValue !== null) {
+                recebeAlteracaoOutraAba(JSON.parse(event.newValue))
+            }
+
+        })
+
+        // O evento só dispara quando o valor muda, o timestamp garante isso mesmo repetindo a alteração
+        transmite = (mensagem) => localStorage.setItem(chaveEventoSincronizacaoAbas, JSON.stringify({ ...mensagem, timestamp: Date.now() }))
+
+    }
+
+    // Alterações recebidas de outra aba não são transmitidas de volta
+    repositorioProjetos.inscrever(({ tipo, projeto, externo }) => {
+
+        if (!externo) {
+            transmite({ tipo, projeto })
+        }
+
+    })
+
+}
+
+function recebeAlteracaoOutraAba({ tipo, projeto }) {
+
+    repositorioProjetos.notifica(tipo, projeto, true)
+
+    atualizaPaginaAlteracaoExterna(tipo, projeto).catch((error) => console.error(error))
+
+}
+
+// Atualiza só o que a alteração afeta na página aberta, sem tirar o usuário de onde ele está
+async function atualizaPaginaAlteracaoExterna(tipo, projeto) {
+
+    if (document.querySelector('.header-editor') === null) {
+        return
+    }
+
+    // Curtida só troca a contagem nos botões de curtir, nenhuma página precisa ser recriada e o editor não é avisado
+    if (tipo === 'curtido') {
+        atualizaCurtidasPagina(projeto)
+        return
+    }
+
+    switch (pageContext()) {
+
+        case 'Projetos':
+
+            await atualizaFeed(tipo, projeto)
+
+        break;
+
+        case 'Editar':
+        case 'Excluir':
+
+            // Projetos novos ou excluídos mudam a numeração dos cards, nesses casos a lista inteira é recriada
+            if (tipo === 'atualizado' && substituiCardLista(projeto)) {
+                return
+            }
+
+            if (pageContext() === 'Editar') {
+                await criaPaginaEditar()
+            } else {
+                await criaPaginaExcluir()
+            }
+
+        break;
+
+        case 'Curtidos':
+
+            await criaPaginaCurtidos()
+
+        break;
+
+        case 'Lixeira':
+
+            // Projetos só entram (excluido) ou saem (salvo ao restaurar) da lixeira por essas alterações
+            if (tipo !== 'atualizado') {
+                await criaPaginaLixeira()
+            }
+
+        break;
+
+        case 'Editando':
+
+            if (document.querySelector('.editor').classList[0] === `${projeto.id}`) {
+                avisaEdicaoAlteradaOutraAba(tipo, projeto)
+            }
+
+        break;
+
+    }
+
+}
+
+// Só o card do projeto alterado é trocado, removido ou inserido na posição que os filtros e a ordem escolhida dão a ele.
+// Os outros cards, as páginas já carregadas e a rolagem continuam como estavam
+async function atualizaFeed(tipo, projeto) {
+
+    const listaPosts = document.querySelector('.lista-posts')
+    const divBarraFiltros = document.querySelector('.barra-filtros')
+    const id = `${projeto.id}`
+    const indice = estadoFeed.projetos.findIndex((projetoFeed) => `${projetoFeed.id}` === id)
+
+    if (tipo === 'excluido') {
+
+        if (indice !== -1) {
+            estadoFeed.projetos.splice(indice, 1)
+        }
+
+    } else if (indice !== -1) {
+
+        estadoFeed.projetos[indice] = projeto
+
+    } else {
+
+        estadoFeed.projetos.unshift(projeto)
+
+    }
+
+    // Feed vazio (aviso de storage vazio) ou o último projeto saiu: a página inteira muda de estado
+    if (divBarraFiltros === null || estadoFeed.projetos.length === 0) {
+
+        limpaPagina()
+        await mostraPaginaProjetos()
+        return
+
+    }
+
+    preencheOpcoesFiltros(divBarraFiltros, estadoFeed.projetos, leBarraFiltros(divBarraFiltros))
+
+    const filtros = filtrosDaUrl()
+    const renderizacao = listaPosts.getAttribute('data-renderizacao')
+    const edicoes = filtros.ordem === 'editados' ? await ultimasEdicoesProjetos() : {}
+
+    // O feed foi montado de novo enquanto o histórico era lido, já com a lista atualizada acima
+    if (listaPosts.getAttribute('data-renderizacao') !== renderizacao) {
+        return
+    }
+
+    const visiveis = ordenaProjetos(filtraProjetos(estadoFeed.projetos, filtros), filtros.ordem, edicoes)
+    const posicao = visiveis.findIndex((projetoFeed) => `${projetoFeed.id}` === id)
+
+    const todosCards = Array.from(listaPosts.querySelectorAll('.post'))
+    const cardAtual = todosCards.find((card) => card.classList[0] === id)
+    const cards = todosCards.filter((card) => card !== cardAtual)
+
+    if (cardAtual !== undefined) {
+        cardAtual.remove()
+    }
+
+    estadoFeed.pendentes = estadoFeed.pendentes.filter((pendente) => `${pendente.id}` !== id)
+
+    if (posicao !== -1) {
+
+        const idsCards = new Set(cards.map((card) => card.classList[0]))
+        const seguintes = visiveis.slice(posicao + 1)
+        const proximoCard = seguintes.find((projetoFeed) => idsCards.has(`${projetoFeed.id}`))
+        const anteriores = visiveis.slice(0, posicao).filter((projetoFeed) => idsCards.has(`${projetoFeed.id}`)).length
+
+        if (proximoCard !== undefined || anteriores === posicao || estadoFeed.pendentes.length === 0) {
+
+            // criaPost adiciona o card no final do parent, o fragmento permite posicioná-lo depois
+            const fragmento = document.createDocumentFragment()
+            criaPost(projeto, fragmento)
+
+            const referencia = proximoCard !== undefined
+                ? cards.find((card) => card.classList[0] === `${proximoCard.id}`)
+                : listaPosts.querySelector('.carrega-mais-posts')
+
+            listaPosts.insertBefore(fragmento, referencia)
+
+        } else {
+
+            // Depois do último card mostrado o projeto entra nas próximas páginas do feed, antes do primeiro pendente que vem depois dele
+            const idsSeguintes = new Set(seguintes.map((projetoFeed) => `${projetoFeed.id}`))
+            const proximoPendente = estadoFeed.pendentes.findIndex((pendente) => idsSeguintes.has(`${pendente.id}`))
+
+            estadoFeed.pendentes.splice(proximoPendente === -1 ? estadoFeed.pendentes.length : proximoPendente, 0, projeto)
+
+        }
+
+    }
+
+    atualizaCarregaMais(listaPosts)
+
+    const avisoFiltros = listaPosts.querySelector('.aviso-filtros')
+
+    if (visiveis.length > 0 && avisoFiltros !== null) {
+
+        avisoFiltros.remove()
+
+    } else if (visiveis.length === 0 && avisoFiltros === null) {
+
+        criaAvisoFiltros(listaPosts)
+
+    }
+
+    atualizaContagemFiltros(divBarraFiltros, visiveis.length, estadoFeed.projetos.length)
+    indexaFeedPesquisa(visiveis)
+
+}
+
+// Troca o card de um projeto atualizado nas listas de editar/excluir mantendo o índice, retorna false se o card não está na lista
+function substituiCardLista(projeto) {
+
+    const detalhes = Array.from(document.querySelectorAll('.card-detalhes')).find((card) => card.classList[0] === `${projeto.id}`)
+
+    if (detalhes === undefined) {
+        return false
+    }
+
+    const containerProjeto = detalhes.closest('.container-projeto')
+    const indice = containerProjeto.querySelector('.indice-projeto').textContent
+
+    const fragmento = document.createDocumentFragment()
+
+    if (pageContext() === 'Editar') {
+        listaProjetosEditar(projeto, indice, fragmento)
+    } else {
+        listaProjetosExcluir(projeto, indice, fragmento)
+    }
+
+    containerProjeto.replaceWith(fragmento)
+
+    return true
+
+}
+
+// O editor não é recriado sozinho para não perder o que o usuário está digitando, a notificação fica até ele decidir
+function avisaEdicaoAlteradaOutraAba(tipo, projeto) {
+
+    const mensagens = {
+        atualizado: `O projeto "${projeto.titulo}" foi alterado em outra aba. Atualizar daqui sobrescreve essa alteração, recarregue para editar a versão salva:`,
+        excluido: `O projeto "${projeto.titulo}" foi excluído em outra aba e não pode mais ser atualizado, ele pode ser restaurado pela lixeira.`
+    }
+
+    const notificacaoAlerta = criaNotificacao('alerta', mensagens[tipo], true, null, null)
+
+    if (!notificacaoAlerta) {
+        return
+    }
+
+    document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+    const botaoAcao = tipo === 'atualizado'
+        ? createNewElement('button', 'botao-sair', 'Recarregar projeto')
+        : createNewElement('button', 'botao-sair', 'Ir para a lixeira')
+    botaoAcao.setAttribute('type', 'button')
+
+    botaoAcao.addEventListener('click', async () => {
+
+        apagaNotificacao(notificacaoAlerta)
+
+        // O projeto editado já está na lixeira, não há o que confirmar antes de sair do editor
+        if (tipo === 'excluido') {
+            await navega('/lixeira', { semConfirmacao: true })
+            return
+        }
+
+        const projetoSalvo = await repositorioProjetos.obter(projeto.id)
+
+        if (projetoSalvo === null) {
+            criaNotificacao('erro', `O projeto "${projeto.titulo}" não existe mais`)
+            return
+        }
+
+        const historicoAberto = document.querySelector('.painel-historico') !== null
+
+        limpaPagina()
+        criaEditorProjeto(projetoSalvo)
+
+        if (historicoAberto) {
+            await criaPainelHistorico(projetoSalvo.id, document.querySelector('.container'))
+        }
+
+    })
+
+    notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoAcao)
+
+}
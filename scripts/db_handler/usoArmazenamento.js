@@ -0,0 +1,78 @@
+
+// Uso do armazenamento: quanto cada projeto ocupa e quanto ainda cabe no navegador. Os tamanhos dos registros são
+// aproximados pelo JSON gravado, contando 2 bytes por caractere como o Web Storage
+
+// Limite usual do localStorage, os navegadores não informam a cota real do Web Storage
+const cotaPadraoWebStorage = 5 * 1024 * 1024
+
+function tamanhoRegistro(registro) {
+
+    return JSON.stringify(registro).length * 2
+
+}
+
+// Cada navegador usa um nome ou código diferente para o erro de cota excedida
+function erroCotaExcedida(error) {
+
+    const nomes = ['QuotaExceededError', 'NS_ERROR_DOM_QUOTA_REACHED']
+
+    return error !== null && typeof error === 'object' && (nomes.includes(error.name) || error.code === 22 || error.code === 1014)
+
+}
+
+// Tamanho de cada projeto e do seu histórico de revisões, do que ocupa mais para o que ocupa menos
+async function usoArmazenamentoProjetos() {
+
+    // As revisões são lidas de uma vez e somadas por projeto, uma leitura por projeto ficava lenta com muitas revisões
+    const tamanhosHistorico = new Map()
+
+    for (const revisao of await colecaoRevisoes().listar()) {
+        tamanhosHistorico.set(revisao.projetoId, (tamanhosHistorico.get(revisao.projetoId) || 0) + tamanhoRegistro(revisao))
+    }
+
+    const uso = (await repositorioProjetos.listar()).map((projeto) => ({
+        projeto,
+        tamanho: tamanhoRegistro(projeto),
+        tamanhoHistorico: tamanhosHistorico.get(`${projeto.id}`) || 0
+    }))
+
+    return uso.sort((a, b) => (b.tamanho + b.tamanhoHistorico) - (a.tamanho + a.tamanhoHistorico))
+
+}
+
+// Espaço usado e cota do backend ativo. O IndexedDB tem a estimativa do navegador, o localStorage é somado chave a chave
+async function usoArmazenamentoTotal() {
+
+    if (repositorioProjetos.nomeAdaptador === 'indexedDB' && 'storage' in navigator && 'estimate' in navigator.storage) {
+
+        const { usage, quota } = await navigator.storage.estimate()
+
+        return { usado: usage, cota: quota }
+
+    }
+
+    let usado = 0
+
+    for (const chave of Object.keys(window.localStorage)) {
+        usado += (chave.length + window.localStorage.getItem(chave).length) * 2
+    }
+
+    return { usado, cota: cotaPadraoWebStorage }
+
+}
+
+// Ex: 512 B, 12,5 KB, 4,8 MB
+function formataTamanho(bytes) {
+
+    const unidades = ['B', 'KB', 'MB', 'GB']
+    let valor = bytes
+    let unidade = 0
+
+    while (valor >= 1024 && unidade < unidades.length - 1) {
+        valor /= 1024
+        unidade++
+    }
+
+    return `${valor.toLocaleString('pt-BR', { maximumFractionDigits: unidade === 0 ? 0 : 1 })} ${unidades[unidade]}`
+
+}
@@ -1,16 +1,16 @@
 
-function criaEditorNovo() {
+// rascunho: rascunho recuperado (ver rascunhosProjetos.js), sem ele o editor abre vazio e começa um rascunho novo
+function criaEditorNovo(rascunho = null) {
 
-    const linguagens = [
-        'python', 'javaScript', 'typeScript', 'HTML',
-        'CSS', 'scss', 'C', 'C++',
-        'PHP', 'java', 'ruby'
-    ]
+    const linguagens = Object.keys(linguagensProjeto)
+
+    const idRascunho = rascunho !== null ? rascunho.id : Date.now().toString()
 
     const divWrapperHeader = criaHeaderPagina('editor', 'Criando Novo Projeto')
     
     //<1_divWrapperEditor  <div class="editor">
     const divWrapperEditor = createNewElement('div', 'editor')
+    divWrapperEditor.setAttribute('data-rascunho', idRascunho)
 
         //<2_divWrapperOpcoes  <div class="opcoes">
         const divWrapperOpcoes = createNewElement('div', 'opcoes')
@@ -53,10 +53,10 @@ function criaEditorNovo() {
                     const ulLinguagem = createNewElement('ul', 'linguagem param-objeto')
                     ulLinguagem.setAttribute('style', 'list-style-type: none;')
 
-                        //*6_liLinguagem  <li class="linguagem-opcao" value="$linguagem">capitalize($linguagem)</li>
+                        //*6_liLinguagem  <li class="linguagem-opcao" value="$linguagem">nomeLinguagem($linguagem)</li>
                         linguagens.forEach((linguagem) => {
 
-                            const linguagemElemento = createNewElement('li', 'linguagem-opcao', `${capitalize(linguagem)}`)
+                            const linguagemElemento = createNewElement('li', 'linguagem-opcao', nomeLinguagem(linguagem))
                             linguagemElemento.setAttribute('value', `${linguagem}`)
 
                     //5_ulLinguagem> Para cada linguagem na lista de linguagens
@@ -117,7 +117,7 @@ function criaEditorNovo() {
         divWrapperOpcoes.appendChild(divWrapperBotoes)
 
         //*2_code-input <code-input lang="python" placeholder="Escreva seu código aqui" class="codigo param-objeto" required></code-input>
-        const codeInputElement = createNewElement('code-input', 'codigo param-objeto')
+        const codeInputElement = createNewElement('code-input', 'codigo param-objeto', rascunho !== null ? rascunho.codigo : '')
         codeInputElement.setAttribute('lang', 'python')
         codeInputElement.setAttribute('placeholder', 'Escreva seu código aqui')
         codeInputElement.setAttribute('required', 'true')
@@ -262,14 +262,20 @@ function criaEditorNovo() {
     textareasFilled()
     seletorLinguagem()
 
+    if (rascunho !== null) {
+        preencheEditorRascunho(rascunho)
+    }
+
+    iniciaAutosaveRascunho(idRascunho)
+
 }
 
 function mostraPostDetalhado(projeto) {
 
-    const divWrapperHeader = criaHeaderPagina('editor', 'Post Detalhado')
+    const divWrapperHeader = criaHeaderPagina('editor', 'Post Detalhado', 'retornar markdown compartilharGist')
     
-    //<1_divWrapperEditor  <div class="editor">
-    const divWrapperEditor = createNewElement('div', 'editor post-detalhado')
+    //<1_divWrapperEditor  <div class="id editor">
+    const divWrapperEditor = createNewElement('div', `${projeto.id} editor post-detalhado`)
 
         //<2_divWrapperOpcoes  <div class="opcoes">
         const divWrapperOpcoes = createNewElement('div', 'opcoes')
@@ -293,7 +299,7 @@ function mostraPostDetalhado(projeto) {
                 divWrapperTexto.setAttribute('style', `border: 2px solid ${projeto.corTexto}`)
 
                     //*5_h5Linguagem  <h5 class="texto-linguagem">Linguagem</h5>
-                    const h5Linguagem = createNewElement('h5', 'texto-linguagem', capitalize(projeto.linguagem))
+                    const h5Linguagem = createNewElement('h5', 'texto-linguagem', nomeLinguagem(projeto.linguagem))
                     h5Linguagem.setAttribute('style', `color: ${projeto.corTexto}; border-right: 2px solid ${projeto.corTexto}; margin: 0; user-select: none;`)
 
                     //*5_h5Tag  <h5 class="texto-tag">Tag</h5>
@@ -493,9 +499,7 @@ function mostraPostDetalhado(projeto) {
             const divWrapperData = createNewElement('div', 'linguagem-data')
 
                 //*4_data        <h5>Data</h5>
-                    // Condição que trata projetos antigos que não tinham data ainda
-                const data = projeto.data === undefined ? 's/ data' : projeto.data
-                const h5Data = createNewElement('h5', null, data)
+                const h5Data = createNewElement('h5', null, projeto.data)
             
             //>3_wrapperLinguagemData
             divWrapperData.appendChild(h5Data)
@@ -522,25 +526,12 @@ function mostraPostDetalhado(projeto) {
                     divWrapperComentarios.appendChild(imgComentarios)
                     divWrapperComentarios.appendChild(pQuantidadeComentarios)
 
-                    //<5_wrapperLikes    <div>
-                    const divWrapperLikes = createNewElement('div')
-
-                        //*6_imgLikes      <img src="./assets/likes.svg" alt="imagem coração likes">
-                        const imgLikes = createNewElement('img')
-                        imgLikes.setAttribute('src', './assets/likes.svg')
-                        imgLikes.setAttribute('alt', 'imagem coração likes')
-
-                        //*6_pQuantLikes      <p style="margin: 0;">0</p>
-                        const pQuantidadeLikes = createNewElement('p', null, projeto.likes)
-                        pQuantidadeLikes.setAttribute('style', 'margin: 0;')
-
-                    //5_wrapperLikes>     </div>
-                    divWrapperLikes.appendChild(imgLikes)
-                    divWrapperLikes.appendChild(pQuantidadeLikes)
+                    //*5_divCurtir    <div class="curtir" role="button" aria-pressed="false"> (ver paginaCurtidos.js)
+                    const divCurtir = criaBotaoCurtir(projeto)
 
                 //4_wrapperSocial>    </div class="social">
                 divWrapperSocial.appendChild(divWrapperComentarios)
-                divWrapperSocial.appendChild(divWrapperLikes)
+                divWrapperSocial.appendChild(divCurtir)
 
                 //<4_outerAutor    <div class="autor">
                 const divAutor = createNewElement('div', 'autor')
@@ -592,13 +583,9 @@ function mostraPostDetalhado(projeto) {
 
 function criaEditorProjeto(projeto) {
 
-    const linguagens = [
-        'python', 'javaScript', 'typeScript', 'HTML',
-        'CSS', 'scss', 'C', 'C++',
-        'PHP', 'java', 'ruby'
-    ]
+    const linguagens = Object.keys(linguagensProjeto)
 
-    const divWrapperHeader = criaHeaderPagina('editor', 'Editando Projeto')
+    const divWrapperHeader = criaHeaderPagina('editor', 'Editando Projeto', 'retornar historico')
     
     //<1_divWrapperEditor  <div class="editor">
     const divWrapperEditor = createNewElement('div', `${projeto.id} editor`)
@@ -628,7 +615,7 @@ function criaEditorProjeto(projeto) {
                         const spanTextoContainer = createNewElement('span', 'texto-container')
 
                             //*7_pPlaceholder  <p>Selecione uma linguagem</p>
-                            const pPlaceholder = createNewElement('p', null, projeto.linguagem)
+                            const pPlaceholder = createNewElement('p', null, nomeLinguagem(projeto.linguagem))
 
                         //6_spanTextoContainer>
                         spanTextoContainer.appendChild(pPlaceholder)
@@ -645,10 +632,10 @@ function criaEditorProjeto(projeto) {
                     ulLinguagem.setAttribute('style', 'list-style-type: none;')
                     ulLinguagem.setAttribute('data-value', projeto.linguagem)
 
-                        //*6_liLinguagem  <li class="linguagem-opcao" value="$linguagem">capitalize($linguagem)</li>
+                        //*6_liLinguagem  <li class="linguagem-opcao" value="$linguagem">nomeLinguagem($linguagem)</li>
                         linguagens.forEach((linguagem) => {
 
-                            const linguagemElemento = createNewElement('li', 'linguagem-opcao', `${capitalize(linguagem)}`)
+                            const linguagemElemento = createNewElement('li', 'linguagem-opcao', nomeLinguagem(linguagem))
                             linguagemElemento.setAttribute('value', `${linguagem}`)
 
                     //5_ulLinguagem> Para cada linguagem na lista de linguagens
@@ -939,7 +926,8 @@ function seletorLinguagem() {
             linguagemSelecionada.textContent = item.textContent
             linguagemSelecionada.style.color = getContrastYIQ(colorPicker.value.slice(1))
 
-            listaLinguagens.setAttribute('data-value', item.textContent)
+            // O projeto guarda o valor da opção ('javascript'), o texto ('JavaScript') é só para exibição
+            listaLinguagens.setAttribute('data-value', item.getAttribute('value'))
 
             codeInputElement.setAttribute('lang', listaLinguagens.getAttribute('data-value'))
 
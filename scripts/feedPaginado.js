@@ -0,0 +1,180 @@
+// Feed em páginas para bibliotecas grandes. Os cards entram de tamanhoPaginaFeed em tamanhoPaginaFeed quando o final da
+// lista chega perto da tela, e cada card mostra o código como texto simples (prévia cortada) até aparecer na tela: só
+// então o code-input é montado e o highlight.js colore o código (ver montaCodigoCard)
+
+const tamanhoPaginaFeed = 24
+
+// Prévia do código nos cards, o código inteiro fica no post detalhado
+const limitesPreviaCodigo = {
+    linhas: 20,
+    caracteres: 1200
+}
+
+const estadoFeed = {
+    // Todos os projetos do feed, antes dos filtros. Lista lida ao abrir o feed e trocada a cada alteração vinda de outra
+    // aba, os filtros e a ordem são aplicados sobre ela (ver preencheListaPosts)
+    projetos: [],
+    // Projetos do feed, na ordem do feed, que ainda não viraram card
+    pendentes: [],
+    observadorCodigo: null,
+    observadorFinal: null
+}
+
+function previaCodigo(codigo) {
+
+    const linhas = `${codigo}`.split('\n')
+    let previa = linhas.slice(0, limitesPreviaCodigo.linhas).join('\n')
+
+    if (previa.length > limitesPreviaCodigo.caracteres) {
+        previa = previa.slice(0, limitesPreviaCodigo.caracteres)
+    }
+
+    return previa.length < `${codigo}`.length ? `${previa.trimEnd()}\n…` : previa
+
+}
+
+// Troca a prévia em texto do card pelo code-input com o código colorido
+function montaCodigoCard(liPost) {
+
+    const preCodigo = liPost.querySelector('.previa-codigo')
+
+    if (preCodigo === null) {
+        return
+    }
+
+    //*1_codeInput   <code-input class="comunidade-codigo" lang="py" placeholder="Escreva seu código aqui"></code-input>
+    const codeInput = createNewElement('code-input', 'comunidade-codigo', preCodigo.textContent)
+    codeInput.setAttribute('lang', preCodigo.getAttribute('data-linguagem'))
+    codeInput.setAttribute('placeholder', 'Escreva seu código aqui')
+    codeInput.style.pointerEvents = 'none'
+    codeInput.style.textWrap = 'wrap'
+
+    preCodigo.replaceWith(codeInput)
+
+    realcaPesquisaCard(liPost)
+
+}
+
+// Sem IntersectionObserver (navegadores antigos) o código é montado na criação do card, como antes das páginas
+function observaCodigoCard(liPost) {
+
+    if (!('IntersectionObserver' in window)) {
+        montaCodigoCard(liPost)
+        return
+    }
+
+    if (estadoFeed.observadorCodigo === null) {
+
+        estadoFeed.observadorCodigo = new IntersectionObserver((entradas) => {
+
+            entradas.filter((entrada) => entrada.isIntersecting).forEach((entrada) => {
+
+                estadoFeed.observadorCodigo.unobserve(entrada.target)
+                montaCodigoCard(entrada.target)
+
+            })
+
+        }, { rootMargin: '300px 0px' })
+
+    }
+
+    estadoFeed.observadorCodigo.observe(liPost)
+
+}
+
+// Começa o feed com a primeira página dos projetos já filtrados e ordenados (ver preencheListaPosts), ou com mais cards
+// quando o feed é montado de novo depois de o usuário já ter carregado outras páginas
+function paginaFeed(listaPosts, projetos, quantidade = tamanhoPaginaFeed) {
+
+    if (estadoFeed.observadorCodigo !== null) {
+        estadoFeed.observadorCodigo.disconnect()
+    }
+
+    estadoFeed.pendentes = [...projetos]
+
+    mostraMaisPosts(listaPosts, quantidade)
+
+}
+
+function mostraMaisPosts(listaPosts, quantidade = tamanhoPaginaFeed) {
+
+    estadoFeed.pendentes.splice(0, quantidade).forEach((projeto) => criaPost(projeto, listaPosts))
+
+    atualizaCarregaMais(listaPosts)
+
+}
+
+// Cria os cards pendentes até o último dos ids, assim os cards continuam na ordem do feed. Usado pela pesquisa, que
+// mostra resultados de qualquer parte do feed
+function mostraPostsAte(listaPosts, ids) {
+
+    const procurados = new Set(ids.map((id) => `${id}`))
+    const ultimo = estadoFeed.pendentes.findLastIndex((projeto) => procurados.has(`${projeto.id}`))
+
+    if (ultimo !== -1) {
+        mostraMaisPosts(listaPosts, ultimo + 1)
+    }
+
+}
+
+// <li> no final da lista com o botão de mostrar mais, carregado sozinho quando chega perto da tela
+function atualizaCarregaMais(listaPosts) {
+
+    let liCarregaMais = listaPosts.querySelector('.carrega-mais-posts')
+
+    if (estadoFeed.pendentes.length === 0) {
+
+        if (liCarregaMais !== null) {
+            liCarregaMais.remove()
+        }
+
+        return
+
+    }
+
+    if (liCarregaMais === null) {
+
+        //<1_liCarregaMais  <li class="carrega-mais-posts">
+        liCarregaMais = createNewElement('li', 'carrega-mais-posts')
+
+            //*2_buttonCarregaMais  <button type="button">Mostrar mais projetos (24 restantes)</button>
+            const buttonCarregaMais = createNewElement('button', 'botao-carrega-mais')
+            buttonCarregaMais.setAttribute('type', 'button')
+            buttonCarregaMais.addEventListener('click', () => mostraMaisPosts(listaPosts))
+
+        //1_liCarregaMais>
+        liCarregaMais.appendChild(buttonCarregaMais)
+
+    }
+
+    liCarregaMais.querySelector('.botao-carrega-mais').textContent = `Mostrar mais projetos (${estadoFeed.pendentes.length} restantes)`
+
+    // Os cards novos entram no final da lista, o aviso volta para depois deles
+    listaPosts.appendChild(liCarregaMais)
+
+    observaFinalFeed(liCarregaMais, listaPosts)
+
+}
+
+function observaFinalFeed(liCarregaMais, listaPosts) {
+
+    if (!('IntersectionObserver' in window)) {
+        return
+    }
+
+    if (estadoFeed.observadorFinal !== null) {
+        estadoFeed.observadorFinal.disconnect()
+    }
+
+    // Observar de novo depois de cada página faz o observador avisar se o final continua perto da tela (telas grandes)
+    estadoFeed.observadorFinal = new IntersectionObserver((entradas) => {
+
+        if (entradas.some((entrada) => entrada.isIntersecting) && !liCarregaMais.hidden && liCarregaMais.isConnected) {
+            mostraMaisPosts(listaPosts)
+        }
+
+    }, { rootMargin: '600px 0px' })
+
+    estadoFeed.observadorFinal.observe(liCarregaMais)
+
+}
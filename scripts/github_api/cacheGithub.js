@@ -0,0 +1,234 @@
+// Cache das leituras da API de conteúdos do GitHub. A última resposta de cada URL fica no localStorage
+// ('codi_bites:cache:github:url') com o ETag: as leituras seguintes são condicionais (If-None-Match) e um 304 reaproveita
+// o cache sem gastar o limite da API. Sem conexão, com o limite esgotado ou com o GitHub fora do ar a última cópia é
+// usada no lugar e fica registrado de quando ela é, para o feed avisar (ver avisoOffline.js)
+// Registro do cache: { etag, dados, atualizadoEm: timestamp da última resposta 200 ou 304 }
+
+const chaveLimiteGithub = chaveArmazenamento('cache', 'limiteGithub')
+
+// Com essa quantidade de requisições restantes ou menos o usuário é avisado
+const avisoLimiteGithub = 10
+
+// Última leitura de cada URL nesta aba: { origem: 'rede' | 'cache', motivo: 'offline' | 'limite' | 'indisponivel', atualizadoEm }
+const leiturasGithub = new Map()
+
+function chaveCacheGithub(url) {
+
+    return chaveArmazenamento('cache', `github:${url}`)
+
+}
+
+function leCacheGithub(url) {
+
+    try {
+
+        const valor = window.localStorage.getItem(chaveCacheGithub(url))
+        return valor === null ? null : JSON.parse(valor)
+
+    } catch (error) {
+
+        console.error(error)
+        return null
+
+    }
+
+}
+
+// O cache é só uma cópia, sem espaço a leitura continua sem ele
+function gravaCacheGithub(url, registro) {
+
+    try {
+
+        window.localStorage.setItem(chaveCacheGithub(url), JSON.stringify(registro))
+
+    } catch (error) {
+
+        console.error(error)
+
+    }
+
+}
+
+// { limite, restante, reset: timestamp em que o limite renova } da última resposta da API, null antes da primeira
+function limiteGithub() {
+
+    try {
+
+        const valor = window.localStorage.getItem(chaveLimiteGithub)
+        return valor === null ? null : JSON.parse(valor)
+
+    } catch (error) {
+
+        console.error(error)
+        return null
+
+    }
+
+}
+
+function limiteGithubEsgotado() {
+
+    const limite = limiteGithub()
+
+    return limite !== null && limite.restante === 0 && limite.reset > Date.now()
+
+}
+
+function horaRenovacaoLimite() {
+
+    const limite = limiteGithub()
+
+    return limite !== null ? new Date(limite.reset).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }) : ''
+
+}
+
+// Guarda os headers X-RateLimit-* da resposta (toda resposta da API traz, inclusive as de erro) e avisa quando o
+// limite está acabando
+function registraLimiteGithub(headers) {
+
+    const restante = headers.get('X-RateLimit-Remaining')
+
+    if (restante === null) {
+        return
+    }
+
+    const limite = {
+        limite: Number(headers.get('X-RateLimit-Limit')),
+        restante: Number(restante),
+        reset: Number(headers.get('X-RateLimit-Reset')) * 1000
+    }
+
+    try {
+
+        window.localStorage.setItem(chaveLimiteGithub, JSON.stringify(limite))
+
+    } catch (error) {
+
+        console.error(error)
+
+    }
+
+    if (limite.restante <= avisoLimiteGithub) {
+        criaNotificacao('alerta', `Restam ${limite.restante} de ${limite.limite} requisições à API do GitHub, o limite renova às ${horaRenovacaoLimite()}`)
+    }
+
+}
+
+// Lê a URL da API usando o cache. Retorna o JSON da resposta (ou da última cópia), lança o erro quando não há cópia
+async function leGithubComCache(url, headers = headersGithub()) {
+
+    const cache = leCacheGithub(url)
+
+    const usaCache = (motivo, erro) => {
+
+        if (cache === null) {
+            throw erro
+        }
+
+        leiturasGithub.set(url, { origem: 'cache', motivo, atualizadoEm: cache.atualizadoEm })
+        return cache.dados
+
+    }
+
+    // Nem tenta a rede: a resposta seria um 403 e gastaria a tentativa
+    if (limiteGithubEsgotado()) {
+        return usaCache('limite', new Error(`Limite da API do GitHub esgotado até ${horaRenovacaoLimite()}`))
+    }
+
+    if (navigator.onLine === false) {
+        return usaCache('offline', new Error('Sem conexão com a internet'))
+    }
+
+    if (cache !== null && cache.etag) {
+        headers.set('If-None-Match', cache.etag)
+    }
+
+    let response
+
+    try {
+
+        // O ETag é conferido aqui, o cache HTTP do navegador não pode responder no lugar
+        response = await fetch(url, { headers, cache: 'no-store' })
+
+    } catch (error) {
+
+        // O navegador diz que está conectado, então é o GitHub que não respondeu
+        return usaCache('indisponivel', error)
+
+    }
+
+    registraLimiteGithub(response.headers)
+
+    if (response.status === 304 && cache !== null) {
+
+        const registro = { ...cache, atualizadoEm: Date.now() }
+
+        gravaCacheGithub(url, registro)
+        leiturasGithub.set(url, { origem: 'rede', motivo: null, atualizadoEm: registro.atualizadoEm })
+
+        return cache.dados
+
+    }
+
+    const erroHttp = new Error(`HTTP Error. Status: ${response.status}`)
+
+    if (response.status === 429 || (response.status === 403 && limiteGithubEsgotado())) {
+        return usaCache('limite', erroHttp)
+    }
+
+    if (response.status >= 500) {
+        return usaCache('indisponivel', erroHttp)
+    }
+
+    if (response.status === 401 && headers.has('Authorization')) {
+        throw new Error('O GitHub recusou o token salvo, atualize o token em Configurações')
+    }
+
+    if (!response.ok) {
+        throw erroHttp
+    }
+
+    const dados = await response.json()
+    const atualizadoEm = Date.now()
+
+    gravaCacheGithub(url, { etag: response.headers.get('ETag'), dados, atualizadoEm })
+    leiturasGithub.set(url, { origem: 'rede', motivo: null, atualizadoEm })
+
+    return dados
+
+}
+
+// Texto para a última leitura da URL quando ela veio do cache (ou quando o navegador está sem conexão), null quando
+// os dados estão em dia. Ex: 'Sem conexão com o GitHub, mostrando dados em cache de 18/10/2026, 10:31:25'
+function descricaoLeituraGithub(url) {
+
+    const leitura = leiturasGithub.get(url)
+    const offline = navigator.onLine === false
+
+    if ((leitura === undefined || leitura.origem !== 'cache') && !offline) {
+        return null
+    }
+
+    const textosMotivo = {
+        offline: 'Sem conexão com o GitHub',
+        limite: `Limite da API do GitHub esgotado até ${horaRenovacaoLimite()}`,
+        indisponivel: 'Não foi possível acessar o GitHub'
+    }
+
+    const motivo = leitura !== undefined && leitura.origem === 'cache' && !offline ? leitura.motivo : 'offline'
+    const cache = leCacheGithub(url)
+
+    if (cache === null) {
+        return `${textosMotivo[motivo]}, nenhum dado em cache`
+    }
+
+    const dataCache = new Date(cache.atualizadoEm).toLocaleString('pt-BR')
+
+    // A leitura foi feita com o navegador sem conexão, mas a conexão já voltou
+    if (motivo === 'offline' && !offline) {
+        return `Conexão restabelecida, os dados do GitHub ainda são do cache de ${dataCache}. Importe do GitHub para atualizar`
+    }
+
+    return `${textosMotivo[motivo]}, mostrando dados em cache de ${dataCache}`
+
+}
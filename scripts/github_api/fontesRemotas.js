@@ -0,0 +1,84 @@
+
+// Fontes do GitHub de onde os projetos são importados. Cada fonte é { owner, repo, branch, path }, branch vazio usa o
+// branch padrão do repositório. A primeira fonte da lista também é o destino da publicação
+
+// Sem configuração salva continua o comportamento antigo: o repositório do próprio github.io ou o codi_bites
+function fontePadrao() {
+
+    const urlTratado = new URL(getUrlAtual())
+
+    if (urlTratado.hostname.endsWith('github.io')) {
+
+        return {
+            owner: urlTratado.hostname.slice(0, urlTratado.hostname.indexOf('.')),
+            repo: urlTratado.pathname.replaceAll('/', ''),
+            branch: '',
+            path: '_projetos/data.json'
+        }
+
+    }
+
+    return {
+        owner: 'vcdomith',
+        repo: 'codi_bites',
+        branch: '',
+        path: '_projetos/data.json'
+    }
+
+}
+
+function fontesRemotas() {
+
+    const fontes = leConfiguracao('fontesRemotas', [])
+
+    return fontes.length > 0 ? fontes : [fontePadrao()]
+
+}
+
+function gravaFontesRemotas(fontes) {
+
+    gravaConfiguracao('fontesRemotas', fontes)
+
+}
+
+function nomeFonteRemota(fonte) {
+
+    const branch = fonte.branch ? `@${fonte.branch}` : ''
+
+    return `${fonte.owner}/${fonte.repo}${branch}/${fonte.path}`
+
+}
+
+function urlConteudoFonte(fonte) {
+
+    const apiUrl = `${urlApiGithub()}/repos/${fonte.owner}/${fonte.repo}/contents/${fonte.path}`
+
+    return fonte.branch ? `${apiUrl}?ref=${encodeURIComponent(fonte.branch)}` : apiUrl
+
+}
+
+// Retorna a lista de erros da fonte, vazia quando a fonte é válida
+function validaFonteRemota(fonte) {
+
+    const erros = []
+
+    // Regras de nomes do GitHub: usuário até 39 caracteres alfanuméricos ou hífen (sem começar com hífen)
+    if (!/^[A-Za-z0-9][A-Za-z0-9-]{0,38}$/.test(fonte.owner)) {
+        erros.push('Dono inválido: use letras, números ou hífen (até 39 caracteres)')
+    }
+
+    if (!/^[A-Za-z0-9._-]{1,100}$/.test(fonte.repo) || fonte.repo === '.' || fonte.repo === '..') {
+        erros.push('Repositório inválido: use letras, números, ".", "_" ou "-"')
+    }
+
+    if (fonte.branch && (/[\s~^:?*[\\]/.test(fonte.branch) || fonte.branch.includes('..') || fonte.branch.startsWith('/') || fonte.branch.endsWith('/'))) {
+        erros.push('Branch inválido')
+    }
+
+    if (!/^[^/].*\.json$/.test(fonte.path) || fonte.path.split('/').includes('..')) {
+        erros.push('Caminho inválido: deve ser um arquivo .json relativo à raiz do repositório')
+    }
+
+    return erros
+
+}
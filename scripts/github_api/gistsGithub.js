@@ -0,0 +1,141 @@
+// Gists do GitHub: um projeto vira um gist de um arquivo (nome e extensão a partir do título e da linguagem) e os
+// arquivos de um gist viram projetos, importados pela mesma revisão da importação de arquivos (ver importaProjetos.js).
+// Criar um gist exige o token salvo nas configurações, com o escopo 'gist' nos tokens clássicos
+
+// Separa o título da descrição do projeto na descrição do gist, a importação usa o mesmo separador para recuperar os dois
+const separadorDescricaoGist = ' — '
+
+function descricaoGistProjeto(projeto) {
+
+    return `${projeto.titulo}${separadorDescricaoGist}${projeto.descricao}`
+
+}
+
+// Cria o gist com o código do projeto. Retorna { id, url } do gist criado
+async function criaGistProjeto(projeto, publico = false, token = tokenGithub()) {
+
+    if (token === null) {
+        throw new Error('Salve um token do GitHub com o escopo "gist" em Configurações')
+    }
+
+    const corpo = {
+        description: descricaoGistProjeto(projeto),
+        public: publico,
+        files: {
+            [nomeArquivoProjeto(projeto)]: { content: projeto.codigo }
+        }
+    }
+
+    const response = await fetch(`${urlApiGithub()}/gists`, { method: 'POST', headers: headersGithub(token), body: JSON.stringify(corpo) })
+
+    registraLimiteGithub(response.headers)
+
+    if (response.status === 401) {
+        throw new Error('O GitHub recusou o token salvo, atualize o token em Configurações')
+    }
+
+    // O GitHub responde 404 quando o token não tem o escopo 'gist'
+    if (response.status === 403 || response.status === 404) {
+        throw new Error('O token salvo não tem permissão para criar gists (escopo "gist")')
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP Error. Status: ${response.status}`)
+    }
+
+    const gist = await response.json()
+
+    return { id: gist.id, url: gist.html_url }
+
+}
+
+// Aceita o id ou qualquer URL do gist (gist.github.com/usuario/id, api.github.com/gists/id), null quando não encontra o id
+function idGist(texto) {
+
+    const partes = `${texto}`.trim().split(/[?#]/)[0].split('/').filter((parte) => parte !== '')
+    const ultima = partes.length > 0 ? partes[partes.length - 1] : ''
+
+    return /^[0-9a-f]{8,}$/i.test(ultima) ? ultima : null
+
+}
+
+// Lê o gist com o conteúdo completo de cada arquivo. A API corta arquivos grandes (truncated), esses vêm do raw_url
+async function leGist(id) {
+
+    const response = await fetch(`${urlApiGithub()}/gists/${id}`, { headers: headersGithub(), cache: 'no-store' })
+
+    registraLimiteGithub(response.headers)
+
+    if (response.status === 404) {
+        throw new Error('Gist não encontrado, confira o link ou se ele é de outra conta')
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP Error. Status: ${response.status}`)
+    }
+
+    const gist = await response.json()
+
+    for (const arquivo of Object.values(gist.files)) {
+
+        if (arquivo.truncated) {
+
+            const responseRaw = await fetch(arquivo.raw_url)
+
+            if (!responseRaw.ok) {
+                throw new Error(`Não foi possível ler ${arquivo.filename} (HTTP ${responseRaw.status})`)
+            }
+
+            arquivo.content = await responseRaw.text()
+
+        }
+
+    }
+
+    return gist
+
+}
+
+// Um projeto por arquivo ({ id: projeto }, formato da análise de importação). Num gist de um arquivo só com a descrição
+// no formato do descricaoGistProjeto o título e a descrição voltam separados, nos outros o título é o nome do arquivo
+function projetosDoGist(gist) {
+
+    const arquivos = Object.values(gist.files)
+    const descricaoGist = gist.description ? gist.description : `Gist de ${gist.owner ? gist.owner.login : 'usuário anônimo'}`
+    const data = formataDataProjeto(new Date(gist.created_at))
+    const base = Date.now()
+
+    const projetos = {}
+
+    arquivos.forEach((arquivo, indice) => {
+
+        const extensao = arquivo.filename.includes('.') ? arquivo.filename.slice(arquivo.filename.lastIndexOf('.') + 1) : ''
+        const nomeSemExtensao = extensao !== '' ? arquivo.filename.slice(0, -(extensao.length + 1)) : arquivo.filename
+        const linguagemArquivo = linguagemExtensao(extensao)
+
+        let titulo = nomeSemExtensao
+        let descricao = descricaoGist
+
+        if (arquivos.length === 1 && descricaoGist.includes(separadorDescricaoGist)) {
+            titulo = descricaoGist.slice(0, descricaoGist.indexOf(separadorDescricaoGist))
+            descricao = descricaoGist.slice(descricaoGist.indexOf(separadorDescricaoGist) + separadorDescricaoGist.length)
+        }
+
+        const projeto = {
+            id: `${base + indice}`,
+            titulo,
+            descricao,
+            codigo: arquivo.content,
+            linguagem: linguagemArquivo !== null ? linguagemArquivo : `${arquivo.language || extensao || 'texto'}`.toLowerCase(),
+            tag: 'gist',
+            cor: corPadraoProjeto,
+            data
+        }
+
+        projetos[projeto.id] = projeto
+
+    })
+
+    return projetos
+
+}
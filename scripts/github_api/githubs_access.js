@@ -1,6 +1,53 @@
+const urlApiGithubOficial = 'https://api.github.com'
 
+// Endereço base da API do GitHub. Pode ser trocado pela query ?githubApi= para apontar para um mock rodando nesta
+// máquina, ex: index.html?githubApi=http://localhost:3001 (ver mock_api/github_api.js). Outros endereços são ignorados,
+// um link com ?githubApi= não consegue desviar as requisições do app para outro servidor
+function urlApiGithub() {
 
-async function acessaArquivo(token) {
+    const urlApiMock = new URL(window.location.href).searchParams.get('githubApi')
+
+    if (urlApiMock === null) {
+        return urlApiGithubOficial
+    }
+
+    try {
+
+        const { protocol, hostname } = new URL(urlApiMock)
+
+        if ((protocol === 'http:' || protocol === 'https:') && (hostname === 'localhost' || hostname === '127.0.0.1')) {
+            return urlApiMock.replace(/\/$/, '')
+        }
+
+    } catch (error) {
+
+        console.error(error)
+
+    }
+
+    return urlApiGithubOficial
+
+}
+
+// Sem token informado usa o token salvo nas configurações (ver tokenGithub.js). O token salvo só é enviado para a API
+// do GitHub, para o mock local vão apenas os tokens digitados e ainda não salvos (teste do token, publicação)
+function headersGithub(token = tokenGithub()) {
+
+    const headers = new Headers({
+        Accept: 'application/vnd.github+json'
+    })
+
+    if (token && (urlApiGithub() === urlApiGithubOficial || token !== tokenGithub())) {
+        headers.set('Authorization', `Bearer ${token}`)
+    }
+
+    return headers
+
+}
+
+
+
+async function acessaArquivo(token = tokenGithub()) {
 
     // Personal Repository data
     const owner = 'vcdomith'
@@ -8,11 +55,9 @@ async function acessaArquivo(token) {
     const path = '_projetos/'
 
     // GitHub API endpoint to get the contents of a repository's path
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+    const apiUrl = `${urlApiGithub()}/repos/${owner}/${repo}/contents/${path}`;
 
-    const headers = new Headers({
-    Authorization: `Bearer ${token}`
-    })
+    const headers = headersGithub(token)
 
     try {
 
@@ -34,34 +79,109 @@ async function acessaArquivo(token) {
 
 }
 
-async function acessaRepo() {
+// Lê o arquivo atual do repositório, retorna null quando ele ainda não existe (primeira publicação)
+async function leArquivoGithub(apiUrl, headers) {
 
-    // Personal Repository data
-    const owner = 'vcdomith'
-    const repo = 'codi_bites'
-    const path = '_projetos/'
+    const response = await fetch(apiUrl, { headers, cache: 'no-store' })
 
-    // GitHub API endpoint to get the contents of a repository's path
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+    registraLimiteGithub(response.headers)
 
-    try {
+    if (response.status === 404) {
+        return null
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP Error. Status: ${response.status}`)
+    }
+
+    return response.json()
+
+}
+
+// Publica o conjunto de projetos locais no data.json do repositório através da API de conteúdos do GitHub.
+// Antes de cada escrita o data.json atual é mesclado com os projetos locais (ver mesclaProjetosRemotos), assim o que
+// outro dispositivo publicou desde a última sincronização entra no conjunto publicado em vez de ser sobrescrito. Com
+// conflitos nada é publicado, eles voltam para o usuário resolver. Se o arquivo mudou entre a leitura e a escrita
+// (409/422) a leitura e a mescla são refeitas uma vez antes de publicar de novo
+async function publicaProjetos(token = tokenGithub()) {
+
+    const fonte = repositorioRemoto()
+    const apiUrl = `${urlApiGithub()}/repos/${fonte.owner}/${fonte.repo}/contents/${fonte.path}`
+    const headers = headersGithub(token)
+
+    const resultado = {
+        alterado: false,
+        projetos: 0,
+        novos: 0,
+        mesclados: 0,
+        conflitos: []
+    }
+
+    for (let tentativa = 1; tentativa <= 2; tentativa++) {
+
+        const arquivoAtual = await leArquivoGithub(urlConteudoFonte(fonte), headers)
+
+        if (arquivoAtual !== null) {
+
+            const { projetos: projetosRemotos } = preparaProjetosImportados(JSON.parse(decodificaBase64(arquivoAtual.content)))
+            const mescla = await mesclaProjetosRemotos(projetosRemotos)
+
+            resultado.novos += mescla.novos
+            resultado.mesclados += mescla.mesclados
+
+            if (mescla.conflitos.length > 0) {
+                resultado.conflitos = mescla.conflitos
+                return resultado
+            }
+
+        }
+
+        const projetos = await repositorioProjetos.listar()
+        const projetosJson = Object.fromEntries(projetos.map((projeto) => [projeto.id, projeto]))
+        const conteudo = `${JSON.stringify(projetosJson, null, 2)}\n`
 
-        const response = await fetch(apiUrl)
+        resultado.projetos = projetos.length
+
+        if (arquivoAtual !== null && decodificaBase64(arquivoAtual.content) === conteudo) {
+            await registraBasesSincronizacao(projetos)
+            return resultado
+        }
+
+        const corpo = {
+            message: `Publica ${projetos.length} projeto(s) em ${fonte.path}`,
+            content: codificaBase64(conteudo)
+        }
+
+        if (fonte.branch) {
+            corpo.branch = fonte.branch
+        }
+
+        if (arquivoAtual !== null) {
+            corpo.sha = arquivoAtual.sha
+        }
+
+        const response = await fetch(apiUrl, { method: 'PUT', headers, body: JSON.stringify(corpo) })
+
+        registraLimiteGithub(response.headers)
+
+        if ((response.status === 409 || response.status === 422) && tentativa === 1) {
+            continue
+        }
 
         if (!response.ok) {
             throw new Error(`HTTP Error. Status: ${response.status}`)
         }
 
-        const data = await response.json()
+        const resposta = await response.json()
 
-        console.log(data)
+        // O que foi publicado passa a ser a base da próxima mescla com o remoto
+        await registraBasesSincronizacao(projetos)
 
-    }   catch(error) {
+        resultado.alterado = true
+        resultado.commit = resposta.commit
 
-        console.error(error)
+        return resultado
 
     }
 
-
-
-}
\ No newline at end of file
+}
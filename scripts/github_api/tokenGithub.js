@@ -0,0 +1,82 @@
+// Token de acesso pessoal do GitHub. Fica só neste navegador, na configuração 'tokenGithub':
+// { token, login, escopos: ['repo', ...] ou null (tokens fine-grained não informam), salvoEm: timestamp }
+// Com um token salvo todas as requisições à API do GitHub o usam (ver headersGithub): repositórios privados ficam acessíveis e o
+// limite passa de 60 para 5000 requisições por hora
+
+// Página do GitHub onde o token é revogado de fato, o app só consegue esquecer o token
+const urlTokensGithub = 'https://github.com/settings/tokens'
+
+function tokenGithubSalvo() {
+
+    return leConfiguracao('tokenGithub', null)
+
+}
+
+function tokenGithub() {
+
+    const salvo = tokenGithubSalvo()
+
+    return salvo !== null ? salvo.token : null
+
+}
+
+// Consulta o usuário do token. Retorna { login, escopos, limite: { limite, restante, reset } }, lança um erro quando o
+// GitHub recusa o token
+async function testaTokenGithub(token) {
+
+    const response = await fetch(`${urlApiGithub()}/user`, { headers: headersGithub(token), cache: 'no-store' })
+
+    if (response.status === 401) {
+        throw new Error('Token inválido, expirado ou revogado')
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP Error. Status: ${response.status}`)
+    }
+
+    const usuario = await response.json()
+    const escopos = response.headers.get('X-OAuth-Scopes')
+
+    return {
+        login: usuario.login,
+        escopos: escopos !== null ? escopos.split(',').map((escopo) => escopo.trim()).filter((escopo) => escopo !== '') : null,
+        limite: {
+            limite: Number(response.headers.get('X-RateLimit-Limit')),
+            restante: Number(response.headers.get('X-RateLimit-Remaining')),
+            reset: Number(response.headers.get('X-RateLimit-Reset')) * 1000
+        }
+    }
+
+}
+
+// Testa antes de salvar, um token recusado pelo GitHub nunca é gravado. Retorna o resultado do teste
+async function salvaTokenGithub(token) {
+
+    const teste = await testaTokenGithub(token)
+
+    gravaConfiguracao('tokenGithub', { token, login: teste.login, escopos: teste.escopos, salvoEm: Date.now() })
+
+    // O limite guardado era o de outra identidade (sem token ou outro token)
+    window.localStorage.removeItem(chaveLimiteGithub)
+
+    return teste
+
+}
+
+function removeTokenGithub() {
+
+    removeConfiguracao('tokenGithub')
+    window.localStorage.removeItem(chaveLimiteGithub)
+
+}
+
+// Escopos que faltam para publicar e ler repositórios privados. Tokens fine-grained não informam as permissões
+function escoposFaltandoGithub(escopos) {
+
+    if (escopos === null) {
+        return []
+    }
+
+    return escopos.includes('repo') ? [] : ['repo']
+
+}
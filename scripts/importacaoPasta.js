@@ -0,0 +1,165 @@
+// Importação de arquivos de código soltos no feed (arquivos ou pastas inteiras) ou escolhidos pelo botão 'Importar pasta'.
+// A revisão é a mesma da importação de JSON, com a tag e a cor de cada projeto editáveis antes de salvar
+
+// Nome mostrado na revisão: a pasta quando todos os arquivos vêm da mesma pasta
+function nomeOrigemArquivos(arquivos) {
+
+    const pastas = new Set(arquivos.map(({ caminho }) => caminho.includes('/') ? caminho.split('/')[0] : null))
+
+    if (pastas.size === 1 && !pastas.has(null)) {
+        return `${[...pastas][0]}/`
+    }
+
+    return arquivos.length === 1 ? arquivos[0].arquivo.name : `${arquivos.length} arquivos`
+
+}
+
+async function importaArquivosPasta(arquivos) {
+
+    if (arquivos.length === 0) {
+        criaNotificacao('erro', 'Nenhum arquivo encontrado para importar')
+        return
+    }
+
+    const nomeOrigem = nomeOrigemArquivos(arquivos)
+
+    try {
+
+        const { projetos, ignorados } = await projetosDosArquivos(arquivos)
+        const analise = await analisaImportacao(projetos)
+
+        if (analise.itens.length === 0) {
+            criaNotificacao('erro', `Nenhum arquivo de código em ${nomeOrigem} pôde ser importado. Extensões aceitas: ${textoExtensoesAceitas()}`)
+            return
+        }
+
+        criaPaginaImportacao({ ...analise, ignorados }, nomeOrigem, true)
+
+    } catch (error) {
+
+        console.error(error)
+        criaNotificacao('erro', `Não foi possível importar ${nomeOrigem} (${error.message})`)
+
+    }
+
+}
+
+function textoExtensoesAceitas() {
+
+    return Object.values(extensoesLinguagem).map((extensao) => `.${extensao}`).join(' ')
+
+}
+
+// Abre o seletor de pastas do sistema, todos os arquivos da pasta (e das subpastas) vão para a revisão
+function selecionaPastaImportacao() {
+
+    const inputPasta = createNewElement('input')
+    inputPasta.setAttribute('type', 'file')
+    inputPasta.setAttribute('webkitdirectory', '')
+    inputPasta.setAttribute('multiple', '')
+
+    inputPasta.addEventListener('change', () => importaArquivosPasta(arquivosSelecionados(inputPasta.files)))
+
+    inputPasta.click()
+
+}
+
+function mostraAreaSoltar() {
+
+    if (document.querySelector('.area-soltar') !== null) {
+        return
+    }
+
+    //<1_divAreaSoltar  <div class="area-soltar">
+    const divAreaSoltar = createNewElement('div', 'area-soltar')
+
+        //*2_pAreaSoltar  <p>Solte arquivos ou pastas...</p>
+        const pAreaSoltar = createNewElement('p', 'area-soltar-texto', 'Solte arquivos ou pastas de código para criar um projeto por arquivo')
+
+        //*2_pExtensoes  <p>Extensões aceitas: .py .js ...</p>
+        const pExtensoes = createNewElement('p', 'area-soltar-extensoes', `Extensões aceitas: ${textoExtensoesAceitas()}`)
+
+    //1_divAreaSoltar>
+    divAreaSoltar.appendChild(pAreaSoltar)
+    divAreaSoltar.appendChild(pExtensoes)
+
+    document.body.appendChild(divAreaSoltar)
+
+}
+
+function removeAreaSoltar() {
+
+    document.querySelectorAll('.area-soltar').forEach((area) => area.remove())
+
+}
+
+// Arrastar arquivos só é aceito no feed, nas outras páginas o navegador segue com o comportamento padrão
+function iniciaImportacaoPasta() {
+
+    // dragenter e dragleave disparam a cada elemento atravessado, a área some só quando o arraste sai da janela
+    let arrastes = 0
+
+    const aceitaArraste = (event) => pageContext() === 'Projetos' && event.dataTransfer !== null && Array.from(event.dataTransfer.types).includes('Files')
+
+    window.addEventListener('dragenter', (event) => {
+
+        if (!aceitaArraste(event)) {
+            return
+        }
+
+        arrastes++
+        mostraAreaSoltar()
+
+    })
+
+    window.addEventListener('dragover', (event) => {
+
+        if (!aceitaArraste(event)) {
+            return
+        }
+
+        // Sem o preventDefault o navegador abre o arquivo no lugar do app
+        event.preventDefault()
+        event.dataTransfer.dropEffect = 'copy'
+
+    })
+
+    window.addEventListener('dragleave', (event) => {
+
+        if (!aceitaArraste(event)) {
+            return
+        }
+
+        arrastes = Math.max(arrastes - 1, 0)
+
+        if (arrastes === 0) {
+            removeAreaSoltar()
+        }
+
+    })
+
+    window.addEventListener('drop', async (event) => {
+
+        if (!aceitaArraste(event)) {
+            return
+        }
+
+        event.preventDefault()
+
+        arrastes = 0
+        removeAreaSoltar()
+
+        try {
+
+            await importaArquivosPasta(await arquivosArrastados(event.dataTransfer))
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível ler os arquivos soltos (${error.message})`)
+
+        }
+
+    })
+
+}
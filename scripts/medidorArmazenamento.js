@@ -0,0 +1,156 @@
+
+
+
+// Acima dessa porcentagem da cota o medidor fica em destaque
+const limiteAvisoArmazenamento = 90
+
+// Medidor do header da página de projetos: total usado da cota e, ao clicar, quanto ocupa cada projeto com o seu histórico
+async function criaMedidorArmazenamento(parent) {
+
+    const { usado, cota } = await usoArmazenamentoTotal()
+    const usoProjetos = await usoArmazenamentoProjetos()
+    const porcentagem = cota > 0 ? Math.min(100, (usado / cota) * 100) : 0
+
+    //<1_divMedidor  <div class="medidor-armazenamento">
+    const divMedidor = createNewElement('div', 'medidor-armazenamento')
+
+    if (porcentagem >= limiteAvisoArmazenamento) {
+        divMedidor.classList.add('quase-cheio')
+    }
+
+        //<2_buttonMedidor  <button type="button" class="botao-medidor">
+        const buttonMedidor = createNewElement('button', 'botao-medidor')
+        buttonMedidor.setAttribute('type', 'button')
+        buttonMedidor.setAttribute('title', 'Uso do armazenamento do navegador')
+
+            //*3_pUso  <p>1,2 MB de 5 MB (24%)</p>
+            const pUso = createNewElement('p', 'uso-armazenamento', `${formataTamanho(usado)} de ${formataTamanho(cota)} (${Math.round(porcentagem)}%)`)
+
+            //<3_divBarra  <div class="barra-armazenamento">
+            const divBarra = createNewElement('div', 'barra-armazenamento')
+
+                //*4_divUso  <div class="barra-uso" style="width: 24%"></div>
+                const divUso = createNewElement('div', 'barra-uso')
+                divUso.style.width = `${porcentagem}%`
+
+            //3_divBarra>
+            divBarra.appendChild(divUso)
+
+        //2_buttonMedidor>
+        buttonMedidor.appendChild(pUso)
+        buttonMedidor.appendChild(divBarra)
+
+        //<2_ulDetalhes  <ul class="detalhes-armazenamento">
+        const ulDetalhes = createNewElement('ul', 'detalhes-armazenamento')
+        ulDetalhes.style.listStyle = 'none'
+
+        if (usoProjetos.length === 0) {
+            ulDetalhes.appendChild(createNewElement('li', 'detalhe-vazio', 'Nenhum projeto salvo'))
+        }
+
+        usoProjetos.forEach(({ projeto, tamanho, tamanhoHistorico }) => {
+
+            //<3_liDetalhe  <li class="detalhe-armazenamento">
+            const liDetalhe = createNewElement('li', `${projeto.id} detalhe-armazenamento`)
+
+                //*4_pTituloDetalhe  <p>Título</p>
+                const pTituloDetalhe = createNewElement('p', 'detalhe-titulo', projeto.titulo)
+
+                //*4_pTamanhoDetalhe  <p>3,2 KB + 10 KB de histórico</p>
+                const textoHistorico = tamanhoHistorico > 0 ? ` + ${formataTamanho(tamanhoHistorico)} de histórico` : ''
+                const pTamanhoDetalhe = createNewElement('p', 'detalhe-tamanho', `${formataTamanho(tamanho)}${textoHistorico}`)
+
+            //3_liDetalhe>
+            liDetalhe.appendChild(pTituloDetalhe)
+            liDetalhe.appendChild(pTamanhoDetalhe)
+
+            ulDetalhes.appendChild(liDetalhe)
+
+        })
+
+    //1_divMedidor>
+    divMedidor.appendChild(buttonMedidor)
+    divMedidor.appendChild(ulDetalhes)
+
+    buttonMedidor.addEventListener('click', () => divMedidor.classList.toggle('aberto'))
+
+    parent.appendChild(divMedidor)
+
+    return divMedidor
+
+}
+
+// Notificação mostrada quando uma gravação falha por falta de espaço. Nada do que está na página é perdido: o usuário
+// libera espaço por uma das opções e tenta de novo
+function criaNotificacaoEspacoEsgotado(tentarNovamente) {
+
+    const notificacaoAlerta = criaNotificacao('alerta', 'O armazenamento do navegador está cheio e nada foi gravado. Libere espaço por uma das opções abaixo e tente novamente, o conteúdo da página continua aqui:', true, null, null)
+
+    if (!notificacaoAlerta) {
+        return
+    }
+
+    notificacaoAlerta.classList.add('notificacao-espaco')
+    document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+    const wrapperBotoes = notificacaoAlerta.querySelector('.wrapper-botoes')
+
+    const opcoes = [
+        {
+            texto: 'Esvaziar lixeira',
+            acao: async () => `${await esvaziaLixeira()} projeto(s) apagados da lixeira`
+        },
+        {
+            texto: 'Limpar históricos',
+            acao: async () => `${await compactaHistorico()} revisão(ões) antigas apagadas`
+        },
+        {
+            texto: 'Baixar backup',
+            acao: async () => {
+                await exportaProjetosSalvos('codi_bites_backup.json')
+                return 'Backup dos projetos baixado, depois dele você pode excluir projetos com segurança'
+            }
+        }
+    ]
+
+    const botoesOpcoes = opcoes.map(({ texto, acao }) => {
+
+        const botaoOpcao = createNewElement('button', 'botao-sair', texto)
+        botaoOpcao.setAttribute('type', 'button')
+
+        botaoOpcao.addEventListener('click', async () => {
+
+            botaoOpcao.disabled = true
+
+            try {
+
+                criaNotificacao('sucesso', await acao())
+
+            } catch (error) {
+
+                console.error(error)
+                botaoOpcao.disabled = false
+                criaNotificacao('erro', `Não foi possível liberar espaço (${error.message})`)
+
+            }
+
+        })
+
+        return botaoOpcao
+
+    })
+
+    const botaoTentar = createNewElement('button', 'botao-sair', 'Tentar novamente')
+    botaoTentar.setAttribute('type', 'button')
+
+    botaoTentar.addEventListener('click', () => {
+
+        // Removida na hora, se faltar espaço de novo a mesma notificação precisa poder aparecer
+        notificacaoAlerta.remove()
+        tentarNovamente()
+
+    })
+
+    wrapperBotoes.prepend(botaoTentar, ...botoesOpcoes)
+
+}
@@ -1,5 +1,6 @@
 
-function criaNotificacao(tipo, conteudo, retornaElemento = false, parentElement = null) {
+// tempoVisivel em ms, com null a notificação só some ao ser dispensada (usado quando o usuário precisa preencher algo)
+function criaNotificacao(tipo, conteudo, retornaElemento = false, parentElement = null, tempoVisivel = 10000) {
 
     const notificacoes = {
 
@@ -47,15 +48,19 @@ function criaNotificacao(tipo, conteudo, retornaElemento = false, parentElement
 
     const notificacaoElemento = criaElementoNotificacao(notificacaoSelecionada)
 
-    const tempoNotificacaoVisivel = 10000
+    const tempoNotificacaoVisivel = tempoVisivel
 
-    setTimeout(() => {
-        
-        if (notificacaoElemento) {
-            notificacaoElemento.style.opacity = '0'
-            notificacaoElemento.addEventListener('transitionend', () => notificacaoElemento.remove())
-        }
-    }, tempoNotificacaoVisivel)
+    if (tempoNotificacaoVisivel !== null) {
+
+        setTimeout(() => {
+            
+            if (notificacaoElemento) {
+                notificacaoElemento.style.opacity = '0'
+                notificacaoElemento.addEventListener('transitionend', () => notificacaoElemento.remove())
+            }
+        }, tempoNotificacaoVisivel)
+
+    }
 
     if (retornaElemento === true) {
         
@@ -0,0 +1,506 @@
+
+
+function criaPaginaConfiguracoes() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Configurações', 'retornar', container)
+
+    const divWrapperConfiguracoes = createNewElement('div', 'wrapper-configuracoes')
+    container.appendChild(divWrapperConfiguracoes)
+
+    criaSecaoFontesRemotas(divWrapperConfiguracoes)
+    criaSecaoTokenGithub(divWrapperConfiguracoes)
+    criaSecaoLixeira(divWrapperConfiguracoes)
+    criaSecaoHistorico(divWrapperConfiguracoes)
+
+}
+
+// Cria uma seção da página de configurações com título e texto de ajuda, retorna o elemento onde entra o conteúdo
+function criaSecaoConfiguracoes(titulo, ajuda, parent) {
+
+    //<1_sectionConfiguracao  <section class="secao-configuracao">
+    const sectionConfiguracao = createNewElement('section', 'secao-configuracao')
+
+        //*2_h3TituloSecao  <h3>Fontes do GitHub</h3>
+        const h3TituloSecao = createNewElement('h3', 'secao-titulo', titulo)
+
+        //*2_pAjudaSecao  <p>Texto de ajuda</p>
+        const pAjudaSecao = createNewElement('p', 'secao-ajuda', ajuda)
+
+        //*2_divConteudoSecao  <div class="secao-conteudo">
+        const divConteudoSecao = createNewElement('div', 'secao-conteudo')
+
+    //1_sectionConfiguracao>
+    sectionConfiguracao.appendChild(h3TituloSecao)
+    sectionConfiguracao.appendChild(pAjudaSecao)
+    sectionConfiguracao.appendChild(divConteudoSecao)
+
+    parent.appendChild(sectionConfiguracao)
+
+    return divConteudoSecao
+
+}
+
+function criaSecaoFontesRemotas(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Fontes do GitHub',
+        'Repositórios de onde os projetos são importados. A primeira fonte também é o destino do botão "Publicar no GitHub". Branch vazio usa o branch padrão do repositório.',
+        parent
+    )
+
+    const listaFontes = createNewElement('ul', 'lista-fontes')
+    listaFontes.style.listStyle = 'none'
+
+    fontesRemotas().forEach((fonte) => criaLinhaFonteRemota(fonte, listaFontes))
+
+    //<1_divBotoesFontes  <div class="botoes-configuracao">
+    const divBotoesFontes = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonAdicionarFonte  <button type="button">Adicionar fonte</button>
+        const buttonAdicionarFonte = createNewElement('button', 'botao-configuracao', 'Adicionar fonte')
+        buttonAdicionarFonte.setAttribute('type', 'button')
+
+        buttonAdicionarFonte.addEventListener('click', () => {
+
+            criaLinhaFonteRemota({ owner: '', repo: '', branch: '', path: '_projetos/data.json' }, listaFontes)
+
+        })
+
+        //*2_buttonSalvarFontes  <button type="button">Salvar fontes</button>
+        const buttonSalvarFontes = createNewElement('button', 'botao-configuracao botao-principal', 'Salvar fontes')
+        buttonSalvarFontes.setAttribute('type', 'button')
+
+        buttonSalvarFontes.addEventListener('click', () => salvaFontesRemotas(listaFontes))
+
+    //1_divBotoesFontes>
+    divBotoesFontes.appendChild(buttonAdicionarFonte)
+    divBotoesFontes.appendChild(buttonSalvarFontes)
+
+    divConteudo.appendChild(listaFontes)
+    divConteudo.appendChild(divBotoesFontes)
+
+}
+
+function criaLinhaFonteRemota(fonte, parent) {
+
+    const campos = [
+        { chave: 'owner', placeholder: 'Dono (usuário ou organização)' },
+        { chave: 'repo', placeholder: 'Repositório' },
+        { chave: 'branch', placeholder: 'Branch (opcional)' },
+        { chave: 'path', placeholder: 'Caminho do data.json' }
+    ]
+
+    //<1_liFonte  <li class="fonte-remota">
+    const liFonte = createNewElement('li', 'fonte-remota')
+
+        //<2_divCamposFonte  <div class="campos-fonte">
+        const divCamposFonte = createNewElement('div', 'campos-fonte')
+
+            //*3_inputCampo  <input class="campo-owner" placeholder="...">
+            campos.forEach((campo) => {
+
+                const inputCampo = createNewElement('input', `campo-${campo.chave} input-configuracao`)
+                inputCampo.setAttribute('type', 'text')
+                inputCampo.setAttribute('placeholder', campo.placeholder)
+                inputCampo.setAttribute('spellcheck', 'false')
+                inputCampo.value = fonte[campo.chave] || ''
+
+                divCamposFonte.appendChild(inputCampo)
+
+            })
+
+            //*3_buttonPrevia  <button type="button">Pré-visualizar</button>
+            const buttonPrevia = createNewElement('button', 'botao-configuracao', 'Pré-visualizar')
+            buttonPrevia.setAttribute('type', 'button')
+
+            //*3_buttonRemover  <button type="button">Remover</button>
+            const buttonRemover = createNewElement('button', 'botao-configuracao', 'Remover')
+            buttonRemover.setAttribute('type', 'button')
+
+        //2_divCamposFonte>
+        divCamposFonte.appendChild(buttonPrevia)
+        divCamposFonte.appendChild(buttonRemover)
+
+        //*2_ulErros  <ul class="erros-fonte">
+        const ulErros = createNewElement('ul', 'erros-fonte')
+
+        //*2_divPrevia  <div class="previa-fonte">
+        const divPrevia = createNewElement('div', 'previa-fonte')
+
+    //1_liFonte>
+    liFonte.appendChild(divCamposFonte)
+    liFonte.appendChild(ulErros)
+    liFonte.appendChild(divPrevia)
+
+    buttonRemover.addEventListener('click', () => liFonte.remove())
+
+    buttonPrevia.addEventListener('click', async () => {
+
+        const fonteDigitada = leLinhaFonteRemota(liFonte)
+
+        if (!mostraErrosFonte(fonteDigitada, ulErros)) {
+            return
+        }
+
+        divPrevia.innerHTML = ''
+        divPrevia.appendChild(createNewElement('p', 'previa-status', `Buscando ${nomeFonteRemota(fonteDigitada)}...`))
+
+        buttonPrevia.disabled = true
+
+        try {
+
+            const { projetos, invalidos } = preparaProjetosImportados(await leProjetosFonte(fonteDigitada))
+            const previa = await previaProjetosRemotos(projetos)
+
+            mostraPreviaFonte(previa, invalidos, divPrevia)
+
+            // Prévia montada com a cópia em cache, sem conexão ou sem limite na API
+            const descricaoLeitura = descricaoLeituraGithub(urlConteudoFonte(fonteDigitada))
+
+            if (descricaoLeitura !== null) {
+                divPrevia.prepend(createNewElement('p', 'previa-status', descricaoLeitura))
+            }
+
+        } catch (error) {
+
+            divPrevia.innerHTML = ''
+            divPrevia.appendChild(createNewElement('p', 'previa-status', `Não foi possível ler a fonte (${error.message})`))
+
+        }
+
+        buttonPrevia.disabled = false
+
+    })
+
+    parent.appendChild(liFonte)
+
+}
+
+function leLinhaFonteRemota(liFonte) {
+
+    return {
+        owner: liFonte.querySelector('.campo-owner').value.trim(),
+        repo: liFonte.querySelector('.campo-repo').value.trim(),
+        branch: liFonte.querySelector('.campo-branch').value.trim(),
+        path: liFonte.querySelector('.campo-path').value.trim()
+    }
+
+}
+
+// Mostra os erros de validação abaixo da fonte, retorna true quando a fonte é válida
+function mostraErrosFonte(fonte, ulErros) {
+
+    const erros = validaFonteRemota(fonte)
+
+    ulErros.innerHTML = ''
+    erros.forEach((erro) => ulErros.appendChild(createNewElement('li', null, erro)))
+
+    return erros.length === 0
+
+}
+
+function mostraPreviaFonte(previa, invalidos, parent) {
+
+    const textosSituacao = {
+        novo: 'novo',
+        igual: 'sem alterações',
+        mesclado: 'será atualizado',
+        conflito: 'conflito',
+        excluido: 'excluído aqui, será ignorado'
+    }
+
+    parent.innerHTML = ''
+
+    const contagem = {}
+    previa.forEach((item) => contagem[item.situacao] = (contagem[item.situacao] || 0) + 1)
+
+    const resumo = Object.keys(contagem).map((situacao) => `${contagem[situacao]} ${textosSituacao[situacao]}`).join(', ')
+    parent.appendChild(createNewElement('p', 'previa-status', `${previa.length} projeto(s) na fonte${previa.length > 0 ? `: ${resumo}` : ''}`))
+
+    if (invalidos.length > 0) {
+        parent.appendChild(createNewElement('p', 'previa-status', `${invalidos.length} projeto(s) com campos inválidos serão ignorados`))
+    }
+
+    const ulPrevia = createNewElement('ul', 'lista-previa')
+
+    previa.forEach((item) => {
+
+        //<1_liPrevia  <li class="item-previa situacao-novo">
+        const liPrevia = createNewElement('li', `item-previa situacao-${item.situacao}`)
+
+            //*2_pTitulo  <p>Título</p>
+            const pTitulo = createNewElement('p', 'previa-titulo', item.projeto.titulo)
+
+            //*2_pDetalhes  <p>Python · tag · novo</p>
+            const pDetalhes = createNewElement('p', 'previa-detalhes', `${nomeLinguagem(item.projeto.linguagem)} · ${item.projeto.tag} · ${textosSituacao[item.situacao]}`)
+
+        //1_liPrevia>
+        liPrevia.appendChild(pTitulo)
+        liPrevia.appendChild(pDetalhes)
+
+        ulPrevia.appendChild(liPrevia)
+
+    })
+
+    parent.appendChild(ulPrevia)
+
+}
+
+function salvaFontesRemotas(listaFontes) {
+
+    const linhas = Array.from(listaFontes.querySelectorAll('.fonte-remota'))
+
+    if (linhas.length === 0) {
+        criaNotificacao('erro', 'Adicione ao menos uma fonte para importar os projetos')
+        return
+    }
+
+    // Todas as linhas são validadas para mostrar os erros de cada uma de uma vez
+    const validas = linhas.map((linha) => mostraErrosFonte(leLinhaFonteRemota(linha), linha.querySelector('.erros-fonte')))
+
+    if (validas.includes(false)) {
+        criaNotificacao('erro', 'Corrija as fontes marcadas antes de salvar')
+        return
+    }
+
+    gravaFontesRemotas(linhas.map((linha) => leLinhaFonteRemota(linha)))
+    criaNotificacao('sucesso', 'Fontes do GitHub salvas com sucesso!')
+
+}
+
+function criaSecaoTokenGithub(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Token do GitHub',
+        'Token de acesso pessoal usado em todas as requisições ao GitHub: leitura de repositórios privados, publicação e limite de 5000 requisições por hora (60 sem token). Fica salvo apenas neste navegador. Tokens clássicos precisam do escopo "repo".',
+        parent
+    )
+
+    preencheSecaoTokenGithub(divConteudo)
+
+}
+
+// Conteúdo da seção, recriado quando o token é salvo ou removido
+function preencheSecaoTokenGithub(divConteudo) {
+
+    divConteudo.innerHTML = ''
+
+    const tokenSalvo = tokenGithubSalvo()
+
+    //*1_pStatusToken  <p class="status-token">Token de usuario salvo em 18/10/2026, 10:31:25</p>
+    const textoStatus = tokenSalvo !== null
+        ? `Token de ${tokenSalvo.login} salvo em ${new Date(tokenSalvo.salvoEm).toLocaleString('pt-BR')}`
+        : 'Nenhum token salvo, as requisições ao GitHub são anônimas'
+    const pStatusToken = createNewElement('p', 'status-token', textoStatus)
+
+    //<1_divCamposToken  <div class="campos-token">
+    const divCamposToken = createNewElement('div', 'campos-token')
+
+        //*2_inputToken  <input type="password" class="input-configuracao">
+        const inputToken = createNewElement('input', 'campo-token input-configuracao')
+        inputToken.setAttribute('type', 'password')
+        inputToken.setAttribute('placeholder', tokenSalvo !== null ? 'Novo token para substituir o salvo' : 'ghp_... ou github_pat_...')
+        inputToken.setAttribute('autocomplete', 'off')
+        inputToken.setAttribute('spellcheck', 'false')
+
+        //*2_buttonTestar  <button type="button">Testar</button>
+        const buttonTestar = createNewElement('button', 'botao-configuracao', 'Testar')
+        buttonTestar.setAttribute('type', 'button')
+
+        //*2_buttonSalvar  <button type="button">Salvar token</button>
+        const buttonSalvar = createNewElement('button', 'botao-configuracao botao-principal', 'Salvar token')
+        buttonSalvar.setAttribute('type', 'button')
+
+    //1_divCamposToken>
+    divCamposToken.appendChild(inputToken)
+    divCamposToken.appendChild(buttonTestar)
+    divCamposToken.appendChild(buttonSalvar)
+
+    if (tokenSalvo !== null) {
+
+        //*2_buttonRemover  <button type="button">Remover token</button>
+        const buttonRemover = createNewElement('button', 'botao-configuracao', 'Remover token')
+        buttonRemover.setAttribute('type', 'button')
+
+        buttonRemover.addEventListener('click', () => {
+
+            removeTokenGithub()
+            criaNotificacao('sucesso', `Token removido deste navegador. Para revogá-lo no GitHub acesse ${urlTokensGithub}`)
+            preencheSecaoTokenGithub(divConteudo)
+
+        })
+
+        divCamposToken.appendChild(buttonRemover)
+
+    }
+
+    //*1_divResultadoToken  <div class="resultado-token">
+    const divResultadoToken = createNewElement('div', 'resultado-token')
+
+    divConteudo.appendChild(pStatusToken)
+    divConteudo.appendChild(divCamposToken)
+    divConteudo.appendChild(divResultadoToken)
+
+    // Campo vazio testa o token salvo
+    buttonTestar.addEventListener('click', async () => {
+
+        const token = inputToken.value.trim() !== '' ? inputToken.value.trim() : tokenGithub()
+
+        if (token === null) {
+            criaNotificacao('erro', 'Informe o token que deseja testar')
+            return
+        }
+
+        buttonTestar.disabled = true
+        divResultadoToken.innerHTML = ''
+
+        try {
+
+            mostraTesteTokenGithub(await testaTokenGithub(token), divResultadoToken)
+
+        } catch (error) {
+
+            divResultadoToken.appendChild(createNewElement('p', 'teste-token aviso-token', `Não foi possível usar o token (${error.message})`))
+
+        }
+
+        buttonTestar.disabled = false
+
+    })
+
+    buttonSalvar.addEventListener('click', async () => {
+
+        const token = inputToken.value.trim()
+
+        if (token === '') {
+            criaNotificacao('erro', 'Informe o token que deseja salvar')
+            return
+        }
+
+        buttonSalvar.disabled = true
+
+        try {
+
+            const teste = await salvaTokenGithub(token)
+
+            criaNotificacao('sucesso', `Token de ${teste.login} salvo com sucesso!`)
+            preencheSecaoTokenGithub(divConteudo)
+            mostraTesteTokenGithub(teste, divConteudo.querySelector('.resultado-token'))
+
+        } catch (error) {
+
+            console.error(error)
+            buttonSalvar.disabled = false
+            criaNotificacao('erro', `O token não foi salvo (${error.message})`)
+
+        }
+
+    })
+
+}
+
+function mostraTesteTokenGithub(teste, parent) {
+
+    parent.innerHTML = ''
+
+    const textoEscopos = teste.escopos !== null
+        ? `Escopos: ${teste.escopos.length > 0 ? teste.escopos.join(', ') : 'nenhum'}`
+        : 'Token fine-grained: o GitHub não informa as permissões, confira o acesso aos repositórios na página do token'
+
+    const linhas = [
+        `Usuário: ${teste.login}`,
+        textoEscopos,
+        `Limite: ${teste.limite.restante} de ${teste.limite.limite} requisições, renova às ${new Date(teste.limite.reset).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`
+    ]
+
+    //*1_pTeste  <p class="teste-token">Usuário: usuario</p>
+    linhas.forEach((linha) => parent.appendChild(createNewElement('p', 'teste-token', linha)))
+
+    escoposFaltandoGithub(teste.escopos).forEach((escopo) => {
+
+        parent.appendChild(createNewElement('p', 'teste-token aviso-token', `Falta o escopo "${escopo}": sem ele não é possível publicar nem ler repositórios privados`))
+
+    })
+
+}
+
+function criaSecaoLixeira(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Lixeira',
+        'Tempo que os projetos excluídos ficam na lixeira antes de serem apagados definitivamente.',
+        parent
+    )
+
+    //*1_selectRetencao  <select class="input-configuracao">
+    const selectRetencao = createNewElement('select', 'retencao-lixeira input-configuracao')
+
+    opcoesRetencaoLixeira.forEach((dias) => {
+
+        const optionDias = createNewElement('option', null, dias > 0 ? `${dias} dias` : 'Nunca apagar automaticamente')
+        optionDias.value = `${dias}`
+
+        selectRetencao.appendChild(optionDias)
+
+    })
+
+    selectRetencao.value = `${diasRetencaoLixeira()}`
+
+    selectRetencao.addEventListener('change', () => {
+
+        gravaDiasRetencaoLixeira(Number(selectRetencao.value))
+        criaNotificacao('sucesso', 'Tempo de retenção da lixeira salvo!')
+
+    })
+
+    divConteudo.appendChild(selectRetencao)
+
+}
+
+function criaSecaoHistorico(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Histórico de revisões',
+        'Quantas revisões de cada projeto ficam guardadas. Com um limite as revisões mais antigas são apagadas, inclusive as que já estão guardadas.',
+        parent
+    )
+
+    //*1_selectLimite  <select class="input-configuracao">
+    const selectLimite = createNewElement('select', 'limite-revisoes input-configuracao')
+
+    opcoesLimiteRevisoes.forEach((limite) => {
+
+        const optionLimite = createNewElement('option', null, limite > 0 ? `${limite} revisões mais recentes` : 'Guardar todas as revisões')
+        optionLimite.value = `${limite}`
+
+        selectLimite.appendChild(optionLimite)
+
+    })
+
+    selectLimite.value = `${limiteRevisoesProjeto()}`
+
+    selectLimite.addEventListener('change', async () => {
+
+        gravaLimiteRevisoesProjeto(Number(selectLimite.value))
+
+        try {
+
+            const apagadas = await aplicaLimiteRevisoes()
+            criaNotificacao('sucesso', apagadas > 0 ? `Limite do histórico salvo, ${apagadas} revisão(ões) antigas apagadas` : 'Limite do histórico salvo!')
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível apagar as revisões antigas (${error.message})`)
+
+        }
+
+    })
+
+    divConteudo.appendChild(selectLimite)
+
+}
@@ -0,0 +1,157 @@
+
+
+function criaPaginaConflitos(conflitos) {
+
+    gravaRotaPaginaMemoria('/conflitos')
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Resolver Conflitos', 'retornar', container)
+
+    const listaConflitos = createNewElement('ul', 'lista-conflitos')
+    listaConflitos.style.listStyle = 'none'
+    container.appendChild(listaConflitos)
+
+    conflitos.forEach((conflito) => criaCardConflito(conflito, listaConflitos))
+
+}
+
+function criaCardConflito(conflito, parent) {
+
+    const projetoReferencia = conflito.local !== null ? conflito.local : conflito.remoto
+
+    // Cada campo em conflito começa com a versão local selecionada
+    const escolhas = {}
+
+    //<1_liContainerConflito  <li class="container-conflito">
+    const liContainerConflito = createNewElement('li', `${projetoReferencia.id} container-conflito`)
+
+        //*2_h3TituloConflito  <h3>Título do projeto</h3>
+        const h3TituloConflito = createNewElement('h3', 'conflito-titulo', projetoReferencia.titulo)
+
+        //*2_pDescricaoConflito  <p>Alterado aqui e no GitHub</p>
+        const textoDescricao = conflito.tipo === 'exclusao'
+            ? 'Excluído aqui, mas alterado no GitHub desde a última sincronização'
+            : 'Alterado aqui e no GitHub desde a última sincronização, escolha a versão de cada campo:'
+        const pDescricaoConflito = createNewElement('p', 'conflito-descricao', textoDescricao)
+
+    liContainerConflito.appendChild(h3TituloConflito)
+    liContainerConflito.appendChild(pDescricaoConflito)
+
+    if (conflito.tipo === 'exclusao') {
+
+        escolhas.exclusao = 'local'
+        liContainerConflito.appendChild(criaCampoConflito('exclusao', 'Projeto', 'Manter excluído', 'Restaurar do GitHub', escolhas))
+
+    } else {
+
+        conflito.campos.forEach((campo) => {
+
+            const valorLocal = conflito.local[campo] === undefined ? '(vazio)' : `${conflito.local[campo]}`
+            const valorRemoto = conflito.remoto[campo] === undefined ? '(vazio)' : `${conflito.remoto[campo]}`
+
+            escolhas[campo] = 'local'
+            liContainerConflito.appendChild(criaCampoConflito(campo, palavraCorreta(campo), valorLocal, valorRemoto, escolhas))
+
+        })
+
+    }
+
+        //*2_buttonResolver  <button type="button" class="botao-resolver">Aplicar escolhas</button>
+        const buttonResolver = createNewElement('button', 'botao-resolver', 'Aplicar escolhas')
+        buttonResolver.setAttribute('type', 'button')
+
+        buttonResolver.addEventListener('click', async () => {
+
+            buttonResolver.disabled = true
+
+            try {
+
+                await resolveConflito(conflito, escolhas)
+
+            } catch (error) {
+
+                console.error(error)
+                buttonResolver.disabled = false
+                criaNotificacao('erro', `Não foi possível resolver o conflito do projeto "${projetoReferencia.titulo}" (${error.message})`)
+                return
+
+            }
+
+            liContainerConflito.remove()
+
+            // Com todos os conflitos resolvidos volta para o feed
+            if (parent.children.length === 0) {
+
+                criaNotificacao('sucesso', 'Todos os conflitos foram resolvidos!')
+                navega('/')
+
+            }
+
+        })
+
+    //1_liContainerConflito>
+    liContainerConflito.appendChild(buttonResolver)
+
+    parent.appendChild(liContainerConflito)
+
+}
+
+function criaCampoConflito(campo, nomeCampo, textoLocal, textoRemoto, escolhas) {
+
+    //<1_divCampoConflito  <div class="conflito-campo">
+    const divCampoConflito = createNewElement('div', 'conflito-campo')
+
+        //*2_h4NomeCampo  <h4>Código</h4>
+        const h4NomeCampo = createNewElement('h4', null, nomeCampo)
+
+        //<2_divOpcoes  <div class="conflito-opcoes">
+        const divOpcoes = createNewElement('div', 'conflito-opcoes')
+
+            const opcoes = [
+                { origem: 'local', rotulo: 'Local', texto: textoLocal },
+                { origem: 'remoto', rotulo: 'GitHub', texto: textoRemoto }
+            ]
+
+            opcoes.forEach((opcao) => {
+
+                //<3_buttonOpcao  <button type="button" class="conflito-opcao">
+                const buttonOpcao = createNewElement('button', 'conflito-opcao')
+                buttonOpcao.setAttribute('type', 'button')
+                buttonOpcao.setAttribute('data-origem', opcao.origem)
+
+                    //*4_pRotulo  <p>Local</p>
+                    const pRotulo = createNewElement('p', 'conflito-rotulo', opcao.rotulo)
+
+                    //*4_preValor  <pre>valor</pre>
+                    const preValor = createNewElement('pre', 'conflito-valor', opcao.texto)
+
+                //3_buttonOpcao>
+                buttonOpcao.appendChild(pRotulo)
+                buttonOpcao.appendChild(preValor)
+
+                if (escolhas[campo] === opcao.origem) {
+                    buttonOpcao.classList.add('selecionado')
+                }
+
+                buttonOpcao.addEventListener('click', () => {
+
+                    escolhas[campo] = opcao.origem
+
+                    divOpcoes.querySelectorAll('.conflito-opcao').forEach((botao) => botao.classList.remove('selecionado'))
+                    buttonOpcao.classList.add('selecionado')
+
+                })
+
+                divOpcoes.appendChild(buttonOpcao)
+
+            })
+
+    //1_divCampoConflito>
+    divCampoConflito.appendChild(h4NomeCampo)
+    divCampoConflito.appendChild(divOpcoes)
+
+    return divCampoConflito
+
+}
@@ -0,0 +1,125 @@
+// Botão de curtir dos cards e do post detalhado, e a página dos projetos mais curtidos (#/curtidos)
+
+// O card do feed já é um <button>, por isso o botão de curtir é um <div role="button"> que não deixa o clique chegar no card
+function criaBotaoCurtir(projeto) {
+
+    //<1_divCurtir  <div class="curtir" role="button" tabindex="0" aria-pressed="false" data-projeto="1700000000000">
+    const divCurtir = createNewElement('div', 'curtir')
+    divCurtir.setAttribute('role', 'button')
+    divCurtir.setAttribute('tabindex', '0')
+    divCurtir.setAttribute('data-projeto', projeto.id)
+
+        //*2_imgLikes      <img src="./assets/likes.svg" alt="">
+        const imgLikes = createNewElement('img')
+        imgLikes.setAttribute('src', './assets/likes.svg')
+        imgLikes.setAttribute('alt', '')
+
+        //*2_pQuantLikes      <p style="margin: 0;">0</p>
+        const pQuantidadeLikes = createNewElement('p', 'quantidade-likes')
+        pQuantidadeLikes.setAttribute('style', 'margin: 0;')
+
+    //1_divCurtir>
+    divCurtir.appendChild(imgLikes)
+    divCurtir.appendChild(pQuantidadeLikes)
+
+    mostraCurtida(divCurtir, projeto)
+
+    // Cliques seguidos esperam a gravação anterior, senão os dois liam o mesmo estado e curtiam duas vezes
+    const curte = async (event) => {
+
+        event.preventDefault()
+        event.stopPropagation()
+
+        if (divCurtir.getAttribute('aria-busy') === 'true') {
+            return
+        }
+
+        divCurtir.setAttribute('aria-busy', 'true')
+
+        try {
+
+            atualizaCurtidasPagina(await alternaCurtida(projeto.id))
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível curtir o projeto (${error.message})`)
+
+        }
+
+        divCurtir.removeAttribute('aria-busy')
+
+    }
+
+    divCurtir.addEventListener('click', curte)
+
+    divCurtir.addEventListener('keydown', (event) => {
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            curte(event)
+        }
+
+    })
+
+    return divCurtir
+
+}
+
+function mostraCurtida(divCurtir, projeto) {
+
+    const curtido = projetoCurtido(projeto.id)
+
+    divCurtir.setAttribute('aria-pressed', `${curtido}`)
+    divCurtir.setAttribute('aria-label', `${curtido ? 'Descurtir' : 'Curtir'} projeto, ${projeto.likes} curtida(s)`)
+    divCurtir.setAttribute('title', curtido ? 'Descurtir' : 'Curtir')
+    divCurtir.querySelector('.quantidade-likes').textContent = projeto.likes
+
+}
+
+// Atualiza os botões do projeto na página aberta (nesta aba ou vindo de outra, ver sincronizacaoAbas.js) e as cópias do
+// projeto guardadas pelo feed: a lista de todos os projetos, usada quando um filtro monta o feed de novo, e as páginas
+// que ainda não foram mostradas
+function atualizaCurtidasPagina(projeto) {
+
+    document.querySelectorAll('.curtir').forEach((divCurtir) => {
+
+        if (divCurtir.getAttribute('data-projeto') === `${projeto.id}`) {
+            mostraCurtida(divCurtir, projeto)
+        }
+
+    })
+
+    const copiasFeed = [...estadoFeed.projetos, ...estadoFeed.pendentes].filter((projetoFeed) => `${projetoFeed.id}` === `${projeto.id}`)
+
+    copiasFeed.forEach((projetoFeed) => projetoFeed.likes = projeto.likes)
+
+}
+
+// Projetos com pelo menos uma curtida, do mais curtido para o menos curtido. A ordem é a do momento em que a página
+// abriu, curtir aqui muda só a contagem para o card não sair de baixo do cursor
+async function criaPaginaCurtidos() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Curtidos', 'retornar', container)
+
+    const projetos = ordenaProjetos((await repositorioProjetos.listar()).filter((projeto) => projeto.likes > 0), 'curtidos')
+
+    //*1_pAjudaCurtidos  <p class="curtidos-ajuda">Os projetos mais curtidos...</p>
+    const textoAjuda = projetos.length > 0
+        ? `${projetos.length} projeto(s) com curtidas, do mais curtido para o menos curtido. Os que você curtiu ficam com o coração marcado.`
+        : 'Nenhum projeto curtido ainda. Use o coração nos cards do feed ou no post para curtir um projeto.'
+    const pAjudaCurtidos = createNewElement('p', 'curtidos-ajuda', textoAjuda)
+
+    //*1_ulCurtidos  <ul class="lista-posts">
+    const listaPosts = createNewElement('ul', 'lista-posts')
+    listaPosts.style.listStyle = 'none'
+
+    container.appendChild(pAjudaCurtidos)
+    container.appendChild(listaPosts)
+
+    paginaFeed(listaPosts, projetos)
+
+}
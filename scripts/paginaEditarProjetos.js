@@ -1,6 +1,6 @@
 
 
-function criaPaginaEditar() {
+async function criaPaginaEditar() {
 
     limpaPagina()
 
@@ -12,11 +12,11 @@ function criaPaginaEditar() {
     listaCards.style.listStyle = 'none'
     container.appendChild(listaCards)
     
-    const localStorageKeys = Object.keys(localStorage).sort().reverse()
+    const projetos = await repositorioProjetos.listar()
     
-    localStorageKeys.forEach((id, i) => {
+    projetos.forEach((projeto, i) => {
 
-        listaProjetosEditar(JSON.parse(localStorage[id]), (i + 1), listaCards)
+        listaProjetosEditar(projeto, (i + 1), listaCards)
         i++
 
     })
@@ -67,7 +67,6 @@ function listaProjetosEditar(projeto, indice, parent) {
                 textareaDescricao.style.pointerEvents="none"
 
                 //*4_h5Data  <h5>15 Out 2023</h5>
-                const data = projeto.data === undefined ? 's/ data' : projeto.data
                 const h5Data = createNewElement('h5', null, projeto.data)
 
             //3_divWrapperDetalhes> 
@@ -91,12 +90,6 @@ function listaProjetosEditar(projeto, indice, parent) {
 
 function botaoEditarProjeto(button, projeto) {
 
-    button.addEventListener('click', () => {
-
-        limpaPagina()
-
-        criaEditorProjeto(projeto)
-
-    })
+    button.addEventListener('click', () => navega(rotaProjeto(projeto.id, 'editar')))
 
 }
\ No newline at end of file
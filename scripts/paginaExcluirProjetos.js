@@ -1,23 +1,23 @@
 
 
-function criaPaginaExcluir() {
+async function criaPaginaExcluir() {
 
     limpaPagina()
 
     const container = document.querySelector('.container')
 
-    criaHeaderPagina('projetos', 'Excluir Projetos', 'retornar editar', container)
+    criaHeaderPagina('projetos', 'Excluir Projetos', 'retornar editar lixeira', container)
 
     
     const listaCards = createNewElement('ul', 'lista-cards')
     listaCards.style.listStyle = 'none'
     container.appendChild(listaCards)
     
-    const localStorageKeys = Object.keys(localStorage).sort().reverse()
+    const projetos = await repositorioProjetos.listar()
     
-    localStorageKeys.forEach((id, i) => {
+    projetos.forEach((projeto, i) => {
 
-        listaProjetosExcluir(JSON.parse(localStorage[id]), (i + 1), listaCards)
+        listaProjetosExcluir(projeto, (i + 1), listaCards)
         i++
 
     })
@@ -66,7 +66,6 @@ function listaProjetosExcluir(projeto, indice, parent) {
                 textareaDescricao.style.pointerEvents="none"
 
                 //*4_h5Data  <h5>15 Out 2023</h5>
-                const data = projeto.data === undefined ? 's/ data' : projeto.data
                 const h5Data = createNewElement('h5', null, projeto.data)
 
             //3_divWrapperDetalhes> 
@@ -163,19 +162,29 @@ function criaCardEstadoExcluir(projeto, titulo, parent) {
                 buttonConfirmaExcluir.innerHTML = svgConfirmaExcluir
                 buttonConfirmaExcluir.appendChild(pConfirmaExcluir)
 
-                buttonConfirmaExcluir.addEventListener('click', () => {
+                buttonConfirmaExcluir.addEventListener('click', async () => {
 
-                    criaNotificacao('sucesso', `O projeto "${projeto.titulo}" foi excluído com sucesso!`)
+                    try {
 
-                    localStorage.removeItem(projeto.id)
-                    console.log(localStorage.length === 0)
+                        await moveParaLixeira(projeto.id)
 
-                    if (localStorage.length === 0) {
+                    } catch (error) {
+
+                        console.error(error)
+                        criaNotificacao('erro', `Não foi possível excluir o projeto "${projeto.titulo}"`)
+                        return
+
+                    }
+
+                    criaNotificacaoDesfazerExclusao(projeto)
+
+                    const projetosRestantes = await repositorioProjetos.listar()
+
+                    if (projetosRestantes.length === 0) {
                         
                         console.log('inside')
 
-                        limpaPagina()
-                        mostraPaginaProjetos()
+                        navega('/')
 
                     } else {
 
@@ -234,6 +243,52 @@ function criaCardEstadoExcluir(projeto, titulo, parent) {
 
 }
 
+// Notificação de sucesso da exclusão com o botão 'Desfazer', que tira o projeto da lixeira enquanto ela estiver visível
+function criaNotificacaoDesfazerExclusao(projeto) {
+
+    const notificacaoSucesso = criaNotificacao('sucesso', `O projeto "${projeto.titulo}" foi movido para a lixeira`, true)
+
+    if (!notificacaoSucesso) {
+        return
+    }
+
+    document.getElementById('notificacoes').appendChild(notificacaoSucesso)
+
+    const botaoDesfazer = createNewElement('button', 'botao-sair', 'Desfazer')
+    botaoDesfazer.setAttribute('type', 'button')
+
+    botaoDesfazer.addEventListener('click', async () => {
+
+        botaoDesfazer.disabled = true
+
+        try {
+
+            await restauraDaLixeira(projeto.id)
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível restaurar o projeto "${projeto.titulo}" (${error.message})`)
+            return
+
+        }
+
+        apagaNotificacao(notificacaoSucesso)
+        criaNotificacao('sucesso', `O projeto "${projeto.titulo}" foi restaurado!`)
+
+        // Atualiza a página em que o usuário está para o projeto voltar a aparecer
+        if (pageContext() === 'Excluir') {
+            criaPaginaExcluir()
+        } else {
+            navega('/')
+        }
+
+    })
+
+    notificacaoSucesso.querySelector('.wrapper-botoes').prepend(botaoDesfazer)
+
+}
+
 function checkOverflow(textarea) {
 
     window.addEventListener('resize', () => {
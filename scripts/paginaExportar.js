@@ -0,0 +1,234 @@
+async function criaPaginaExportar() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Exportar', 'retornar', container)
+
+    const divWrapperExportar = createNewElement('div', 'wrapper-configuracoes wrapper-exportar')
+    container.appendChild(divWrapperExportar)
+
+    criaSecaoExportarZip(divWrapperExportar)
+    const secaoMarkdown = criaSecaoExportarMarkdown(divWrapperExportar)
+    criaSecaoExportarJson(divWrapperExportar)
+
+    await secaoMarkdown
+
+}
+
+function criaSecaoExportarZip(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Arquivos de código (ZIP)',
+        'Cada projeto vira um arquivo com a extensão da linguagem (.py, .ts, .scss...) e um comentário no início com título, descrição e tag. O zip leva também um README.md com o índice dos arquivos e o data.json com todos os campos. Tudo é gerado neste navegador, nada é enviado.',
+        parent
+    )
+
+    //<1_divBotoesZip  <div class="botoes-configuracao">
+    const divBotoesZip = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonZip  <button type="button">Baixar ZIP</button>
+        const buttonZip = createNewElement('button', 'botao-configuracao botao-principal', 'Baixar ZIP')
+        buttonZip.setAttribute('type', 'button')
+
+        buttonZip.addEventListener('click', async () => {
+
+            buttonZip.disabled = true
+
+            try {
+
+                const quantidade = await exportaZipProjetos()
+                criaNotificacao('sucesso', `${quantidade} projeto(s) exportado(s) como arquivos de código`)
+
+            } catch (error) {
+
+                console.error(error)
+                criaNotificacao('erro', `Não foi possível exportar o zip (${error.message})`)
+
+            }
+
+            buttonZip.disabled = false
+
+        })
+
+    //1_divBotoesZip>
+    divBotoesZip.appendChild(buttonZip)
+    divConteudo.appendChild(divBotoesZip)
+
+}
+
+// Lista de projetos com uma caixa de seleção cada, todos começam selecionados (a biblioteca inteira)
+async function criaSecaoExportarMarkdown(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Markdown',
+        'Cada projeto vira um título com a descrição, a linguagem, a tag, a data e o código num bloco com o identificador da linguagem, pronto para colar em documentações. Escolha os projetos e copie ou baixe o .md.',
+        parent
+    )
+
+    const projetos = await repositorioProjetos.listar()
+
+    //*1_pSelecionados  <p>12 de 12 projeto(s) selecionado(s)</p>
+    const pSelecionados = createNewElement('p', 'previa-status')
+
+    //<1_divBotoesSelecao  <div class="botoes-configuracao">
+    const divBotoesSelecao = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonTodos  <button type="button">Selecionar todos</button>
+        const buttonTodos = createNewElement('button', 'botao-configuracao', 'Selecionar todos')
+        buttonTodos.setAttribute('type', 'button')
+
+        //*2_buttonNenhum  <button type="button">Limpar seleção</button>
+        const buttonNenhum = createNewElement('button', 'botao-configuracao', 'Limpar seleção')
+        buttonNenhum.setAttribute('type', 'button')
+
+    //1_divBotoesSelecao>
+    divBotoesSelecao.appendChild(buttonTodos)
+    divBotoesSelecao.appendChild(buttonNenhum)
+
+    //*1_ulSelecao  <ul class="lista-selecao-markdown">
+    const ulSelecao = createNewElement('ul', 'lista-selecao-markdown')
+    ulSelecao.style.listStyle = 'none'
+
+    projetos.forEach((projeto) => {
+
+        //<2_liProjeto  <li>
+        const liProjeto = createNewElement('li', 'selecao-markdown')
+
+            //<3_labelProjeto  <label>
+            const labelProjeto = createNewElement('label')
+
+                //*4_inputProjeto  <input type="checkbox" value="id" checked>
+                const inputProjeto = createNewElement('input', 'checkbox-markdown')
+                inputProjeto.setAttribute('type', 'checkbox')
+                inputProjeto.value = projeto.id
+                inputProjeto.checked = true
+
+                //*4_spanTitulo  <span>Título</span>
+                const spanTitulo = createNewElement('span', 'selecao-titulo', projeto.titulo)
+
+                //*4_spanDetalhes  <span>Python · tag</span>
+                const spanDetalhes = createNewElement('span', 'selecao-detalhes', `${nomeLinguagem(projeto.linguagem)} · ${projeto.tag}`)
+
+            //3_labelProjeto>
+            labelProjeto.appendChild(inputProjeto)
+            labelProjeto.appendChild(spanTitulo)
+            labelProjeto.appendChild(spanDetalhes)
+
+        //2_liProjeto>
+        liProjeto.appendChild(labelProjeto)
+        ulSelecao.appendChild(liProjeto)
+
+    })
+
+    //<1_divBotoesMarkdown  <div class="botoes-configuracao">
+    const divBotoesMarkdown = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonCopiar  <button type="button">Copiar Markdown</button>
+        const buttonCopiar = createNewElement('button', 'botao-configuracao botao-principal', 'Copiar Markdown')
+        buttonCopiar.setAttribute('type', 'button')
+
+        //*2_buttonBaixar  <button type="button">Baixar .md</button>
+        const buttonBaixar = createNewElement('button', 'botao-configuracao', 'Baixar .md')
+        buttonBaixar.setAttribute('type', 'button')
+
+    //1_divBotoesMarkdown>
+    divBotoesMarkdown.appendChild(buttonCopiar)
+    divBotoesMarkdown.appendChild(buttonBaixar)
+
+    const selecionados = () => {
+
+        const ids = Array.from(ulSelecao.querySelectorAll('.checkbox-markdown:checked')).map((input) => input.value)
+        return projetos.filter((projeto) => ids.includes(projeto.id))
+
+    }
+
+    const atualizaSelecao = () => {
+
+        const quantidade = selecionados().length
+
+        pSelecionados.textContent = `${quantidade} de ${projetos.length} projeto(s) selecionado(s)`
+        buttonCopiar.disabled = quantidade === 0
+        buttonBaixar.disabled = quantidade === 0
+
+    }
+
+    ulSelecao.addEventListener('change', atualizaSelecao)
+
+    buttonTodos.addEventListener('click', () => {
+
+        ulSelecao.querySelectorAll('.checkbox-markdown').forEach((input) => input.checked = true)
+        atualizaSelecao()
+
+    })
+
+    buttonNenhum.addEventListener('click', () => {
+
+        ulSelecao.querySelectorAll('.checkbox-markdown').forEach((input) => input.checked = false)
+        atualizaSelecao()
+
+    })
+
+    buttonCopiar.addEventListener('click', async () => {
+
+        try {
+
+            await copiaMarkdown(selecionados())
+            criaNotificacao('sucesso', `${selecionados().length} projeto(s) copiado(s) em Markdown para a área de transferência`)
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível copiar o Markdown (${error.message})`)
+
+        }
+
+    })
+
+    buttonBaixar.addEventListener('click', () => baixaMarkdown(selecionados()))
+
+    atualizaSelecao()
+
+    divConteudo.appendChild(pSelecionados)
+    divConteudo.appendChild(divBotoesSelecao)
+    divConteudo.appendChild(ulSelecao)
+    divConteudo.appendChild(divBotoesMarkdown)
+
+}
+
+function criaSecaoExportarJson(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Backup em JSON',
+        'Um único data.json com todos os projetos, no formato lido pelo botão "Importar arquivo JSON".',
+        parent
+    )
+
+    //<1_divBotoesJson  <div class="botoes-configuracao">
+    const divBotoesJson = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonJson  <button type="button">Baixar data.json</button>
+        const buttonJson = createNewElement('button', 'botao-configuracao', 'Baixar data.json')
+        buttonJson.setAttribute('type', 'button')
+
+        buttonJson.addEventListener('click', async () => {
+
+            try {
+
+                await exportaProjetosSalvos('data.json')
+
+            } catch (error) {
+
+                console.error(error)
+                criaNotificacao('erro', `Não foi possível exportar o data.json (${error.message})`)
+
+            }
+
+        })
+
+    //1_divBotoesJson>
+    divBotoesJson.appendChild(buttonJson)
+    divConteudo.appendChild(divBotoesJson)
+
+}
@@ -41,6 +41,146 @@ function criaBotaoheader(tipoBotao) {
             `,
             texto: 'Editar projetos'
 
+        },
+
+        publicar: {
+
+            tipo: 'publicar',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M15 23V10.83l-4.59 4.58L9 14l7-7 7 7-1.41 1.41L17 10.83V23h-2zM7 27v-2h18v2H7z"/></svg>
+            `,
+            texto: 'Publicar no GitHub'
+
+        },
+
+        sincronizar: {
+
+            tipo: 'sincronizar',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M17 9V21.17l4.59-4.58L23 18l-7 7-7-7 1.41-1.41L15 21.17V9h2zM7 7V5h18v2H7z"/></svg>
+            `,
+            texto: 'Importar do GitHub'
+
+        },
+
+        configuracoes: {
+
+            tipo: 'configuracoes',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M27 17.5v-3l-3.1-.6a8 8 0 0 0-.9-2.2l1.8-2.6-2.1-2.1-2.6 1.8a8 8 0 0 0-2.2-.9L17.5 5h-3l-.6 3.1a8 8 0 0 0-2.2.9L9.1 7.2 7 9.3l1.8 2.6a8 8 0 0 0-.9 2.2L5 14.5v3l3.1.6c.2.8.5 1.5.9 2.2l-1.8 2.6 2.1 2.1 2.6-1.8c.7.4 1.4.7 2.2.9l.6 3.1h3l.6-3.1a8 8 0 0 0 2.2-.9l2.6 1.8 2.1-2.1-1.8-2.6c.4-.7.7-1.4.9-2.2l3.1-.6zM16 20a4 4 0 1 1 0-8 4 4 0 0 1 0 8z"/></svg>
+            `,
+            texto: 'Configurações'
+
+        },
+
+        importar: {
+
+            tipo: 'importar',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M19 4H9a2 2 0 0 0-2 2v20a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V10l-6-6zm4 22H9V6h9v5h5v15zm-8-11v5.17l-2.59-2.58L11 19l5 5 5-5-1.41-1.41L17 20.17V15h-2z"/></svg>
+            `,
+            texto: 'Importar arquivo JSON'
+
+        },
+
+        historico: {
+
+            tipo: 'historico',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M17 4C10.37 4 5 9.37 5 16H1l5.2 5.2L11.4 16H7c0-5.52 4.48-10 10-10s10 4.48 10 10-4.48 10-10 10c-2.76 0-5.26-1.12-7.07-2.93l-1.42 1.42A11.95 11.95 0 0 0 17 28c6.63 0 12-5.37 12-12S23.63 4 17 4zm-1 6v7l6 3.6.96-1.6L18 16.1V10h-2z"/></svg>
+            `,
+            texto: 'Histórico de revisões'
+
+        },
+
+        lixeira: {
+
+            tipo: 'lixeira',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M20 4v2h6v2H6V6h6V4h8zM8 10h16l-1.5 18h-13L8 10zm4.5 3l.5 12h2l-.5-12h-2zm5 0l-.5 12h2l.5-12h-2z"/></svg>
+            `,
+            texto: 'Lixeira'
+
+        },
+
+        rascunhos: {
+
+            tipo: 'rascunhos',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M6 4h13l7 7v6h-2v-5h-6V6H8v20h8v2H6V4zm14 2.41V10h3.59L20 6.41zM25.3 18.3l2.4 2.4-7.3 7.3H18v-2.4l7.3-7.3zM10 14h10v2H10v-2zm0 4h6v2h-6v-2z"/></svg>
+            `,
+            texto: 'Rascunhos'
+
+        },
+
+        planilha: {
+
+            tipo: 'planilha',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M5 5h22v22H5V5zm2 2v4h6V7H7zm8 0v4h10V7H15zM7 13v4h6v-4H7zm8 0v4h10v-4H15zM7 19v6h6v-6H7zm8 0v6h10v-6H15z"/></svg>
+            `,
+            texto: 'Planilha (CSV)'
+
+        },
+
+        exportar: {
+
+            tipo: 'exportar',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M19 4H9a2 2 0 0 0-2 2v20a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V10l-6-6zm4 22H9V6h9v5h5v15zm-8-6.17V25h2v-5.17l2.59 2.58L21 21l-5-5-5 5 1.41 1.41L15 19.83z"/></svg>
+            `,
+            texto: 'Exportar projetos'
+
+        },
+
+        markdown: {
+
+            tipo: 'markdown',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M3 7h26a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V9a2 2 0 0 1 2-2zm0 2v14h26V9H3zm2 11V12h2.5l2.5 3.5 2.5-3.5H15v8h-2.5v-4.5L10 19l-2.5-3.5V20H5zm17 0l-3.5-4H21v-4h2.5v4H26l-4 4z"/></svg>
+            `,
+            texto: 'Exportar Markdown'
+
+        },
+
+        importarPasta: {
+
+            tipo: 'importarPasta',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M13.17 6l2 2H27v16H5V6h8.17M14 4H5a2 2 0 0 0-2 2v18a2 2 0 0 0 2 2h22a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2H16l-2-2zm3 8h-2v4.17l-1.59-1.58L12 16l4 4 4-4-1.41-1.41L17 16.17V12z"/></svg>
+            `,
+            texto: 'Importar pasta'
+
+        },
+
+        compartilharGist: {
+
+            tipo: 'compartilharGist',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M23 20a4 4 0 0 0-3.1 1.5l-7-3.5a4 4 0 0 0 0-2l7-3.5A4 4 0 1 0 19 10a4 4 0 0 0 .1 1l-7 3.5a4 4 0 1 0 0 5l7 3.5a4 4 0 0 0-.1 1 4 4 0 1 0 4-4zm0-12a2 2 0 1 1 0 4 2 2 0 0 1 0-4zM9 19a2 2 0 1 1 0-4 2 2 0 0 1 0 4zm14 7a2 2 0 1 1 0-4 2 2 0 0 1 0 4z"/></svg>
+            `,
+            texto: 'Compartilhar como Gist'
+
+        },
+
+        importarGist: {
+
+            tipo: 'importarGist',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M11.4 10.6 6 16l5.4 5.4 1.4-1.4-4-4 4-4-1.4-1.4zm9.2 0-1.4 1.4 4 4-4 4 1.4 1.4L26 16l-5.4-5.4zM4 4h24v24H4V4zm2 2v20h20V6H6z"/></svg>
+            `,
+            texto: 'Importar Gist'
+
+        },
+
+        curtidos: {
+
+            tipo: 'curtidos',
+            svg: `
+            <svg fill="#000000" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg"><path d="M16 28l-1.5-1.35C7.4 20.3 3 16.3 3 11.4 3 7.4 6.1 4.3 10.1 4.3c2.2 0 4.4 1 5.9 2.7 1.5-1.7 3.7-2.7 5.9-2.7 4 0 7.1 3.1 7.1 7.1 0 4.9-4.4 8.9-11.5 15.3L16 28z"/></svg>
+            `,
+            texto: 'Mais curtidos'
+
         }
     }
 
@@ -65,140 +205,490 @@ function criaBotaoheader(tipoBotao) {
     return buttonCriado
 }
 
+// As confirmações de saída do editor valem para qualquer troca de página (ver navega em roteador.js)
 function retornar(button) {
 
+    button.addEventListener('click', () => navega('/'))
+
+}
 
+function excluir(button) {
+    
     button.addEventListener('click', () => {
 
-        const contexto = pageContext()
+        navega('/excluir')
 
-        switch (contexto) {
+    })
 
-            case 'Criando':
-            
-                const elements = document.querySelectorAll('.param-objeto');
-                const vazios = []
+}
 
-                elements.forEach((element) => {
-                    
-                    if (element.value === '' || element.value === null || (element.value === undefined && element.getAttribute('data-value') === null)) {
-                        
-                        vazios.push(element)
+function editar(button) {
+    
+    button.addEventListener('click', () => {
 
-                    }
-                })
+        navega('/editar')
 
-                if (vazios.length !== (elements.length - 1)) {
+    })
 
-                    console.log('vazios')
+}
 
-                    // Condição para mostrar apenas uma notificação do tipo alerta ao mesmo tempo e evitar erros
-                    if (document.querySelector('.notificacao-alerta')) {
-                        
-                        console.log('Notificação já está sendo mostrada!')
-                        return 
-        
-                    }
-        
-                    const listaNotificacoes = document.getElementById('notificacoes')
-        
-                    console.log('Existem campos preenchidos')
-                    const notificacaoAlerta = criaNotificacao('alerta', 'Se você sair agora seu conteúdo não será salvo, confirme:', true)
-                    listaNotificacoes.appendChild(notificacaoAlerta)
-        
-                    const listaNotificacaoAlerta = notificacaoAlerta.querySelector('.wrapper-botoes')
-        
-                    const botaoSair = createNewElement('button', 'botao-sair', 'Sair da Página')
-                    botaoSair.addEventListener('click', () => {
-        
-                        // Funcionalidade que volta para a página projetos
-                        limpaPagina()
-                        mostraPaginaProjetos()
-        
-                        // Bloco que transiciona a notificação e remove ela
-                        apagaNotificacao(notificacaoAlerta)
-        
-                    })
-        
-                    listaNotificacaoAlerta.prepend(botaoSair)
-        
-                } else {
+function publicar(button) {
+
+    button.addEventListener('click', () => {
+
+        // Condição para mostrar apenas uma notificação do tipo alerta ao mesmo tempo e evitar erros
+        if (document.querySelector('.notificacao-alerta')) {
+            return
+        }
+
+        const fonte = repositorioRemoto()
+        const listaNotificacoes = document.getElementById('notificacoes')
+        const tokenSalvo = tokenGithubSalvo()
+
+        // Com um token salvo nas configurações basta confirmar, sem ele o token é pedido só para esta publicação
+        const textoAlerta = tokenSalvo !== null
+            ? `Publicar os projetos em ${nomeFonteRemota(fonte)} com o token de ${tokenSalvo.login}?`
+            : `Publicar os projetos em ${nomeFonteRemota(fonte)}? Informe um token do GitHub com permissão de escrita (ou salve um token em Configurações):`
+
+        // A notificação fica visível até ser dispensada, o usuário precisa de tempo para colar o token
+        const notificacaoAlerta = criaNotificacao('alerta', textoAlerta, true, null, null)
+        listaNotificacoes.appendChild(notificacaoAlerta)
+
+        const inputToken = createNewElement('input', 'input-notificacao')
+        inputToken.setAttribute('type', 'password')
+        inputToken.setAttribute('placeholder', 'Token do GitHub')
+
+        if (tokenSalvo === null) {
+            notificacaoAlerta.querySelector('.lista-notificacao-extra').appendChild(inputToken)
+        }
+
+        const botaoPublicar = createNewElement('button', 'botao-sair', 'Publicar')
+        botaoPublicar.addEventListener('click', async () => {
+
+            const token = tokenSalvo !== null ? tokenSalvo.token : inputToken.value.trim()
+
+            if (token === '') {
+                criaNotificacao('erro', 'Informe o token para publicar os projetos')
+                return
+            }
+
+            botaoPublicar.disabled = true
+
+            try {
+
+                const resultado = await publicaProjetos(token)
 
-                    limpaPagina()
-                    mostraPaginaProjetos()
+                apagaNotificacao(notificacaoAlerta)
+
+                // Projetos alterados aqui e no GitHub desde a última sincronização: publicar agora desfaria uma das versões
+                if (resultado.conflitos.length > 0) {
+
+                    criaPaginaConflitos(resultado.conflitos)
+                    criaNotificacao('alerta', `${resultado.conflitos.length} projeto(s) foram alterados aqui e no GitHub, resolva os conflitos e publique de novo`)
+                    return
 
                 }
 
-            break;
-            //////////////////////////////////////////////////
-            
-            
-            case 'Editando':
+                if (resultado.novos + resultado.mesclados > 0) {
 
-                const idSelecionado = document.querySelector('.editor').classList[0]
+                    criaNotificacao('sucesso', `Alterações do GitHub trazidas antes de publicar: ${resultado.novos} novo(s) e ${resultado.mesclados} atualizado(s)`)
+                    navega('/')
 
-                if (!condicaoSairPagina(idSelecionado)) {
-                    
-                    const listaNotificacoes = document.getElementById('notificacoes')
-        
-                    console.log('Existem campos alterados')
-                    const notificacaoAlerta = criaNotificacao('alerta', 'Se você sair agora seu conteúdo alterado não será salvo, confirme:', true)
-                    listaNotificacoes.appendChild(notificacaoAlerta)
-        
-                    const listaNotificacaoAlerta = notificacaoAlerta.querySelector('.wrapper-botoes')
-        
-                    const botaoSair = createNewElement('button', 'botao-sair', 'Sair da Página')
-                    botaoSair.addEventListener('click', () => {
-        
-                        // Funcionalidade que volta para a página projetos
-                        limpaPagina()
-                        mostraPaginaProjetos()
-        
-                        // Bloco que transiciona a notificação e remove ela
-                        apagaNotificacao(notificacaoAlerta)
-        
-                    })
-        
-                    listaNotificacaoAlerta.prepend(botaoSair)
+                }
+
+                if (resultado.alterado) {
+                    criaNotificacao('sucesso', `${resultado.projetos} projeto(s) publicados em ${fonte.owner}/${fonte.repo}!`)
+                } else {
+                    criaNotificacao('sucesso', 'O repositório já está atualizado, nada para publicar')
+                }
+
+            } catch (error) {
+
+                console.error(error)
+                botaoPublicar.disabled = false
+                criaNotificacao('erro', `Não foi possível publicar os projetos (${error.message})`)
+
+            }
+
+        })
+
+        notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoPublicar)
+
+        if (tokenSalvo === null) {
+            inputToken.focus()
+        }
+
+    })
+
+}
+
+// Cria um gist com o código do projeto aberto no post detalhado, com o token salvo nas configurações
+function compartilharGist(button) {
+
+    button.addEventListener('click', async () => {
+
+        if (document.querySelector('.notificacao-alerta')) {
+            return
+        }
+
+        const tokenSalvo = tokenGithubSalvo()
+
+        if (tokenSalvo === null) {
+            criaNotificacao('erro', 'Para compartilhar como Gist salve um token do GitHub com o escopo "gist" em Configurações')
+            return
+        }
+
+        const projeto = await repositorioProjetos.obter(document.querySelector('.editor').classList[0])
+
+        if (projeto === null) {
+            criaNotificacao('erro', 'Esse projeto não existe mais')
+            return
+        }
+
+        const notificacaoAlerta = criaNotificacao('alerta', `Compartilhar "${projeto.titulo}" como Gist de ${tokenSalvo.login}? Um gist secreto só é visto por quem tiver o link.`, true, null, null)
+        document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+        const visibilidades = [
+            { texto: 'Gist secreto', publico: false },
+            { texto: 'Gist público', publico: true }
+        ]
+
+        const botoesVisibilidade = visibilidades.map(({ texto, publico }) => {
+
+            const botaoVisibilidade = createNewElement('button', 'botao-sair', texto)
+            botaoVisibilidade.setAttribute('type', 'button')
+
+            botaoVisibilidade.addEventListener('click', async () => {
 
-                    // Cancela a operação de saida da página
-                    break;
+                botoesVisibilidade.forEach((botao) => botao.disabled = true)
+
+                try {
+
+                    const gist = await criaGistProjeto(projeto, publico)
+
+                    apagaNotificacao(notificacaoAlerta)
+                    avisaGistCriado(gist)
+
+                } catch (error) {
+
+                    console.error(error)
+                    botoesVisibilidade.forEach((botao) => botao.disabled = false)
+                    criaNotificacao('erro', `Não foi possível criar o gist (${error.message})`)
 
                 }
 
-                limpaPagina()
-                mostraPaginaProjetos()
+            })
 
-            break;
-            //////////////////////////////////////////////////
+            return botaoVisibilidade
 
-    
-            default:
+        })
+
+        notificacaoAlerta.querySelector('.wrapper-botoes').prepend(...botoesVisibilidade)
+
+    })
+
+}
 
-                limpaPagina()
-                mostraPaginaProjetos()
+function markdown(button) {
 
-            break;
+    button.addEventListener('click', async () => {
+
+        if (document.querySelector('.notificacao-alerta')) {
+            return
         }
+
+        const projeto = await repositorioProjetos.obter(document.querySelector('.editor').classList[0])
+
+        if (projeto === null) {
+            criaNotificacao('erro', 'Esse projeto não existe mais')
+            return
+        }
+
+        const notificacaoAlerta = criaNotificacao('alerta', `Exportar "${projeto.titulo}" em Markdown, com a descrição, linguagem, tag, data e o bloco de código:`, true, null, null)
+        document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+        const botaoCopiar = createNewElement('button', 'botao-sair', 'Copiar Markdown')
+        botaoCopiar.setAttribute('type', 'button')
+
+        botaoCopiar.addEventListener('click', async () => {
+
+            try {
+
+                await copiaMarkdown([projeto])
+                apagaNotificacao(notificacaoAlerta)
+                criaNotificacao('sucesso', `"${projeto.titulo}" copiado em Markdown para a área de transferência`)
+
+            } catch (error) {
+
+                console.error(error)
+                criaNotificacao('erro', `Não foi possível copiar o Markdown (${error.message})`)
+
+            }
+
+        })
+
+        const botaoBaixar = createNewElement('button', 'botao-sair', 'Baixar .md')
+        botaoBaixar.setAttribute('type', 'button')
+
+        botaoBaixar.addEventListener('click', () => {
+
+            baixaMarkdown([projeto])
+            apagaNotificacao(notificacaoAlerta)
+
+        })
+
+        notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoCopiar, botaoBaixar)
+
     })
 
 }
 
-function excluir(button) {
-    
+// Notificação com o link do gist criado, fica até ser dispensada para dar tempo de abrir ou copiar o link
+function avisaGistCriado(gist) {
+
+    const notificacaoSucesso = criaNotificacao('sucesso', `Gist criado: ${gist.url}`, true, null, null)
+
+    if (!notificacaoSucesso) {
+        return
+    }
+
+    document.getElementById('notificacoes').appendChild(notificacaoSucesso)
+
+    const botaoAbrir = createNewElement('button', 'botao-sair', 'Abrir gist')
+    botaoAbrir.setAttribute('type', 'button')
+    botaoAbrir.addEventListener('click', () => window.open(gist.url, '_blank', 'noopener'))
+
+    const botaoCopiar = createNewElement('button', 'botao-sair', 'Copiar link')
+    botaoCopiar.setAttribute('type', 'button')
+
+    botaoCopiar.addEventListener('click', async () => {
+
+        try {
+
+            await copiaTexto(gist.url)
+            botaoCopiar.textContent = 'Link copiado'
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', 'Não foi possível copiar o link para a área de transferência')
+
+        }
+
+    })
+
+    notificacaoSucesso.querySelector('.wrapper-botoes').prepend(botaoAbrir, botaoCopiar)
+
+}
+
+// Pede o link ou o id do gist e leva os arquivos dele para a revisão da importação
+function importarGist(button) {
+
     button.addEventListener('click', () => {
 
-        criaPaginaExcluir()
+        if (document.querySelector('.notificacao-alerta')) {
+            return
+        }
+
+        const notificacaoAlerta = criaNotificacao('alerta', 'Cole o link ou o id do Gist, cada arquivo dele vira um projeto:', true, null, null)
+        document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+        const inputGist = createNewElement('input', 'input-notificacao')
+        inputGist.setAttribute('type', 'text')
+        inputGist.setAttribute('placeholder', 'https://gist.github.com/usuario/id')
+        notificacaoAlerta.querySelector('.lista-notificacao-extra').appendChild(inputGist)
+
+        const botaoImportar = createNewElement('button', 'botao-sair', 'Importar')
+        botaoImportar.setAttribute('type', 'button')
+
+        botaoImportar.addEventListener('click', async () => {
+
+            const id = idGist(inputGist.value)
+
+            if (id === null) {
+                criaNotificacao('erro', 'Não foi possível encontrar o id do Gist nesse link')
+                return
+            }
+
+            botaoImportar.disabled = true
+
+            try {
+
+                const analise = await analisaImportacao(projetosDoGist(await leGist(id)))
+
+                apagaNotificacao(notificacaoAlerta)
+
+                if (analise.itens.length === 0) {
+                    criaNotificacao('erro', `Nenhum arquivo do Gist ${id} pôde ser importado`)
+                    return
+                }
+
+                criaPaginaImportacao(analise, `Gist ${id}`)
+
+            } catch (error) {
+
+                console.error(error)
+                botaoImportar.disabled = false
+                criaNotificacao('erro', `Não foi possível importar o Gist (${error.message})`)
+
+            }
+
+        })
+
+        notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoImportar)
+        inputGist.focus()
 
     })
 
 }
 
-function editar(button) {
-    
+function configuracoes(button) {
+
+    button.addEventListener('click', () => {
+
+        navega('/configuracoes')
+
+    })
+
+}
+
+function rascunhos(button) {
+
     button.addEventListener('click', () => {
 
-        criaPaginaEditar()
+        navega('/rascunhos')
+
+    })
+
+}
+
+function curtidos(button) {
+
+    button.addEventListener('click', () => navega('/curtidos'))
+
+}
+
+function exportar(button) {
+
+    button.addEventListener('click', () => {
+
+        navega('/exportar')
+
+    })
+
+}
+
+function importarPasta(button) {
+
+    button.addEventListener('click', () => {
+
+        selecionaPastaImportacao()
+
+    })
+
+}
+
+function planilha(button) {
+
+    button.addEventListener('click', () => {
+
+        navega('/planilha')
+
+    })
+
+}
+
+function lixeira(button) {
+
+    button.addEventListener('click', () => {
+
+        navega('/lixeira')
+
+    })
+
+}
+
+// Abre e fecha o painel de revisões do projeto que está sendo editado
+function historico(button) {
+
+    button.addEventListener('click', async () => {
+
+        const painelAberto = document.querySelector('.painel-historico')
+
+        if (painelAberto) {
+            painelAberto.remove()
+            return
+        }
+
+        const idSelecionado = document.querySelector('.editor').classList[0]
+        const painel = await criaPainelHistorico(idSelecionado, document.querySelector('.container'))
+
+        painel.scrollIntoView({ behavior: 'smooth' })
+
+    })
+
+}
+
+function importar(button) {
+
+    button.addEventListener('click', () => {
+
+        selecionaArquivoImportacao()
+
+    })
+
+}
+
+function sincronizar(button) {
+
+    button.addEventListener('click', async () => {
+
+        button.disabled = true
+
+        const resultado = await atualizaLocalStorageAPI()
+
+        button.disabled = false
+
+        // Uma fonte inacessível não impede a importação das outras
+        resultado.erros.forEach((erro) => criaNotificacao('erro', `Não foi possível acessar a fonte ${erro}`))
+        resultado.errosGravacao.forEach((erro) => criaNotificacao('erro', `Não foi possível gravar os projetos importados de ${erro}`))
+
+        if (resultado.erros.length + resultado.errosGravacao.length === fontesRemotas().length) {
+            return
+        }
+
+        const notificacaoInvalidos = resultado.invalidos.length > 0
+            ? criaNotificacao('alerta', `${resultado.invalidos.length} projeto(s) com campos inválidos não foram importados:`, true)
+            : null
+
+        // criaNotificacao não retorna o elemento quando uma notificação igual já está sendo mostrada
+        if (notificacaoInvalidos) {
+
+            document.getElementById('notificacoes').appendChild(notificacaoInvalidos)
+
+            const listaInvalidos = notificacaoInvalidos.querySelector('.lista-notificacao-extra')
+            notificacaoInvalidos.classList.add('tem-notificacoes-extra')
+
+            resultado.invalidos.forEach(({ projeto, campos }) => {
+
+                const titulo = projeto !== null && typeof projeto === 'object' && projeto.titulo ? projeto.titulo : 'Sem título'
+                criaNotificacao('extra', `${titulo}: ${campos.map((campo) => palavraCorreta(campo)).join(', ')}`, false, listaInvalidos)
+
+            })
+
+        }
+
+        // Conflitos são resolvidos campo a campo numa página própria, o restante já foi mesclado
+        if (resultado.conflitos.length > 0) {
+
+            criaPaginaConflitos(resultado.conflitos)
+            criaNotificacao('alerta', `${resultado.conflitos.length} projeto(s) foram alterados aqui e no GitHub, escolha qual versão manter`)
+            return
+
+        }
+
+        criaNotificacao('sucesso', `Importação concluída: ${resultado.novos} novo(s) e ${resultado.mesclados} atualizado(s)`)
+        navega('/')
 
     })
 
@@ -233,7 +723,7 @@ function criaHeaderPagina(tipoPagina, contextoPagina = null, botoesUsados = null
             `,
             nome: 'Projetos Salvos',
             contexto: contextoPagina !== null ? contextoPagina : 'Projetos localStorage',
-            botoes: botoesUsados !== null ? botoesUsados : 'editar excluir'
+            botoes: botoesUsados !== null ? botoesUsados : 'editar excluir curtidos rascunhos lixeira importar importarPasta planilha importarGist exportar sincronizar publicar configuracoes'
         }
         
     }
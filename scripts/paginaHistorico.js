@@ -0,0 +1,277 @@
+
+
+const textosTipoRevisao = {
+    salvo: 'Criado',
+    atualizado: 'Atualizado',
+    original: 'Versão anterior ao histórico'
+}
+
+function textoLimiteRevisoes() {
+
+    const limite = limiteRevisoesProjeto()
+
+    return limite > 0
+        ? `Ficam guardadas as ${limite} revisões mais recentes de cada projeto (altere em Configurações).`
+        : 'Todas as revisões ficam guardadas (altere em Configurações).'
+
+}
+
+// Painel do histórico mostrado abaixo do editor na página de edição, aberto pelo botão 'historico' do header
+async function criaPainelHistorico(projetoId, parent) {
+
+    const revisoes = await listaRevisoes(projetoId)
+
+    // Revisões escolhidas para o diff: A (antes) e B (depois). Começa comparando a versão atual com a anterior
+    const selecao = {
+        a: revisoes.length > 1 ? revisoes[1].id : null,
+        b: revisoes.length > 0 ? revisoes[0].id : null
+    }
+
+    //<1_sectionHistorico  <section class="painel-historico">
+    const sectionHistorico = createNewElement('section', 'painel-historico')
+
+        //*2_h3TituloHistorico  <h3>Histórico de revisões</h3>
+        const h3TituloHistorico = createNewElement('h3', 'historico-titulo', `Histórico de revisões (${revisoes.length})`)
+
+        //*2_pAjudaHistorico  <p>Escolha duas revisões...</p>
+        const textoAjuda = revisoes.length > 0
+            ? `Escolha as revisões A e B para comparar, ou restaure qualquer versão anterior. ${textoLimiteRevisoes()}`
+            : 'Este projeto ainda não tem revisões, elas são criadas a cada atualização salva.'
+        const pAjudaHistorico = createNewElement('p', 'historico-ajuda', textoAjuda)
+
+        //*2_ulRevisoes  <ul class="lista-revisoes">
+        const ulRevisoes = createNewElement('ul', 'lista-revisoes')
+        ulRevisoes.style.listStyle = 'none'
+
+        //*2_divDiff  <div class="diff-revisoes">
+        const divDiff = createNewElement('div', 'diff-revisoes')
+
+    //1_sectionHistorico>
+    sectionHistorico.appendChild(h3TituloHistorico)
+    sectionHistorico.appendChild(pAjudaHistorico)
+    sectionHistorico.appendChild(ulRevisoes)
+    sectionHistorico.appendChild(divDiff)
+
+    const atualizaDiff = () => {
+
+        ulRevisoes.querySelectorAll('.selecao-revisao').forEach((botao) => {
+            botao.classList.toggle('selecionado', selecao[botao.getAttribute('data-lado')] === botao.getAttribute('data-revisao'))
+        })
+
+        const revisaoA = revisoes.find((revisao) => revisao.id === selecao.a)
+        const revisaoB = revisoes.find((revisao) => revisao.id === selecao.b)
+
+        divDiff.innerHTML = ''
+
+        if (revisaoA !== undefined && revisaoB !== undefined) {
+            criaDiffRevisoes(revisaoA, revisaoB, divDiff)
+        }
+
+    }
+
+    revisoes.forEach((revisao, indice) => {
+
+        // A próxima da lista é a revisão anterior a essa
+        const anterior = revisoes[indice + 1]
+        criaItemRevisao(revisao, anterior, indice === 0, selecao, atualizaDiff, ulRevisoes)
+
+    })
+
+    atualizaDiff()
+
+    parent.appendChild(sectionHistorico)
+
+    return sectionHistorico
+
+}
+
+function criaItemRevisao(revisao, anterior, atual, selecao, atualizaDiff, parent) {
+
+    //<1_liRevisao  <li class="item-revisao">
+    const liRevisao = createNewElement('li', 'item-revisao')
+
+        //<2_divInfoRevisao  <div class="info-revisao">
+        const divInfoRevisao = createNewElement('div', 'info-revisao')
+
+            //*3_pDataRevisao  <p>24/11/2023, 10:31:25 · Atualizado</p>
+            const textoAtual = atual ? ' · Atual' : ''
+            const pDataRevisao = createNewElement('p', 'revisao-data', `${new Date(revisao.timestamp).toLocaleString('pt-BR')} · ${textosTipoRevisao[revisao.tipo]}${textoAtual}`)
+
+            //*3_pAlteracoesRevisao  <p>Alterou: Código, Título</p>
+            const alterados = anterior !== undefined ? camposAlteradosRevisao(anterior.projeto, revisao.projeto) : []
+            const textoAlteracoes = alterados.length > 0 ? `Alterou: ${alterados.map((campo) => palavraCorreta(campo)).join(', ')}` : revisao.projeto.titulo
+            const pAlteracoesRevisao = createNewElement('p', 'revisao-alteracoes', textoAlteracoes)
+
+        //2_divInfoRevisao>
+        divInfoRevisao.appendChild(pDataRevisao)
+        divInfoRevisao.appendChild(pAlteracoesRevisao)
+
+        //<2_divAcoesRevisao  <div class="acoes-revisao">
+        const divAcoesRevisao = createNewElement('div', 'acoes-revisao')
+
+            //*3_buttonSelecao  <button type="button" class="selecao-revisao" data-lado="a">A</button>
+            const lados = ['a', 'b']
+
+            lados.forEach((lado) => {
+
+                const buttonSelecao = createNewElement('button', 'selecao-revisao', lado.toUpperCase())
+                buttonSelecao.setAttribute('type', 'button')
+                buttonSelecao.setAttribute('data-lado', lado)
+                buttonSelecao.setAttribute('data-revisao', revisao.id)
+                buttonSelecao.setAttribute('title', lado === 'a' ? 'Comparar a partir desta revisão' : 'Comparar até esta revisão')
+
+                buttonSelecao.addEventListener('click', () => {
+
+                    selecao[lado] = revisao.id
+                    atualizaDiff()
+
+                })
+
+                divAcoesRevisao.appendChild(buttonSelecao)
+
+            })
+
+            //*3_buttonRestaurar  <button type="button" class="restaurar-revisao">Restaurar</button>
+            const buttonRestaurar = createNewElement('button', 'restaurar-revisao', 'Restaurar')
+            buttonRestaurar.setAttribute('type', 'button')
+
+            // A versão atual já é a que está salva
+            if (atual) {
+                buttonRestaurar.disabled = true
+            }
+
+            buttonRestaurar.addEventListener('click', () => confirmaRestauracao(revisao))
+
+        divAcoesRevisao.appendChild(buttonRestaurar)
+
+    //1_liRevisao>
+    liRevisao.appendChild(divInfoRevisao)
+    liRevisao.appendChild(divAcoesRevisao)
+
+    parent.appendChild(liRevisao)
+
+}
+
+// Alterações ainda não salvas no editor seriam perdidas ao restaurar, nesse caso o usuário precisa confirmar
+async function confirmaRestauracao(revisao) {
+
+    if (await condicaoSairPagina(revisao.projetoId)) {
+        await aplicaRestauracao(revisao)
+        return
+    }
+
+    // Condição para mostrar apenas uma notificação do tipo alerta ao mesmo tempo e evitar erros
+    if (document.querySelector('.notificacao-alerta')) {
+        return
+    }
+
+    const listaNotificacoes = document.getElementById('notificacoes')
+
+    const notificacaoAlerta = criaNotificacao('alerta', 'O editor tem alterações não salvas que serão perdidas ao restaurar a revisão, confirme:', true)
+    listaNotificacoes.appendChild(notificacaoAlerta)
+
+    const botaoRestaurar = createNewElement('button', 'botao-sair', 'Restaurar revisão')
+    botaoRestaurar.addEventListener('click', async () => {
+
+        apagaNotificacao(notificacaoAlerta)
+        await aplicaRestauracao(revisao)
+
+    })
+
+    notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoRestaurar)
+
+}
+
+async function aplicaRestauracao(revisao) {
+
+    let projetoRestaurado
+
+    try {
+
+        projetoRestaurado = await restauraRevisao(revisao)
+
+    } catch (error) {
+
+        console.error(error)
+        criaNotificacao('erro', `Não foi possível restaurar a revisão (${error.message})`)
+        return
+
+    }
+
+    criaNotificacao('sucesso', `Revisão de ${new Date(revisao.timestamp).toLocaleString('pt-BR')} restaurada!`)
+
+    // O editor é recriado com a versão restaurada, mantendo o histórico aberto
+    limpaPagina()
+    criaEditorProjeto(projetoRestaurado)
+    await criaPainelHistorico(projetoRestaurado.id, document.querySelector('.container'))
+
+}
+
+// Diff lado a lado dos campos alterados entre as revisões A e B
+function criaDiffRevisoes(revisaoA, revisaoB, parent) {
+
+    const alterados = camposAlteradosRevisao(revisaoA.projeto, revisaoB.projeto)
+
+    if (alterados.length === 0) {
+        parent.appendChild(createNewElement('p', 'historico-ajuda', 'As revisões A e B são iguais nos campos comparados.'))
+        return
+    }
+
+    alterados.forEach((campo) => {
+
+        //<1_divCampoDiff  <div class="campo-diff">
+        const divCampoDiff = createNewElement('div', 'campo-diff')
+
+            //*2_h4NomeCampo  <h4>Código</h4>
+            divCampoDiff.appendChild(createNewElement('h4', null, palavraCorreta(campo)))
+
+            //*2_tableDiff  <table class="tabela-diff">
+            const tableDiff = createNewElement('table', 'tabela-diff')
+
+            const linhas = campo === 'codigo' || campo === 'descricao'
+                ? diffLinhas(revisaoA.projeto[campo], revisaoB.projeto[campo])
+                : [{ tipo: 'alterado', esquerda: `${revisaoA.projeto[campo]}`, direita: `${revisaoB.projeto[campo]}` }]
+
+            linhas.forEach((linha) => {
+
+                //<3_trLinha  <tr class="linha-alterado">
+                const trLinha = createNewElement('tr', `linha-${linha.tipo}`)
+
+                const textos = [linha.esquerda, linha.direita]
+
+                textos.forEach((texto, lado) => {
+
+                    //*4_tdLado  <td class="lado-a"><pre>texto</pre></td>
+                    const tdLado = createNewElement('td', lado === 0 ? 'lado-a' : 'lado-b')
+
+                    if (texto !== null) {
+
+                        // Cores são mostradas com uma amostra ao lado do valor
+                        if (campo === 'cor' || campo === 'corTexto') {
+
+                            const spanAmostra = createNewElement('span', 'amostra-cor')
+                            spanAmostra.style.backgroundColor = texto
+                            tdLado.appendChild(spanAmostra)
+
+                        }
+
+                        tdLado.appendChild(createNewElement('pre', null, texto))
+
+                    }
+
+                    trLinha.appendChild(tdLado)
+
+                })
+
+                tableDiff.appendChild(trLinha)
+
+            })
+
+        //1_divCampoDiff>
+        divCampoDiff.appendChild(tableDiff)
+
+        parent.appendChild(divCampoDiff)
+
+    })
+
+}
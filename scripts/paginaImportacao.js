@@ -0,0 +1,367 @@
+
+
+const textosAcaoImportacao = {
+    importar: 'Importar',
+    pular: 'Pular',
+    sobrescrever: 'Sobrescrever',
+    manterAmbos: 'Manter ambos'
+}
+
+// Com editavel (importação de arquivos de código) a tag e a cor de cada projeto podem ser trocadas antes de aplicar.
+// analise.ignorados, quando existe, lista os arquivos que não viraram projeto ({ caminho, motivo })
+function criaPaginaImportacao(analise, nomeArquivo, editavel = false) {
+
+    gravaRotaPaginaMemoria('/importacao')
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Importar Arquivo', 'retornar', container)
+
+    const { itens, invalidos } = analise
+    const ignorados = analise.ignorados || []
+    const duplicados = itens.filter((item) => item.duplicado !== null)
+
+    //<1_divWrapperImportacao  <div class="wrapper-importacao">
+    const divWrapperImportacao = createNewElement('div', 'wrapper-importacao')
+
+        //*2_pResumo  <p>3 projeto(s) em data.json...</p>
+        const textoInvalidos = invalidos.length > 0 ? `, ${invalidos.length} ignorado(s) por terem campos inválidos` : ''
+        const textoIgnorados = ignorados.length > 0 ? `, ${ignorados.length} arquivo(s) ignorado(s)` : ''
+        const pResumo = createNewElement('p', 'importacao-resumo', `${itens.length} projeto(s) em ${nomeArquivo}, ${duplicados.length} duplicado(s)${textoInvalidos}${textoIgnorados}. Nada é gravado até você aplicar a importação.`)
+
+        //*2_ulItens  <ul class="lista-importacao">
+        const ulItens = createNewElement('ul', 'lista-importacao')
+        ulItens.style.listStyle = 'none'
+
+    divWrapperImportacao.appendChild(pResumo)
+
+    if (ignorados.length > 0) {
+
+        //<2_detailsIgnorados  <details class="importacao-ignorados">
+        const detailsIgnorados = createNewElement('details', 'importacao-ignorados')
+
+            //*3_summaryIgnorados  <summary>Arquivos ignorados</summary>
+            detailsIgnorados.appendChild(createNewElement('summary', null, 'Arquivos ignorados'))
+
+            //<3_ulIgnorados  <ul>
+            const ulIgnorados = createNewElement('ul')
+
+                //*4_liIgnorado  <li>pasta/imagem.png: extensão de nenhuma linguagem do editor</li>
+                ignorados.forEach(({ caminho, motivo }) => ulIgnorados.appendChild(createNewElement('li', null, `${caminho}: ${motivo}`)))
+
+            //3_ulIgnorados>
+            detailsIgnorados.appendChild(ulIgnorados)
+
+        divWrapperImportacao.appendChild(detailsIgnorados)
+
+    }
+
+    if (editavel && itens.length > 1) {
+
+        //<2_divEdicaoTodos  <div class="edicao-importacao">
+        const divEdicaoTodos = createNewElement('div', 'edicao-importacao')
+
+            //*3_pEdicaoTodos  <p>Todos os projetos:</p>
+            divEdicaoTodos.appendChild(createNewElement('p', null, 'Todos os projetos:'))
+
+            //*3_inputTagTodos  <input class="tag-importacao" placeholder="Tag">
+            const inputTagTodos = createNewElement('input', 'tag-importacao')
+            inputTagTodos.setAttribute('type', 'text')
+            inputTagTodos.setAttribute('placeholder', 'Tag')
+            inputTagTodos.setAttribute('aria-label', 'Tag de todos os projetos')
+
+            //*3_inputCorTodos  <input type="color" class="cor-importacao">
+            const inputCorTodos = createNewElement('input', 'cor-importacao')
+            inputCorTodos.setAttribute('type', 'color')
+            inputCorTodos.setAttribute('aria-label', 'Cor de todos os projetos')
+            inputCorTodos.value = corPadraoProjeto
+
+            //*3_buttonAplicarTodos  <button type="button">Aplicar a todos</button>
+            const buttonAplicarTodos = createNewElement('button', 'botao-configuracao', 'Aplicar a todos')
+            buttonAplicarTodos.setAttribute('type', 'button')
+
+            // Os campos de cada item recebem o valor e o evento, como se fossem editados um a um
+            buttonAplicarTodos.addEventListener('click', () => {
+
+                ulItens.querySelectorAll('.item-importacao').forEach((liItem) => {
+
+                    if (inputTagTodos.value.trim() !== '') {
+                        liItem.querySelector('.tag-importacao').value = inputTagTodos.value
+                        liItem.querySelector('.tag-importacao').dispatchEvent(new Event('change'))
+                    }
+
+                    liItem.querySelector('.cor-importacao').value = inputCorTodos.value
+                    liItem.querySelector('.cor-importacao').dispatchEvent(new Event('input'))
+
+                })
+
+            })
+
+        //2_divEdicaoTodos>
+        divEdicaoTodos.appendChild(inputTagTodos)
+        divEdicaoTodos.appendChild(inputCorTodos)
+        divEdicaoTodos.appendChild(buttonAplicarTodos)
+
+        divWrapperImportacao.appendChild(divEdicaoTodos)
+
+    }
+
+    // Atalho para escolher a mesma ação para todos os duplicados de uma vez
+    if (duplicados.length > 1) {
+
+        //<2_divAcoesDuplicados  <div class="acoes-duplicados">
+        const divAcoesDuplicados = createNewElement('div', 'acoes-duplicados')
+
+            //*3_pAcoesDuplicados  <p>Todos os duplicados:</p>
+            divAcoesDuplicados.appendChild(createNewElement('p', null, 'Todos os duplicados:'))
+
+            //*3_buttonAcao  <button type="button">Pular</button>
+            Object.keys(textosAcaoImportacao).filter((acao) => acao !== 'importar').forEach((acao) => {
+
+                const buttonAcao = createNewElement('button', 'botao-configuracao', textosAcaoImportacao[acao])
+                buttonAcao.setAttribute('type', 'button')
+
+                buttonAcao.addEventListener('click', () => {
+
+                    ulItens.querySelectorAll('.item-importacao.duplicado').forEach((liItem) => {
+
+                        const botao = liItem.querySelector(`.opcao-importacao[data-acao="${acao}"]`)
+
+                        if (botao !== null) {
+                            botao.click()
+                        }
+
+                    })
+
+                })
+
+                divAcoesDuplicados.appendChild(buttonAcao)
+
+            })
+
+        divWrapperImportacao.appendChild(divAcoesDuplicados)
+
+    }
+
+    itens.forEach((item) => criaItemImportacao(item, ulItens, editavel))
+
+        //*2_buttonAplicar  <button type="button" class="botao-resolver">Aplicar importação</button>
+        const buttonAplicar = createNewElement('button', 'botao-resolver', 'Aplicar importação')
+        buttonAplicar.setAttribute('type', 'button')
+
+        buttonAplicar.addEventListener('click', async () => {
+
+            buttonAplicar.disabled = true
+
+            let resultado
+
+            try {
+
+                resultado = await aplicaImportacao(itens)
+
+            } catch (error) {
+
+                console.error(error)
+
+                // Os itens já gravados não podem mais ser alterados, a próxima tentativa continua dos que faltaram
+                itens.forEach((item, indice) => {
+
+                    if (item.aplicado) {
+                        ulItens.children[indice].querySelectorAll('button, input').forEach((campo) => campo.disabled = true)
+                    }
+
+                })
+
+                buttonAplicar.disabled = false
+                criaNotificacao('erro', `Não foi possível concluir a importação (${error.message})`)
+                return
+
+            }
+
+            criaNotificacao('sucesso', `Importação concluída: ${resultado.importados + resultado.mantidos} novo(s), ${resultado.sobrescritos} sobrescrito(s) e ${resultado.pulados} pulado(s)`)
+            navega('/')
+
+        })
+
+    //1_divWrapperImportacao>
+    divWrapperImportacao.appendChild(ulItens)
+    divWrapperImportacao.appendChild(buttonAplicar)
+
+    container.appendChild(divWrapperImportacao)
+
+}
+
+function detalhesItemImportacao(projeto) {
+
+    return `${nomeLinguagem(projeto.linguagem)} · ${projeto.tag} · ${projeto.data}`
+
+}
+
+function criaItemImportacao(item, parent, editavel = false) {
+
+    const { projeto, duplicado } = item
+
+    //<1_liItem  <li class="item-importacao">
+    const liItem = createNewElement('li', `${projeto.id} item-importacao`)
+
+    if (duplicado !== null) {
+        liItem.classList.add('duplicado')
+    }
+
+        //<2_divInfoItem  <div class="info-importacao">
+        const divInfoItem = createNewElement('div', 'info-importacao')
+
+            //*3_h3TituloItem  <h3>Título</h3>
+            const h3TituloItem = createNewElement('h3', 'importacao-titulo', projeto.titulo)
+
+            //*3_pDetalhesItem  <p>JavaScript · tag · 24 Nov 2023</p>
+            const pDetalhesItem = createNewElement('p', 'importacao-detalhes', detalhesItemImportacao(projeto))
+
+        //2_divInfoItem>
+        divInfoItem.appendChild(h3TituloItem)
+        divInfoItem.appendChild(pDetalhesItem)
+
+        if (duplicado !== null) {
+
+            const textosMotivo = {
+                id: duplicado.origem === 'salvo'
+                    ? `Mesmo id do projeto salvo "${duplicado.projeto.titulo}"`
+                    : `Mesmo id do projeto "${duplicado.projeto.titulo}" deste arquivo`,
+                conteudo: duplicado.origem === 'salvo'
+                    ? `Mesmo título e código do projeto salvo "${duplicado.projeto.titulo}" (${duplicado.projeto.data})`
+                    : 'Mesmo título e código de outro projeto deste arquivo'
+            }
+
+            //*3_pDuplicado  <p class="importacao-duplicado">Mesmo id do projeto salvo "..."</p>
+            divInfoItem.appendChild(createNewElement('p', 'importacao-duplicado', textosMotivo[duplicado.motivo]))
+
+        }
+
+        //<2_divOpcoes  <div class="opcoes-importacao">
+        const divOpcoes = createNewElement('div', 'opcoes-importacao')
+
+            acoesImportacao(item).forEach((acao) => {
+
+                //*3_buttonOpcao  <button type="button" class="opcao-importacao" data-acao="pular">Pular</button>
+                const buttonOpcao = createNewElement('button', 'opcao-importacao', textosAcaoImportacao[acao])
+                buttonOpcao.setAttribute('type', 'button')
+                buttonOpcao.setAttribute('data-acao', acao)
+
+                if (item.acao === acao) {
+                    buttonOpcao.classList.add('selecionado')
+                }
+
+                buttonOpcao.addEventListener('click', () => {
+
+                    item.acao = acao
+
+                    divOpcoes.querySelectorAll('.opcao-importacao').forEach((botao) => botao.classList.remove('selecionado'))
+                    buttonOpcao.classList.add('selecionado')
+
+                })
+
+                divOpcoes.appendChild(buttonOpcao)
+
+            })
+
+    //1_liItem>
+    liItem.appendChild(divInfoItem)
+
+    if (editavel) {
+        liItem.appendChild(criaCamposImportacao(projeto, pDetalhesItem))
+    }
+
+    liItem.appendChild(divOpcoes)
+
+    parent.appendChild(liItem)
+
+}
+
+// Tag e cor do projeto editáveis na revisão, o texto de detalhes do item acompanha a tag
+function criaCamposImportacao(projeto, pDetalhesItem) {
+
+    //<1_divCampos  <div class="campos-importacao">
+    const divCampos = createNewElement('div', 'campos-importacao')
+
+        //*2_inputTag  <input class="tag-importacao" value="tag">
+        const inputTag = createNewElement('input', 'tag-importacao')
+        inputTag.setAttribute('type', 'text')
+        inputTag.setAttribute('aria-label', `Tag de ${projeto.titulo}`)
+        inputTag.value = projeto.tag
+
+        inputTag.addEventListener('change', () => {
+
+            // A tag é obrigatória no esquema do projeto, vazia volta para a anterior
+            if (inputTag.value.trim() === '') {
+                inputTag.value = projeto.tag
+                criaNotificacao('erro', 'A tag não pode ficar vazia')
+                return
+            }
+
+            projeto.tag = inputTag.value.trim()
+            pDetalhesItem.textContent = detalhesItemImportacao(projeto)
+
+        })
+
+        //*2_inputCor  <input type="color" class="cor-importacao">
+        const inputCor = createNewElement('input', 'cor-importacao')
+        inputCor.setAttribute('type', 'color')
+        inputCor.setAttribute('aria-label', `Cor de ${projeto.titulo}`)
+        inputCor.value = projeto.cor.length === 7 ? projeto.cor : corPadraoProjeto
+
+        // A cor do texto acompanha a cor nova, como no editor
+        inputCor.addEventListener('input', () => {
+
+            projeto.cor = inputCor.value
+            projeto.corTexto = getContrastYIQ(inputCor.value.slice(1))
+
+        })
+
+    //1_divCampos>
+    divCampos.appendChild(inputTag)
+    divCampos.appendChild(inputCor)
+
+    return divCampos
+
+}
+
+// Abre o seletor de arquivos do sistema e leva o arquivo escolhido para a página de importação
+function selecionaArquivoImportacao() {
+
+    const inputArquivo = createNewElement('input')
+    inputArquivo.setAttribute('type', 'file')
+    inputArquivo.setAttribute('accept', '.json,application/json')
+
+    inputArquivo.addEventListener('change', async () => {
+
+        const arquivo = inputArquivo.files[0]
+
+        if (arquivo === undefined) {
+            return
+        }
+
+        try {
+
+            const projetosImportados = leArquivoImportacao(await arquivo.text())
+            const analise = await analisaImportacao(projetosImportados)
+
+            if (analise.itens.length === 0) {
+                criaNotificacao('erro', `Nenhum projeto válido encontrado em ${arquivo.name}`)
+                return
+            }
+
+            criaPaginaImportacao(analise, arquivo.name)
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível importar ${arquivo.name} (${error.message})`)
+
+        }
+
+    })
+
+    inputArquivo.click()
+
+}
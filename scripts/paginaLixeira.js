@@ -0,0 +1,179 @@
+
+
+async function criaPaginaLixeira() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Lixeira', 'retornar excluir', container)
+
+    const registros = await listaLixeira()
+    const dias = diasRetencaoLixeira()
+
+    //<1_divWrapperLixeira  <div class="wrapper-lixeira">
+    const divWrapperLixeira = createNewElement('div', 'wrapper-lixeira')
+
+        //*2_pRetencao  <p>Projetos na lixeira são apagados após 30 dias</p>
+        const textoRetencao = dias > 0
+            ? `Projetos na lixeira são apagados definitivamente após ${dias} dias (altere em Configurações).`
+            : 'Projetos ficam na lixeira até serem apagados manualmente (altere em Configurações).'
+        const pRetencao = createNewElement('p', 'lixeira-retencao', textoRetencao)
+
+        //*2_ulLixeira  <ul class="lista-lixeira">
+        const ulLixeira = createNewElement('ul', 'lista-lixeira')
+        ulLixeira.style.listStyle = 'none'
+
+    divWrapperLixeira.appendChild(pRetencao)
+
+    if (registros.length === 0) {
+
+        divWrapperLixeira.appendChild(createNewElement('p', 'lixeira-vazia', 'A lixeira está vazia.'))
+
+    } else {
+
+        //*2_buttonEsvaziar  <button type="button" class="botao-configuracao">Esvaziar lixeira</button>
+        const buttonEsvaziar = createNewElement('button', 'botao-configuracao', 'Esvaziar lixeira')
+        buttonEsvaziar.setAttribute('type', 'button')
+
+        buttonEsvaziar.addEventListener('click', () => {
+
+            confirmaExclusaoDefinitiva(`Os ${registros.length} projeto(s) da lixeira serão apagados para sempre, confirme:`, async () => {
+
+                await esvaziaLixeira()
+
+                criaNotificacao('sucesso', 'A lixeira foi esvaziada')
+
+            })
+
+        })
+
+        divWrapperLixeira.appendChild(buttonEsvaziar)
+
+    }
+
+    registros.forEach((registro) => criaItemLixeira(registro, ulLixeira))
+
+    //1_divWrapperLixeira>
+    divWrapperLixeira.appendChild(ulLixeira)
+
+    container.appendChild(divWrapperLixeira)
+
+}
+
+function criaItemLixeira(registro, parent) {
+
+    const { projeto } = registro
+    const expiracao = expiracaoLixeira(registro)
+
+    //<1_liLixeira  <li class="item-lixeira">
+    const liLixeira = createNewElement('li', `${projeto.id} item-lixeira`)
+
+        //<2_divInfoLixeira  <div class="info-lixeira">
+        const divInfoLixeira = createNewElement('div', 'info-lixeira')
+
+            //*3_h3TituloLixeira  <h3>Título</h3>
+            const h3TituloLixeira = createNewElement('h3', 'lixeira-titulo', projeto.titulo)
+
+            //*3_pDetalhesLixeira  <p>JavaScript · tag · excluído em 24/11/2023</p>
+            const textoExpiracao = expiracao !== null
+                ? ` · será apagado em ${Math.max(0, Math.ceil((expiracao - Date.now()) / (24 * 60 * 60 * 1000)))} dia(s)`
+                : ''
+            const pDetalhesLixeira = createNewElement('p', 'lixeira-detalhes', `${nomeLinguagem(projeto.linguagem)} · ${projeto.tag} · excluído em ${new Date(registro.excluidoEm).toLocaleString('pt-BR')}${textoExpiracao}`)
+
+        //2_divInfoLixeira>
+        divInfoLixeira.appendChild(h3TituloLixeira)
+        divInfoLixeira.appendChild(pDetalhesLixeira)
+
+        //<2_divAcoesLixeira  <div class="acoes-lixeira">
+        const divAcoesLixeira = createNewElement('div', 'acoes-lixeira')
+
+            //*3_buttonRestaurar  <button type="button">Restaurar</button>
+            const buttonRestaurar = createNewElement('button', 'botao-configuracao botao-principal', 'Restaurar')
+            buttonRestaurar.setAttribute('type', 'button')
+
+            buttonRestaurar.addEventListener('click', async () => {
+
+                buttonRestaurar.disabled = true
+
+                try {
+
+                    await restauraDaLixeira(registro.id)
+
+                } catch (error) {
+
+                    console.error(error)
+                    buttonRestaurar.disabled = false
+                    criaNotificacao('erro', `Não foi possível restaurar o projeto "${projeto.titulo}" (${error.message})`)
+                    return
+
+                }
+
+                criaNotificacao('sucesso', `O projeto "${projeto.titulo}" foi restaurado!`)
+                criaPaginaLixeira()
+
+            })
+
+            //*3_buttonExcluir  <button type="button">Excluir definitivamente</button>
+            const buttonExcluir = createNewElement('button', 'botao-configuracao', 'Excluir definitivamente')
+            buttonExcluir.setAttribute('type', 'button')
+
+            buttonExcluir.addEventListener('click', () => {
+
+                confirmaExclusaoDefinitiva(`O projeto "${projeto.titulo}" e seu histórico serão apagados para sempre, confirme:`, async () => {
+
+                    await excluiDefinitivamente(registro.id)
+                    criaNotificacao('sucesso', `O projeto "${projeto.titulo}" foi apagado definitivamente`)
+
+                })
+
+            })
+
+        //2_divAcoesLixeira>
+        divAcoesLixeira.appendChild(buttonRestaurar)
+        divAcoesLixeira.appendChild(buttonExcluir)
+
+    //1_liLixeira>
+    liLixeira.appendChild(divInfoLixeira)
+    liLixeira.appendChild(divAcoesLixeira)
+
+    parent.appendChild(liLixeira)
+
+}
+
+// Alerta de confirmação das exclusões sem volta, após a ação a página da lixeira é recriada
+function confirmaExclusaoDefinitiva(mensagem, acao) {
+
+    // Condição para mostrar apenas uma notificação do tipo alerta ao mesmo tempo e evitar erros
+    if (document.querySelector('.notificacao-alerta')) {
+        return
+    }
+
+    const listaNotificacoes = document.getElementById('notificacoes')
+
+    const notificacaoAlerta = criaNotificacao('alerta', mensagem, true)
+    listaNotificacoes.appendChild(notificacaoAlerta)
+
+    const botaoConfirmar = createNewElement('button', 'botao-sair', 'Apagar')
+    botaoConfirmar.addEventListener('click', async () => {
+
+        apagaNotificacao(notificacaoAlerta)
+
+        try {
+
+            await acao()
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível apagar (${error.message})`)
+
+        }
+
+        criaPaginaLixeira()
+
+    })
+
+    notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoConfirmar)
+
+}
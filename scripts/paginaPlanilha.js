@@ -0,0 +1,311 @@
+
+
+
+const textosCamposPlanilha = {
+    id: 'Id',
+    titulo: 'Título',
+    descricao: 'Descrição',
+    codigo: 'Código',
+    linguagem: 'Linguagem',
+    tag: 'Tag',
+    cor: 'Cor',
+    data: 'Data'
+}
+
+// Sem esses campos nenhuma linha passaria na validação do projeto
+const camposObrigatoriosPlanilha = ['titulo', 'descricao', 'codigo', 'linguagem', 'tag']
+
+function criaPaginaPlanilha() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Planilha', 'retornar', container)
+
+    const divWrapperPlanilha = createNewElement('div', 'wrapper-configuracoes wrapper-planilha')
+    container.appendChild(divWrapperPlanilha)
+
+    criaSecaoExportarPlanilha(divWrapperPlanilha)
+    criaSecaoImportarPlanilha(divWrapperPlanilha)
+
+}
+
+function criaSecaoExportarPlanilha(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Exportar planilha',
+        'Baixa os projetos salvos com uma linha por projeto. Células que começam com =, +, -, @, tabulação ou retorno de carro são exportadas com um apóstrofo na frente para não serem lidas como fórmula, a importação tira esse apóstrofo de volta. No Google Sheets use Arquivo > Importar e desmarque "Converter texto em números, datas e fórmulas" para manter os textos como estão, o código com várias linhas fica inteiro numa célula. Mantenha a coluna id para atualizar os mesmos projetos quando importar a planilha de volta.',
+        parent
+    )
+
+    //<1_divBotoesExportar  <div class="botoes-configuracao">
+    const divBotoesExportar = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonFormato  <button type="button">Baixar CSV</button>
+        const formatos = [
+            { texto: 'Baixar CSV', separador: ',' },
+            { texto: 'Baixar TSV', separador: '\t' }
+        ]
+
+        formatos.forEach(({ texto, separador }) => {
+
+            const buttonFormato = createNewElement('button', 'botao-configuracao', texto)
+            buttonFormato.setAttribute('type', 'button')
+
+            buttonFormato.addEventListener('click', async () => {
+
+                try {
+
+                    const grandes = await exportaPlanilha(separador)
+
+                    if (grandes.length > 0) {
+                        criaNotificacao('alerta', `${grandes.length} projeto(s) têm campos com mais de ${limiteCelulaPlanilha.toLocaleString('pt-BR')} caracteres e serão cortados pelo Google Sheets: ${grandes.map((projeto) => projeto.titulo).join(', ')}`)
+                    }
+
+                } catch (error) {
+
+                    console.error(error)
+                    criaNotificacao('erro', `Não foi possível exportar a planilha (${error.message})`)
+
+                }
+
+            })
+
+            divBotoesExportar.appendChild(buttonFormato)
+
+        })
+
+    //1_divBotoesExportar>
+    divConteudo.appendChild(divBotoesExportar)
+
+}
+
+function criaSecaoImportarPlanilha(parent) {
+
+    const divConteudo = criaSecaoConfiguracoes(
+        'Importar planilha',
+        'Escolha um arquivo CSV ou TSV, ou cole o link de uma planilha publicada (Arquivo > Compartilhar > Publicar na Web > CSV). Depois confira qual coluna corresponde a cada campo antes de revisar a importação.',
+        parent
+    )
+
+    //<1_divArquivo  <div class="botoes-configuracao">
+    const divArquivo = createNewElement('div', 'botoes-configuracao')
+
+        //*2_buttonArquivo  <button type="button">Escolher arquivo</button>
+        const buttonArquivo = createNewElement('button', 'botao-configuracao', 'Escolher arquivo')
+        buttonArquivo.setAttribute('type', 'button')
+
+    //1_divArquivo>
+    divArquivo.appendChild(buttonArquivo)
+
+    //<1_divUrl  <div class="url-planilha">
+    const divUrl = createNewElement('div', 'url-planilha')
+
+        //*2_inputUrl  <input class="input-configuracao" placeholder="https://docs.google.com/...">
+        const inputUrl = createNewElement('input', 'campo-url input-configuracao')
+        inputUrl.setAttribute('type', 'url')
+        inputUrl.setAttribute('placeholder', 'https://docs.google.com/spreadsheets/d/e/.../pub?output=csv')
+        inputUrl.setAttribute('spellcheck', 'false')
+        inputUrl.value = leConfiguracao('urlPlanilha', '')
+
+        //*2_buttonUrl  <button type="button">Buscar planilha</button>
+        const buttonUrl = createNewElement('button', 'botao-configuracao', 'Buscar planilha')
+        buttonUrl.setAttribute('type', 'button')
+
+    //1_divUrl>
+    divUrl.appendChild(inputUrl)
+    divUrl.appendChild(buttonUrl)
+
+    //*1_divMapeamento  <div class="mapeamento-planilha">
+    const divMapeamento = createNewElement('div', 'mapeamento-planilha')
+
+    divConteudo.appendChild(divArquivo)
+    divConteudo.appendChild(divUrl)
+    divConteudo.appendChild(divMapeamento)
+
+    const mostraPlanilha = (texto, nomePlanilha) => {
+
+        try {
+
+            criaMapeamentoPlanilha(lePlanilha(texto), nomePlanilha, divMapeamento)
+
+        } catch (error) {
+
+            console.error(error)
+            divMapeamento.innerHTML = ''
+            criaNotificacao('erro', `Não foi possível ler ${nomePlanilha} (${error.message})`)
+
+        }
+
+    }
+
+    buttonArquivo.addEventListener('click', () => {
+
+        const inputArquivo = createNewElement('input')
+        inputArquivo.setAttribute('type', 'file')
+        inputArquivo.setAttribute('accept', '.csv,.tsv,.txt,text/csv,text/tab-separated-values')
+
+        inputArquivo.addEventListener('change', async () => {
+
+            const arquivo = inputArquivo.files[0]
+
+            if (arquivo !== undefined) {
+                mostraPlanilha(await arquivo.text(), arquivo.name)
+            }
+
+        })
+
+        inputArquivo.click()
+
+    })
+
+    buttonUrl.addEventListener('click', async () => {
+
+        const url = inputUrl.value.trim()
+
+        if (url === '') {
+            criaNotificacao('erro', 'Cole o link da planilha publicada')
+            return
+        }
+
+        buttonUrl.disabled = true
+
+        try {
+
+            const texto = await baixaPlanilha(url)
+            gravaConfiguracao('urlPlanilha', url)
+            mostraPlanilha(texto, 'planilha publicada')
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível buscar a planilha (${error.message})`)
+
+        }
+
+        buttonUrl.disabled = false
+
+    })
+
+}
+
+// Tabela com uma linha por coluna da planilha: o campo do projeto que ela preenche e o valor da primeira linha de exemplo
+function criaMapeamentoPlanilha(planilha, nomePlanilha, parent) {
+
+    parent.innerHTML = ''
+
+    const mapeamento = mapeamentoAutomatico(planilha.cabecalho)
+    const nomesSeparador = { '\t': 'tab', ',': 'vírgula', ';': 'ponto e vírgula' }
+
+    //*1_pResumoPlanilha  <p>12 linha(s) em dados.csv, separadas por vírgula</p>
+    const pResumoPlanilha = createNewElement('p', 'previa-status', `${planilha.linhas.length} linha(s) em ${nomePlanilha}, colunas separadas por ${nomesSeparador[planilha.separador]}`)
+
+    //<1_tableMapeamento  <table class="tabela-mapeamento">
+    const tableMapeamento = createNewElement('table', 'tabela-mapeamento')
+
+        //*2_trCabecalho  <tr><th>Coluna</th><th>Campo</th><th>Exemplo</th></tr>
+        const trCabecalho = createNewElement('tr')
+        const titulosMapeamento = ['Coluna', 'Campo', 'Exemplo']
+        titulosMapeamento.forEach((texto) => trCabecalho.appendChild(createNewElement('th', null, texto)))
+
+    tableMapeamento.appendChild(trCabecalho)
+
+    planilha.cabecalho.forEach((nomeColuna, indiceColuna) => {
+
+        //<2_trColuna  <tr class="coluna-planilha">
+        const trColuna = createNewElement('tr', 'coluna-planilha')
+
+            //*3_tdNome  <td>Title</td>
+            const tdNome = createNewElement('td', 'nome-coluna', nomeColuna.trim() !== '' ? nomeColuna : `Coluna ${indiceColuna + 1}`)
+
+            //<3_tdCampo  <td>
+            const tdCampo = createNewElement('td')
+
+                //*4_selectCampo  <select class="campo-coluna">
+                const selectCampo = createNewElement('select', 'campo-coluna input-configuracao')
+
+                const opcoesCampo = [null, ...camposPlanilha]
+
+                opcoesCampo.forEach((campo) => {
+
+                    const optionCampo = createNewElement('option', null, campo === null ? 'Ignorar' : textosCamposPlanilha[campo])
+                    optionCampo.value = campo === null ? '' : campo
+                    optionCampo.selected = mapeamento[indiceColuna] === campo
+
+                    selectCampo.appendChild(optionCampo)
+
+                })
+
+            //3_tdCampo>
+            tdCampo.appendChild(selectCampo)
+
+            //*3_tdExemplo  <td><pre>valor</pre></td>
+            const tdExemplo = createNewElement('td', 'exemplo-coluna')
+            const exemplo = planilha.linhas.length > 0 && planilha.linhas[0][indiceColuna] !== undefined ? planilha.linhas[0][indiceColuna] : ''
+            tdExemplo.appendChild(createNewElement('pre', null, exemplo.split('\n').slice(0, 3).join('\n')))
+
+        //2_trColuna>
+        trColuna.appendChild(tdNome)
+        trColuna.appendChild(tdCampo)
+        trColuna.appendChild(tdExemplo)
+
+        tableMapeamento.appendChild(trColuna)
+
+    })
+
+    //*1_buttonContinuar  <button type="button">Revisar importação</button>
+    const buttonContinuar = createNewElement('button', 'botao-configuracao botao-principal', 'Revisar importação')
+    buttonContinuar.setAttribute('type', 'button')
+
+    buttonContinuar.addEventListener('click', async () => {
+
+        const mapeamentoEscolhido = Array.from(tableMapeamento.querySelectorAll('.campo-coluna')).map((select) => select.value !== '' ? select.value : null)
+
+        const repetidos = camposPlanilha.filter((campo) => mapeamentoEscolhido.filter((escolhido) => escolhido === campo).length > 1)
+        const faltando = camposObrigatoriosPlanilha.filter((campo) => !mapeamentoEscolhido.includes(campo))
+
+        if (repetidos.length > 0) {
+            criaNotificacao('erro', `Cada campo só pode vir de uma coluna: ${repetidos.map((campo) => textosCamposPlanilha[campo]).join(', ')}`)
+            return
+        }
+
+        if (faltando.length > 0) {
+            criaNotificacao('erro', `Escolha a coluna de: ${faltando.map((campo) => textosCamposPlanilha[campo]).join(', ')}`)
+            return
+        }
+
+        try {
+
+            const analise = await analisaImportacaoPlanilha(projetosDaPlanilha(planilha, mapeamentoEscolhido))
+
+            if (analise.itens.length === 0 && analise.iguais > 0) {
+                criaNotificacao('sucesso', `Os projetos salvos já estão iguais a ${nomePlanilha}`)
+                return
+            }
+
+            if (analise.itens.length === 0) {
+                criaNotificacao('erro', `Nenhum projeto válido encontrado em ${nomePlanilha}`)
+                return
+            }
+
+            criaPaginaImportacao(analise, nomePlanilha)
+
+            if (analise.iguais > 0) {
+                criaNotificacao('sucesso', `${analise.iguais} linha(s) iguais aos projetos salvos ficaram de fora da revisão`)
+            }
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível importar ${nomePlanilha} (${error.message})`)
+
+        }
+
+    })
+
+    parent.appendChild(pResumoPlanilha)
+    parent.appendChild(tableMapeamento)
+    parent.appendChild(buttonContinuar)
+
+}
@@ -0,0 +1,222 @@
+
+
+
+// Liga o salvamento automático do editor de projeto novo: cada alteração grava o rascunho, e um editor esvaziado remove o rascunho
+function iniciaAutosaveRascunho(idRascunho) {
+
+    const salvaRascunhoEditor = () => {
+
+        const rascunho = leRascunhoEditor(idRascunho)
+
+        try {
+
+            if (rascunhoVazio(rascunho)) {
+                removeRascunho(idRascunho)
+            } else {
+                gravaRascunho(rascunho)
+            }
+
+        } catch (error) {
+
+            console.error(error)
+            criaNotificacao('erro', `Não foi possível guardar o rascunho (${error.message})`)
+
+        }
+
+    }
+
+    document.querySelectorAll('.param-objeto').forEach((elemento) => elemento.addEventListener('input', salvaRascunhoEditor))
+
+    // A linguagem é escolhida com um clique na lista, não dispara 'input'
+    document.querySelector('.linguagem').addEventListener('click', salvaRascunhoEditor)
+
+}
+
+function leRascunhoEditor(idRascunho) {
+
+    const codeInputElement = document.querySelector('code-input')
+
+    return {
+        id: idRascunho,
+        titulo: document.querySelector('.titulo').value,
+        descricao: document.querySelector('.descricao').value,
+        codigo: codeInputElement.value !== undefined && codeInputElement.value !== null ? codeInputElement.value : '',
+        linguagem: document.querySelector('.linguagem').getAttribute('data-value'),
+        tag: document.querySelector('.tag').value,
+        cor: document.querySelector('.cor').value
+    }
+
+}
+
+// Preenche o editor recém criado com o rascunho. O código já entra na criação do code-input (ver criaEditorNovo)
+function preencheEditorRascunho(rascunho) {
+
+    const textareaTitulo = document.querySelector('.titulo')
+    const textareaDescricao = document.querySelector('.descricao')
+    const inputSeletorCor = document.querySelector('.cor')
+
+    textareaTitulo.value = rascunho.titulo
+    textareaDescricao.value = rascunho.descricao
+    document.querySelector('.tag').value = rascunho.tag
+    inputSeletorCor.value = rascunho.cor
+
+    if (rascunho.linguagem !== null) {
+
+        document.querySelector('.linguagem').setAttribute('data-value', rascunho.linguagem)
+        document.querySelector('.texto-container > p').textContent = nomeLinguagem(rascunho.linguagem)
+        document.querySelector('code-input').setAttribute('lang', rascunho.linguagem)
+
+    }
+
+    // Mesmo custom event do criaEditorProjeto, aplica as cores e o estado 'filled' dos campos
+    const inputEvent = new Event('input', {
+
+        bubbles: true,
+        cancelable: true
+
+    })
+
+    textareaTitulo.dispatchEvent(inputEvent)
+    textareaDescricao.dispatchEvent(inputEvent)
+    inputSeletorCor.dispatchEvent(inputEvent)
+
+}
+
+function tituloRascunho(rascunho) {
+
+    return rascunho.titulo.trim() !== '' ? rascunho.titulo : 'Rascunho sem título'
+
+}
+
+// Aviso mostrado ao abrir a página quando ficaram rascunhos de uma visita anterior
+function avisaRascunhosPendentes() {
+
+    const rascunhos = listaRascunhos()
+
+    if (rascunhos.length === 0 || document.querySelector('.notificacao-alerta')) {
+        return
+    }
+
+    const maisRecente = rascunhos[0]
+    const textoOutros = rascunhos.length > 1 ? ` Há mais ${rascunhos.length - 1} rascunho(s) na página de Rascunhos.` : ''
+
+    const notificacaoAlerta = criaNotificacao('alerta', `Você tem um rascunho não salvo: "${tituloRascunho(maisRecente)}", de ${new Date(maisRecente.atualizadoEm).toLocaleString('pt-BR')}.${textoOutros}`, true)
+    document.getElementById('notificacoes').appendChild(notificacaoAlerta)
+
+    const botaoRecuperar = createNewElement('button', 'botao-sair', 'Recuperar rascunho')
+    botaoRecuperar.setAttribute('type', 'button')
+
+    botaoRecuperar.addEventListener('click', () => {
+
+        apagaNotificacao(notificacaoAlerta)
+        abreRascunho(maisRecente.id)
+
+    })
+
+    notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoRecuperar)
+
+}
+
+// Um rascunho que não existe mais é avisado pela rota (ver rascunhoRota)
+function abreRascunho(id) {
+
+    navega(`/rascunho/${encodeURIComponent(id)}`)
+
+}
+
+function criaPaginaRascunhos() {
+
+    limpaPagina()
+
+    const container = document.querySelector('.container')
+
+    criaHeaderPagina('projetos', 'Rascunhos', 'retornar', container)
+
+    const rascunhos = listaRascunhos()
+
+    //<1_divWrapperRascunhos  <div class="wrapper-rascunhos">
+    const divWrapperRascunhos = createNewElement('div', 'wrapper-rascunhos')
+
+        //*2_pAjudaRascunhos  <p>O editor de projeto novo guarda...</p>
+        const textoAjuda = rascunhos.length > 0
+            ? 'O editor de projeto novo guarda o que você escreve automaticamente, continue um rascunho para salvá-lo como projeto.'
+            : 'Nenhum rascunho guardado. O editor de projeto novo guarda o que você escreve automaticamente.'
+        const pAjudaRascunhos = createNewElement('p', 'rascunhos-ajuda', textoAjuda)
+
+        //*2_ulRascunhos  <ul class="lista-rascunhos">
+        const ulRascunhos = createNewElement('ul', 'lista-rascunhos')
+        ulRascunhos.style.listStyle = 'none'
+
+    rascunhos.forEach((rascunho) => criaItemRascunho(rascunho, ulRascunhos))
+
+    //1_divWrapperRascunhos>
+    divWrapperRascunhos.appendChild(pAjudaRascunhos)
+    divWrapperRascunhos.appendChild(ulRascunhos)
+
+    container.appendChild(divWrapperRascunhos)
+
+}
+
+function criaItemRascunho(rascunho, parent) {
+
+    //<1_liRascunho  <li class="item-rascunho">
+    const liRascunho = createNewElement('li', `${rascunho.id} item-rascunho`)
+
+        //<2_divInfoRascunho  <div class="info-rascunho">
+        const divInfoRascunho = createNewElement('div', 'info-rascunho')
+
+            //*3_h3TituloRascunho  <h3>Título</h3>
+            const h3TituloRascunho = createNewElement('h3', 'rascunho-titulo', tituloRascunho(rascunho))
+
+            //*3_pDetalhesRascunho  <p>JavaScript · tag · alterado em 24/11/2023, 10:31:25</p>
+            const detalhes = [
+                rascunho.linguagem !== null ? nomeLinguagem(rascunho.linguagem) : null,
+                rascunho.tag.trim() !== '' ? rascunho.tag : null,
+                `alterado em ${new Date(rascunho.atualizadoEm).toLocaleString('pt-BR')}`
+            ]
+            const pDetalhesRascunho = createNewElement('p', 'rascunho-detalhes', detalhes.filter((detalhe) => detalhe !== null).join(' · '))
+
+        //2_divInfoRascunho>
+        divInfoRascunho.appendChild(h3TituloRascunho)
+        divInfoRascunho.appendChild(pDetalhesRascunho)
+
+        // Prévia com as primeiras linhas do código
+        if (rascunho.codigo.trim() !== '') {
+
+            //*3_preCodigoRascunho  <pre class="rascunho-codigo">print(1)</pre>
+            divInfoRascunho.appendChild(createNewElement('pre', 'rascunho-codigo', rascunho.codigo.split('\n').slice(0, 3).join('\n')))
+
+        }
+
+        //<2_divAcoesRascunho  <div class="acoes-rascunho">
+        const divAcoesRascunho = createNewElement('div', 'acoes-rascunho')
+
+            //*3_buttonContinuar  <button type="button">Continuar</button>
+            const buttonContinuar = createNewElement('button', 'botao-configuracao botao-principal', 'Continuar')
+            buttonContinuar.setAttribute('type', 'button')
+
+            buttonContinuar.addEventListener('click', () => abreRascunho(rascunho.id))
+
+            //*3_buttonDescartar  <button type="button">Descartar</button>
+            const buttonDescartar = createNewElement('button', 'botao-configuracao', 'Descartar')
+            buttonDescartar.setAttribute('type', 'button')
+
+            buttonDescartar.addEventListener('click', () => {
+
+                removeRascunho(rascunho.id)
+                criaNotificacao('sucesso', `O rascunho "${tituloRascunho(rascunho)}" foi descartado`)
+                criaPaginaRascunhos()
+
+            })
+
+        //2_divAcoesRascunho>
+        divAcoesRascunho.appendChild(buttonContinuar)
+        divAcoesRascunho.appendChild(buttonDescartar)
+
+    //1_liRascunho>
+    liRascunho.appendChild(divInfoRascunho)
+    liRascunho.appendChild(divAcoesRascunho)
+
+    parent.appendChild(liRascunho)
+
+}
@@ -77,10 +77,11 @@ function criaProjeto() {
         projeto[projetoKey] = projetoValue
     })
 
-    return projeto
+    // Já retorna no esquema atual, assim a comparação com o projeto salvo não acusa diferenças de formato
+    return migraProjeto(projeto)
 }
 
-function salvaProjeto() {
+async function salvaProjeto() {
     
     const projeto = criaProjeto()
     
@@ -93,30 +94,56 @@ function salvaProjeto() {
     // Captura a lista de notificacoes
     const listaNotificacoes = document.getElementById('notificacoes')
 
-    // Valida o nome do projeto para assegurar que não tenha nenhuma duplicata ou overwrite no localStorage
+    // O repositório recusa sobrescrever um projeto já existente, nesse caso o erro é mostrado ao usuário
+    try {
+
+        await repositorioProjetos.salvar(projeto)
+
+    } catch (error) {
+
+        console.error(error)
+
+        // A página só é limpa depois da gravação, com o espaço esgotado o editor continua como está
+        if (erroCotaExcedida(error)) {
+            criaNotificacaoEspacoEsgotado(() => salvaProjeto())
+        } else {
+            criaNotificacao('erro', error.message)
+        }
 
-    // Vai ser reescrito para que projetos sejam salvos em uma pasta local/github
-    if (localStorage.getItem(`${projeto.titulo}`)) {
-        criaNotificacao('erro', `Projeto "${projeto.titulo}" já existente no localStorage`)
         return
+
     }
-    // localStorage.setItem(`${localStorage.length} - ${projeto.titulo}`, JSON.stringify(projeto))
-    localStorage.setItem(`${projeto.id}`, JSON.stringify(projeto))
 
-    limpaPagina()                             
-    mostraPaginaProjetos()
+    // O rascunho vira o projeto salvo
+    removeRascunho(document.querySelector('.editor').getAttribute('data-rascunho'))
+
+    navega('/', { semConfirmacao: true })
 
     // console.log(`Projeto ${projeto.titulo} salvo no localStorage`)
     criaNotificacao('sucesso', 'Projeto salvo com sucesso!')
 }
 
-function atualizaProjeto(projetoSelecionado) {
+async function atualizaProjeto(projetoSelecionado) {
 
     const projetoAtualizado = criaProjeto()
-    const projetoSalvo = JSON.parse(localStorage[projetoSelecionado.id])
+
+    if (projetoAtualizado === false) {
+        return
+    }
+
+    const projetoSalvo = await repositorioProjetos.obter(projetoSelecionado.id)
+
+    // Excluído em outra aba enquanto era editado: atualizar recriaria o projeto que o usuário excluiu
+    if (projetoSalvo === null) {
+
+        criaNotificacao('erro', `O projeto "${projetoSelecionado.titulo}" foi excluído e não pode ser atualizado, restaure ele pela lixeira para continuar`)
+        return
+
+    }
 
     projetoAtualizado['id'] = projetoSelecionado.id
     projetoAtualizado['data'] = projetoSelecionado.data
+    mantemContagensProjeto(projetoAtualizado, projetoSalvo)
 
     if (projetoIgual(projetoAtualizado, projetoSalvo)) {
 
@@ -134,18 +161,41 @@ function atualizaProjeto(projetoSelecionado) {
     const listaNotificacaoAlerta = notificacaoAlertaSobrescrever.querySelector('.wrapper-botoes')
 
     const botaoConfirmar = createNewElement('button', 'botao-sair', 'Atualizar projeto')
-    botaoConfirmar.addEventListener('click', () => {
+    botaoConfirmar.addEventListener('click', async () => {
+
+        // Funcionalidade que atualiza o projeto salvo
+        try {
+
+            // Curtidas recebidas enquanto a confirmação estava aberta continuam valendo
+            const projetoAtual = await repositorioProjetos.obter(projetoAtualizado.id)
+
+            if (projetoAtual !== null) {
+                mantemContagensProjeto(projetoAtualizado, projetoAtual)
+            }
+
+            await repositorioProjetos.atualizar(projetoAtualizado)
+
+        } catch (error) {
+
+            console.error(error)
+            apagaNotificacao(notificacaoAlertaSobrescrever)
+
+            if (erroCotaExcedida(error)) {
+                criaNotificacaoEspacoEsgotado(() => atualizaProjeto(projetoSelecionado))
+            } else {
+                criaNotificacao('erro', error.message)
+            }
 
-        // Funcionalidade que atualiza o projeto no localStorage
-        localStorage.setItem(projetoSelecionado.id, JSON.stringify(projetoAtualizado))
+            return
+
+        }
 
         // Bloco que transiciona a notificação e remove ela
         apagaNotificacao(notificacaoAlertaSobrescrever) 
 
         // Bloco que emite notificação de sucesso e retorna o usuário para a página de projeto, para ver o resultado de suas alterações
         criaNotificacao('sucesso', 'Projeto atualizado com sucesso!')
-        limpaPagina()
-        mostraPaginaProjetos()
+        navega('/', { semConfirmacao: true })
 
     })
 
@@ -163,7 +213,7 @@ function atualizaProjeto(projetoSelecionado) {
 function apagaNotificacao(notificacao) {
 
     notificacao.style.opacity = '0'
-    notificacao.addEventListener('transitionend', () => notificacaoAlertaSobrescrever.remove())
+    notificacao.addEventListener('transitionend', () => notificacao.remove())
 
 }
 
@@ -185,13 +235,21 @@ function projetoIgual(projetoAtualizado, projetoSalvo) {
 
 }
 
-function condicaoSairPagina(projetoSelecionado) {
+async function condicaoSairPagina(projetoSelecionado) {
 
     const projetoAtualizado = criaProjeto()
-    const projetoSalvo = JSON.parse(localStorage[projetoSelecionado])
+    const projetoSalvo = await repositorioProjetos.obter(projetoSelecionado)
+
+    // Projeto excluído em outra aba, o que está no editor não tem mais onde ser salvo
+    if (projetoSalvo === null) {
+
+        return false
+
+    }
 
     projetoAtualizado['id'] = projetoSalvo.id
     projetoAtualizado['data'] = projetoSalvo.data
+    mantemContagensProjeto(projetoAtualizado, projetoSalvo)
 
     if (projetoIgual(projetoAtualizado, projetoSalvo)) {
 
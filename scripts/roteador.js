@@ -0,0 +1,330 @@
+// Rotas do app no hash da URL (#/projeto/1700000000000/editar). Recarregar a página ou abrir um link leva para a mesma
+// página, e o voltar e o avançar do navegador passam pelas mesmas confirmações do botão retornar. Os parâmetros antes
+// do hash (filtros do feed, ver filtrosProjetos.js) continuam como estão em todas as rotas
+//   #/                       feed
+//   #/novo                   editor de projeto novo
+//   #/rascunho/:id           editor de projeto novo com um rascunho
+//   #/projeto/:id            post detalhado
+//   #/projeto/:id/editar     editor do projeto
+//   #/editar, #/excluir, #/lixeira, #/rascunhos, #/curtidos, #/configuracoes, #/exportar, #/planilha
+//   #/importacao, #/conflitos  revisão de importação e conflitos da sincronização, só abertos pelo app (ver
+//                              gravaRotaPaginaMemoria)
+
+// Cada rota recebe os parâmetros do caminho já decodificados. Um erro lançado pela rota (projeto que não existe mais)
+// vira uma notificação e leva ao feed
+const rotasApp = [
+    { caminho: /^\/$/, abre: () => mostraPaginaProjetos() },
+    { caminho: /^\/novo$/, abre: () => criaEditorNovo() },
+    { caminho: /^\/rascunho\/([^/]+)$/, abre: (id) => criaEditorNovo(rascunhoRota(id)) },
+    { caminho: /^\/projeto\/([^/]+)$/, abre: async (id) => mostraPostDetalhado(await projetoRota(id)) },
+    { caminho: /^\/projeto\/([^/]+)\/editar$/, abre: async (id) => criaEditorProjeto(await projetoRota(id)) },
+    { caminho: /^\/editar$/, abre: () => criaPaginaEditar() },
+    { caminho: /^\/excluir$/, abre: () => criaPaginaExcluir() },
+    { caminho: /^\/lixeira$/, abre: () => criaPaginaLixeira() },
+    { caminho: /^\/rascunhos$/, abre: () => criaPaginaRascunhos() },
+    { caminho: /^\/curtidos$/, abre: () => criaPaginaCurtidos() },
+    { caminho: /^\/configuracoes$/, abre: () => criaPaginaConfiguracoes() },
+    { caminho: /^\/exportar$/, abre: () => criaPaginaExportar() },
+    { caminho: /^\/planilha$/, abre: () => criaPaginaPlanilha() },
+    { caminho: /^\/(importacao|conflitos)$/, abre: () => {
+        throw new Error('Essa revisão não está mais aberta, importe os projetos de novo para revisá-los')
+    } }
+]
+
+// indice: posição da página aberta no histórico do navegador, guardada no history.state de cada entrada criada pelo app.
+// Com ela o popstate sabe quantas entradas voltar ou avançar para desfazer uma saída ainda não confirmada
+const estadoRotas = {
+    rota: null,
+    indice: 0,
+    // popstate causado pelo próprio app ao desfazer ou refazer um salto no histórico
+    desfazendo: false,
+    liberado: false
+}
+
+function rotaProjeto(id, acao = null) {
+
+    return `/projeto/${encodeURIComponent(id)}${acao !== null ? `/${acao}` : ''}`
+
+}
+
+async function projetoRota(id) {
+
+    const projeto = await repositorioProjetos.obter(id)
+
+    if (projeto === null) {
+        throw new Error('Esse projeto não existe mais, ele pode ter sido excluído')
+    }
+
+    return projeto
+
+}
+
+function rascunhoRota(id) {
+
+    const rascunho = obtemRascunho(id)
+
+    if (rascunho === null) {
+        throw new Error('Esse rascunho não existe mais')
+    }
+
+    return rascunho
+
+}
+
+function rotaUrl() {
+
+    const rota = window.location.hash.replace(/^#/, '')
+
+    return rota.startsWith('/') ? rota : '/'
+
+}
+
+function gravaRotaHistorico(rota, substitui) {
+
+    const url = `${window.location.pathname}${window.location.search}#${rota}`
+
+    if (substitui) {
+        window.history.replaceState({ indiceRota: estadoRotas.indice }, '', url)
+        return
+    }
+
+    estadoRotas.indice++
+    window.history.pushState({ indiceRota: estadoRotas.indice }, '', url)
+
+}
+
+// Revisão de importação e conflitos da sincronização são montados com dados que só existem na memória. A página ganha
+// uma entrada no histórico para o voltar levar à página de onde o usuário veio, mas reaberta pela URL (recarregar,
+// avançar) ela não tem o que mostrar e leva ao feed
+function gravaRotaPaginaMemoria(rota) {
+
+    gravaRotaHistorico(rota, rota === estadoRotas.rota)
+    estadoRotas.rota = rota
+
+}
+
+// Índice da entrada atual do histórico, null numa entrada que não foi criada pelo app (hash digitado, link externo)
+function indiceRotaHistorico() {
+
+    const estado = window.history.state
+
+    return estado !== null && typeof estado === 'object' && Number.isInteger(estado.indiceRota) ? estado.indiceRota : null
+
+}
+
+// Monta a página da rota, uma rota desconhecida ou que falhou ao abrir leva ao feed no lugar dela
+async function abreRota(rota) {
+
+    const rotaEncontrada = rotasApp.find(({ caminho }) => caminho.test(rota))
+
+    try {
+
+        if (rotaEncontrada === undefined) {
+            throw new Error(`A página "${rota}" não existe`)
+        }
+
+        estadoRotas.rota = rota
+
+        limpaPagina()
+        await rotaEncontrada.abre(...rota.match(rotaEncontrada.caminho).slice(1).map(decodeURIComponent))
+
+    } catch (error) {
+
+        console.error(error)
+        criaNotificacao('erro', error.message)
+
+        if (rota !== '/') {
+            gravaRotaHistorico('/', true)
+            await abreRota('/')
+        }
+
+    }
+
+}
+
+// Troca de página pelos botões do app. Com alterações não salvas na página aberta a troca só acontece depois da
+// confirmação (ver mostraAlertaSaida). semConfirmacao: o que estava aberto acabou de ser salvo
+async function navega(rota, { semConfirmacao = false } = {}) {
+
+    // Reabrir a mesma rota (feed atualizado depois de uma importação) não cria outra entrada no histórico
+    const troca = async () => {
+
+        gravaRotaHistorico(rota, rota === estadoRotas.rota)
+        await abreRota(rota)
+
+    }
+
+    if (!semConfirmacao && await alteracoesNaoSalvas()) {
+        mostraAlertaSaida(troca)
+        return
+    }
+
+    await troca()
+
+}
+
+// Voltar, avançar e hash digitado na barra de endereço. A URL já mudou quando o evento chega: com alterações não
+// salvas ela volta para a página aberta e o salto é refeito só depois da confirmação
+async function mudaRotaHistorico() {
+
+    if (estadoRotas.desfazendo) {
+        estadoRotas.desfazendo = false
+        return
+    }
+
+    const indiceDestino = indiceRotaHistorico()
+    const rotaDestino = rotaUrl()
+    const liberado = estadoRotas.liberado
+
+    estadoRotas.liberado = false
+
+    // Hash digitado: a entrada nova foi criada pelo navegador logo depois da página aberta e ainda não tem índice
+    if (indiceDestino === null) {
+        estadoRotas.indice++
+    }
+
+    if (!liberado && await alteracoesNaoSalvas()) {
+
+        // A entrada do navegador passa a mostrar a página aberta até a confirmação
+        if (indiceDestino === null) {
+
+            gravaRotaHistorico(estadoRotas.rota, true)
+
+            mostraAlertaSaida(async () => {
+
+                gravaRotaHistorico(rotaDestino, true)
+                await abreRota(rotaDestino)
+
+            })
+
+            return
+
+        }
+
+        const salto = indiceDestino - estadoRotas.indice
+
+        estadoRotas.desfazendo = true
+        window.history.go(-salto)
+
+        mostraAlertaSaida(() => {
+
+            estadoRotas.liberado = true
+            window.history.go(salto)
+
+        })
+
+        return
+
+    }
+
+    if (indiceDestino === null) {
+        gravaRotaHistorico(rotaDestino, true)
+    } else {
+        estadoRotas.indice = indiceDestino
+    }
+
+    await abreRota(rotaDestino)
+
+}
+
+// Editor de projeto novo com algum campo preenchido ou editor de projeto com alterações que não foram salvas
+async function alteracoesNaoSalvas() {
+
+    if (document.querySelector('.header-editor') === null) {
+        return false
+    }
+
+    switch (pageContext()) {
+
+        case 'Criando':
+
+            const elements = document.querySelectorAll('.param-objeto')
+            const vazios = Array.from(elements).filter((element) => element.value === '' || element.value === null || (element.value === undefined && element.getAttribute('data-value') === null))
+
+            // A cor sempre tem valor, só ela preenchida ainda é um editor vazio
+            return vazios.length !== (elements.length - 1)
+
+        case 'Editando':
+
+            return !(await condicaoSairPagina(document.querySelector('.editor').classList[0]))
+
+        default:
+
+            return false
+
+    }
+
+}
+
+// Confirmação de saída de uma página com alterações não salvas, continuar abre a página de destino
+function mostraAlertaSaida(continuar) {
+
+    // Condição para mostrar apenas uma notificação do tipo alerta ao mesmo tempo e evitar erros
+    if (document.querySelector('.notificacao-alerta')) {
+        return
+    }
+
+    const listaNotificacoes = document.getElementById('notificacoes')
+
+    if (pageContext() === 'Criando') {
+
+        const notificacaoAlerta = criaNotificacao('alerta', 'O projeto ainda não foi salvo, o conteúdo fica guardado como rascunho para você continuar depois:', true)
+        listaNotificacoes.appendChild(notificacaoAlerta)
+
+        const listaNotificacaoAlerta = notificacaoAlerta.querySelector('.wrapper-botoes')
+
+        const idRascunho = document.querySelector('.editor').getAttribute('data-rascunho')
+
+        const botaoSair = createNewElement('button', 'botao-sair', 'Manter rascunho')
+        botaoSair.addEventListener('click', () => {
+
+            apagaNotificacao(notificacaoAlerta)
+            continuar()
+
+        })
+
+        const botaoDescartar = createNewElement('button', 'botao-sair', 'Descartar rascunho')
+        botaoDescartar.addEventListener('click', () => {
+
+            removeRascunho(idRascunho)
+
+            apagaNotificacao(notificacaoAlerta)
+            continuar()
+
+        })
+
+        listaNotificacaoAlerta.prepend(botaoDescartar)
+        listaNotificacaoAlerta.prepend(botaoSair)
+
+        return
+
+    }
+
+    const notificacaoAlerta = criaNotificacao('alerta', 'Se você sair agora seu conteúdo alterado não será salvo, confirme:', true)
+    listaNotificacoes.appendChild(notificacaoAlerta)
+
+    const botaoSair = createNewElement('button', 'botao-sair', 'Sair da Página')
+    botaoSair.addEventListener('click', () => {
+
+        apagaNotificacao(notificacaoAlerta)
+        continuar()
+
+    })
+
+    notificacaoAlerta.querySelector('.wrapper-botoes').prepend(botaoSair)
+
+}
+
+// Abre a página da URL ao carregar o app. A entrada atual recebe um índice (um recarregamento mantém o que já tinha)
+async function iniciaRotas() {
+
+    const indice = indiceRotaHistorico()
+
+    estadoRotas.indice = indice !== null ? indice : 0
+    gravaRotaHistorico(rotaUrl(), true)
+
+    window.addEventListener('popstate', () => mudaRotaHistorico().catch((error) => console.error(error)))
+
+    await abreRota(rotaUrl())
+
+}
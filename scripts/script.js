@@ -1,10 +1,5 @@
 
-const localStorageKeys =  Object.keys(localStorage).sort().reverse()
-
-const projetos = localStorageKeys.map((id) => JSON.parse(localStorage[id]))
-
-
-function mostraPaginaProjetos() {
+async function mostraPaginaProjetos() {
 
     // Seleciona todos os elementos code-input
     // const listaProjetos = Object.keys(localStorage)
@@ -13,7 +8,14 @@ function mostraPaginaProjetos() {
     //{ Cria a ul para ser alimentada de posts para elemento dentro do localStorage
     const container = document.querySelector('.container')
 
-    if (localStorage.length === 0) {
+    const projetos = await repositorioProjetos.listar()
+
+    if (projetos.length === 0) {
+
+        // Sem projetos o header continua com os botões que trazem projetos de volta (lixeira, importações)
+        const headerVazio = criaHeaderPagina('projetos', null, 'importar importarPasta planilha importarGist sincronizar rascunhos lixeira configuracoes', container)
+        criaMedidorArmazenamento(headerVazio).catch((error) => console.error(error))
+        mostraAvisoOffline(headerVazio)
         
         const listaPosts = createNewElement('ul', 'lista-posts')
         listaPosts.style.listStyle = 'none'
@@ -25,34 +27,77 @@ function mostraPaginaProjetos() {
 
     }
 
-    criaHeaderPagina('projetos', null, null, container)
+    const header = criaHeaderPagina('projetos', null, null, container)
+    criaMedidorArmazenamento(header).catch((error) => console.error(error))
+    mostraAvisoOffline(header)
 
     const listaPosts = createNewElement('ul', 'lista-posts')
     listaPosts.style.listStyle = 'none'
+
+    estadoFeed.projetos = projetos
+
+    const divBarraFiltros = criaBarraFiltros(projetos, container, () => preencheListaPosts(listaPosts, divBarraFiltros))
+
     container.appendChild(listaPosts)
     //}
 
-    // criaPostNovo(listaPosts)
+    await preencheListaPosts(listaPosts, divBarraFiltros)
 
-    // const rangeLocalStorage = range(localStorage.length, startAt = 1).reverse()
+}
 
-    if (localStorage.length > 0) {
-        
-        // rangeLocalStorage.forEach((index) => criaPost(JSON.parse(localStorage[index]), listaPosts))
-        criaPostNovo(listaPosts)
+// Monta os posts dos projetos do feed (estadoFeed.projetos) que passam pelos filtros da URL, na ordem escolhida (ver
+// filtrosProjetos.js). Chamada de novo a cada filtro alterado e a cada alteração vinda de outra aba, sem recriar o header
+// e a barra de filtros
+async function preencheListaPosts(listaPosts, divBarraFiltros, quantidade = tamanhoPaginaFeed) {
+
+    const filtros = filtrosDaUrl()
 
-        const localStorageKeys = Object.keys(localStorage).sort().reverse()
+    // Só a ordem 'editados' precisa ler o histórico. Uma alteração feita enquanto a leitura acontece invalida esta
+    const renderizacao = `${Number(listaPosts.getAttribute('data-renderizacao')) + 1}`
+    listaPosts.setAttribute('data-renderizacao', renderizacao)
 
-        localStorageKeys.forEach((id) => criaPost(JSON.parse(localStorage[id]), listaPosts))
+    const edicoes = filtros.ordem === 'editados' ? await ultimasEdicoesProjetos() : {}
 
+    if (listaPosts.getAttribute('data-renderizacao') !== renderizacao) {
+        return
+    }
+
+    const projetos = estadoFeed.projetos
+    const visiveis = ordenaProjetos(filtraProjetos(projetos, filtros), filtros.ordem, edicoes)
+
+    listaPosts.replaceChildren()
+
+    criaPostNovo(listaPosts)
+
+    paginaFeed(listaPosts, visiveis, quantidade)
 
+    if (visiveis.length === 0) {
+        criaAvisoFiltros(listaPosts)
     }
 
+    atualizaContagemFiltros(divBarraFiltros, visiveis.length, projetos.length)
+    indexaFeedPesquisa(visiveis)
+
+}
+
+function criaAvisoFiltros(listaPosts) {
+
+    //*1_liSemResultados  <li class="aviso-filtros">Nenhum projeto com esses filtros</li>
+    const liSemResultados = createNewElement('li', 'aviso-filtros', 'Nenhum projeto com esses filtros. Use "Limpar filtros" para ver todos.')
+    listaPosts.appendChild(liSemResultados)
+
 }
 
 
-window.onload = function() {
+window.onload = async function() {
     
-    mostraPaginaProjetos()
+    await repositorioProjetos.inicializa()
+    await purgaLixeira()
+    iniciaSincronizacaoAbas()
+    iniciaAvisoOffline()
+    iniciaImportacaoPasta()
+    iniciaPesquisa()
+    await iniciaRotas()
+    avisaRascunhosPendentes()
 
 }
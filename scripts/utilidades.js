@@ -78,7 +78,16 @@ function palavraCorreta(palavra) {
         'descricao': 'Descrição',
         'codigo': 'Código',
         'tag': 'Tag',
-        'linguagem': 'Linguagem'
+        'linguagem': 'Linguagem',
+        'cor': 'Cor',
+        'corTexto': 'Cor do texto',
+        'data': 'Data',
+        'id': 'Id',
+        'versaoEsquema': 'Versão do esquema',
+        'fotoAutor': 'Foto do autor',
+        'nomeAutor': 'Nome do autor',
+        'comentarios': 'Comentários',
+        'likes': 'Likes'
 
     }
     
@@ -109,7 +118,7 @@ function mesBrasil(data) {
         'Sep': 'Set',
         'Oct': 'Out',
         'Nov': 'Nov',
-        'Dez': 'Dez',
+        'Dec': 'Dez',
 
     }   
 
@@ -144,3 +153,64 @@ function pageContext() {
     return document.querySelector('.header-editor').classList[0]
 
 }
+
+// btoa/atob só aceitam caracteres Latin1, acentos e emojis precisam passar pelos bytes UTF-8 antes
+function codificaBase64(texto) {
+
+    const bytes = new TextEncoder().encode(texto)
+    const binario = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('')
+
+    return btoa(binario)
+
+}
+
+function decodificaBase64(base64) {
+
+    // A API do GitHub quebra o conteúdo base64 em linhas
+    const binario = atob(base64.replace(/\s/g, ''))
+    const bytes = Uint8Array.from(binario, (caractere) => caractere.charCodeAt(0))
+
+    return new TextDecoder().decode(bytes)
+
+}
+
+// Baixa o Blob como um arquivo. A URL temporária é liberada depois que o navegador começa o download
+function baixaArquivo(blob, nomeArquivo) {
+
+    const url = URL.createObjectURL(blob)
+
+    const a = document.createElement('a')
+    a.href = url
+    a.download = nomeArquivo
+    a.click()
+
+    setTimeout(() => URL.revokeObjectURL(url), 150)
+
+}
+
+// Copia o texto para a área de transferência. Fora de um contexto seguro (http numa rede local) a API de clipboard não
+// existe e o texto é copiado pela seleção, como no botão de copiar código do editor
+async function copiaTexto(texto) {
+
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(texto)
+        return
+    }
+
+    const textarea = document.createElement('textarea')
+    textarea.value = texto
+    textarea.setAttribute('readonly', '')
+    textarea.style.position = 'fixed'
+    textarea.style.opacity = '0'
+
+    document.body.appendChild(textarea)
+    textarea.select()
+
+    const copiou = document.execCommand('copy')
+    textarea.remove()
+
+    if (!copiou) {
+        throw new Error('O navegador não permitiu copiar')
+    }
+
+}